@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+const { run } = require("../lib/cli");
+
+run(process.argv.slice(2)).then(() => {
+    process.exit(0);
+}).catch(err => {
+    console.error(err.reason || err.message);
+    process.exit(1);
+});
@@ -0,0 +1,99 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.0 <0.9.0;
+
+/**
+ * @title Confirmations library
+ * @notice Confirmations counts the distinct owners that confirmed an
+ * action, i.e. a hash of an operation and its arguments, so that the
+ * action is only performed when a quorum of owners agree on it.
+ */
+library Confirmations {
+    struct Data {
+        // Incremented whenever the owners or the quorum change,
+        // discarding all pending confirmations
+        uint256 epoch;
+        // Number of times an action reached the quorum
+        mapping(bytes32 => uint256) rounds;
+        // Owners that confirmed the current round of an action
+        mapping(bytes32 => address[]) confirmers;
+        // Generation (plus one) of the owner when it confirmed the current round of an action
+        mapping(bytes32 => mapping(address => uint256)) confirmed;
+        // Incremented whenever an owner is replaced, discarding its pending confirmations
+        mapping(address => uint256) generations;
+    }
+
+    /**
+     * @notice confirm records the confirmation of the sender for a given
+     * action. When the quorum is reached, the confirmations are reset so
+     * the same action can be confirmed again.
+     * @param action The identifier of the action
+     * @param quorum The required number of confirmations
+     * @return confirmations The number of confirmations of the action
+     * @return reached whether the quorum was reached
+     */
+    function confirm(
+        Data storage self,
+        bytes32 action,
+        uint8 quorum
+    ) public returns (uint8 confirmations, bool reached) {
+        bytes32 key = _key(self, action);
+        require(!_hasConfirmed(self, key, msg.sender), "Owners/sender already confirmed");
+        if (self.confirmed[key][msg.sender] == 0) {
+            self.confirmers[key].push(msg.sender);
+        }
+        self.confirmed[key][msg.sender] = self.generations[msg.sender] + 1;
+        confirmations = _count(self, key);
+        reached = confirmations >= quorum;
+        if (reached) {
+            ++self.rounds[action];
+        }
+    }
+
+    function count(Data storage self, bytes32 action) public view returns (uint8) {
+        return _count(self, _key(self, action));
+    }
+
+    function hasConfirmed(
+        Data storage self,
+        bytes32 action,
+        address owner
+    ) public view returns (bool) {
+        return _hasConfirmed(self, _key(self, action), owner);
+    }
+
+    /**
+     * @notice discards all pending confirmations
+     */
+    function reset(Data storage self) internal {
+        ++self.epoch;
+    }
+
+    /**
+     * @notice discards the pending confirmations of an owner,
+     * e.g. when it is replaced by another account
+     */
+    function discard(Data storage self, address owner) internal {
+        ++self.generations[owner];
+    }
+
+    function _count(Data storage self, bytes32 key) private view returns (uint8 confirmations) {
+        address[] storage confirmers = self.confirmers[key];
+        for (uint256 i = 0; i < confirmers.length; ++i) {
+            if (_hasConfirmed(self, key, confirmers[i])) {
+                ++confirmations;
+            }
+        }
+    }
+
+    function _hasConfirmed(
+        Data storage self,
+        bytes32 key,
+        address owner
+    ) private view returns (bool) {
+        return self.confirmed[key][owner] == self.generations[owner] + 1;
+    }
+
+    function _key(Data storage self, bytes32 action) private view returns (bytes32) {
+        return keccak256(abi.encode(action, self.epoch, self.rounds[action]));
+    }
+}
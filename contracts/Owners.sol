@@ -1,10 +1,16 @@
 // SPDX-License-Identifier: MIT
 pragma solidity >=0.8.0 <0.9.0;
 
+import "./Confirmations.sol";
+import "./Proposals.sol";
+
 /**
  * @title Owners contract
  */
 contract Owners {
+    using Confirmations for Confirmations.Data;
+    using Proposals for Proposals.Data;
+
     // The required number of owners to authorize actions
     uint8 internal _quorum;
 
@@ -20,11 +26,38 @@ contract Owners {
     // Map of owners
     mapping(address => bool) private _isOwner;
 
+    // Changes proposed to the owners
+    Proposals.Data private _proposals;
+
+    // Confirmations of the owners' actions
+    Confirmations.Data internal _confirmations;
+
     // Logged when any owner change.
     event OwnerChanged(address indexed oldOwner, address indexed newOwner);
 
+    // Logged when an owner is added or removed.
+    event OwnerAdded(address indexed owner);
+    event OwnerRemoved(address indexed owner);
+
+    // Logged when the quorum changes.
+    event QuorumChanged(uint8 oldQuorum, uint8 newQuorum);
+
+    // Logged when a proposal is created, confirmed and executed.
+    event ProposalCreated(
+        uint256 indexed id,
+        Proposals.Action action,
+        address account,
+        uint8 quorum,
+        address indexed proposer
+    );
+    event ProposalConfirmed(uint256 indexed id, address indexed owner, uint8 confirmations);
+    event ProposalExecuted(uint256 indexed id);
+
+    // Logged when an owner confirms an action that requires a quorum.
+    event ActionConfirmed(bytes32 indexed action, address indexed owner, uint8 confirmations);
+
     modifier onlyOwner {
-        require(_isOwner[msg.sender], "Owners/sender is not an owner");
+        _onlyOwner();
         _;
     }
 
@@ -46,6 +79,79 @@ contract Owners {
         _quorum = quorumSize;
     }
 
+    /**
+     * @notice Change one of the owners
+     * @param newOwner address of new owner
+     * @dev Only the pending confirmations of the replaced owner are discarded
+     */
+    function changeOwner(address newOwner) public onlyOwner {
+        require(!_isOwner[newOwner] && newOwner != address(0x0), "Owners/invalid address given");
+        _beforeAddOwner(newOwner);
+        // Owners should never be empty
+        assert(_owners.length > 0 && _owners.length <= _MAX_OWNERS);
+        // replace the sender keeping the owners order
+        for (uint8 i = 0; i < _owners.length; ++i) {
+            if (_owners[i] == msg.sender) {
+                _owners[i] = newOwner;
+            }
+        }
+        emit OwnerChanged(msg.sender, newOwner);
+        _isOwner[newOwner] = true;
+        _isOwner[msg.sender] = false;
+        _confirmations.discard(msg.sender);
+    }
+
+    /**
+     * @notice proposes to add a new owner
+     * @param account address of the new owner
+     * @return the id of the proposal
+     */
+    function proposeAddOwner(address account) public onlyOwner returns (uint256) {
+        _requireAddable(account);
+        return _propose(Proposals.Action.AddOwner, account, 0);
+    }
+
+    /**
+     * @notice proposes to remove an owner
+     * @param account address of the owner
+     * @return the id of the proposal
+     */
+    function proposeRemoveOwner(address account) public onlyOwner returns (uint256) {
+        _requireRemovable(account);
+        return _propose(Proposals.Action.RemoveOwner, account, 0);
+    }
+
+    /**
+     * @notice proposes to change the quorum
+     * @param quorumSize the new required number of owners
+     * @return the id of the proposal
+     */
+    function proposeQuorum(uint8 quorumSize) public onlyOwner returns (uint256) {
+        _requireQuorum(quorumSize, _ownersCount);
+        return _propose(Proposals.Action.ChangeQuorum, address(0x0), quorumSize);
+    }
+
+    /**
+     * @notice confirms a proposal, executing it
+     * when a quorum of owners have confirmed it
+     * @param id The id of the proposal
+     * @dev The confirmations of pending proposals are
+     * discarded when the owners or the quorum change
+     */
+    function confirmProposal(uint256 id) public onlyOwner {
+        if (!_proposals.confirm(_confirmations, id, _quorum)) {
+            return;
+        }
+        Proposals.Proposal memory proposal = _proposals.get(id);
+        if (proposal.action == Proposals.Action.AddOwner) {
+            _addOwner(proposal.account);
+        } else if (proposal.action == Proposals.Action.RemoveOwner) {
+            _removeOwner(proposal.account);
+        } else {
+            _changeQuorum(proposal.quorum);
+        }
+    }
+
     /**
      * @return the list of owners
      */
@@ -74,31 +180,121 @@ contract Owners {
         return _ownersCount;
     }
 
-    //FIXME: commented to remove cost
     /**
-     * @notice Change one of the owners
-     * @param newOwner address of new owner
+     * @return the proposal of the given id
      */
-    function changeOwner(address newOwner) public onlyOwner {
-        require(!_isOwner[newOwner] && newOwner != address(0x0), "Owners/invalid address given");
-        // Owners should never be empty
-        assert(_owners.length > 0 && _owners.length <= _MAX_OWNERS);
-        address[] memory ownersList = new address[](_owners.length);
-        // create a new array of owners replacing the old one
-        for (uint8 i = 0; i < _owners.length; ++i) {
-            if (_owners[i] != msg.sender) {
-                ownersList[i] = _owners[i];
-            } else {
-                ownersList[i] = newOwner;
-            }
+    function getProposal(uint256 id) public view returns (Proposals.Proposal memory) {
+        return _proposals.get(id);
+    }
+
+    /**
+     * @return the number of proposals
+     */
+    function proposalsCount() public view returns (uint256) {
+        return _proposals.list.length;
+    }
+
+    /**
+     * @return the number of pending confirmations of a proposal
+     */
+    function proposalConfirmations(uint256 id) public view returns (uint8) {
+        return _confirmations.count(Proposals.action(id));
+    }
+
+    /**
+     * @return whether an owner has confirmed a pending proposal
+     */
+    function hasConfirmedProposal(uint256 id, address owner) public view returns (bool) {
+        return _confirmations.hasConfirmed(Proposals.action(id), owner);
+    }
+
+    /**
+     * @return the number of pending confirmations of an action
+     */
+    function actionConfirmations(bytes32 action) public view returns (uint8) {
+        return _confirmations.count(action);
+    }
+
+    /**
+     * @notice _confirm records the confirmation of the sender for an
+     * action, i.e. a hash of the operation and its arguments.
+     * @param action The identifier of the action
+     * @return whether a quorum of owners confirmed the action,
+     * in which case the caller must perform it
+     */
+    function _confirm(bytes32 action) internal returns (bool) {
+        (uint8 confirmations, bool reached) = _confirmations.confirm(action, _quorum);
+        emit ActionConfirmed(action, msg.sender, confirmations);
+        return reached;
+    }
+
+    /**
+     * @notice hook called before an account becomes owner, either added
+     * by a proposal or replacing an owner
+     * @dev Derived contracts revert to forbid the account.
+     */
+    function _beforeAddOwner(address) internal view virtual {
+        // solhint-disable-previous-line no-empty-blocks
+    }
+
+    function _propose(
+        Proposals.Action action,
+        address account,
+        uint8 quorumSize
+    ) private returns (uint256 id) {
+        id = _proposals.create(action, account, quorumSize);
+        confirmProposal(id);
+    }
+
+    function _addOwner(address account) private {
+        _requireAddable(account);
+        _owners.push(account);
+        _isOwner[account] = true;
+        ++_ownersCount;
+        _confirmations.reset();
+        emit OwnerAdded(account);
+    }
+
+    function _removeOwner(address account) private {
+        _requireRemovable(account);
+        // shift the remaining owners keeping their order
+        uint256 i = 0;
+        while (_owners[i] != account) {
+            ++i;
         }
-        // The quorum size should never change
-        assert(ownersList.length == _quorum);
-        emit OwnerChanged(msg.sender, newOwner);
-        _owners = ownersList;
-        _isOwner[newOwner] = true;
-        _isOwner[msg.sender] = false;
+        for (; i < _owners.length - 1; ++i) {
+            _owners[i] = _owners[i + 1];
+        }
+        _owners.pop();
+        _isOwner[account] = false;
+        --_ownersCount;
+        _confirmations.reset();
+        emit OwnerRemoved(account);
+    }
+
+    function _changeQuorum(uint8 quorumSize) private {
+        _requireQuorum(quorumSize, _ownersCount);
+        emit QuorumChanged(_quorum, quorumSize);
+        _quorum = quorumSize;
+        _confirmations.reset();
+    }
+
+    function _onlyOwner() private view {
+        require(_isOwner[msg.sender], "Owners/sender is not an owner");
+    }
+
+    function _requireAddable(address account) private view {
+        require(!_isOwner[account] && account != address(0x0), "Owners/invalid address given");
+        require(_owners.length < _MAX_OWNERS, "Owners/too many owners");
+        _beforeAddOwner(account);
     }
 
-    // TODO: add and remove owners
+    function _requireRemovable(address account) private view {
+        require(_isOwner[account], "Owners/address is not an owner");
+        require(_owners.length > _quorum, "Owners/quorum out of range");
+    }
+
+    function _requireQuorum(uint8 quorumSize, uint256 count) private pure {
+        require(quorumSize > 0 && quorumSize <= count, "Owners/quorum out of range");
+    }
 }
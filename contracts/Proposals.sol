@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.0 <0.9.0;
+
+import "./Confirmations.sol";
+
+/**
+ * @title Proposals library
+ * @notice Proposals keeps the changes proposed to the owners of
+ * a contract, which are executed once confirmed by a quorum of owners.
+ */
+library Proposals {
+    using Confirmations for Confirmations.Data;
+
+    // Actions that can be proposed to change the owners
+    enum Action {
+        AddOwner,
+        RemoveOwner,
+        ChangeQuorum
+    }
+
+    struct Proposal {
+        Action action;
+        address account;
+        uint8 quorum;
+        address proposer;
+        bool executed;
+    }
+
+    struct Data {
+        Proposal[] list;
+    }
+
+    // Logged when a proposal is created, confirmed and executed.
+    event ProposalCreated(uint256 indexed id, Action action, address account, uint8 quorum, address indexed proposer);
+    event ProposalConfirmed(uint256 indexed id, address indexed owner, uint8 confirmations);
+    event ProposalExecuted(uint256 indexed id);
+
+    modifier exists(Data storage self, uint256 id) {
+        require(id < self.list.length, "Owners/proposal not found");
+        _;
+    }
+
+    function create(
+        Data storage self,
+        Action kind,
+        address account,
+        uint8 quorum
+    ) public returns (uint256 id) {
+        id = self.list.length;
+        self.list.push(Proposal(kind, account, quorum, msg.sender, false));
+        emit ProposalCreated(id, kind, account, quorum, msg.sender);
+    }
+
+    /**
+     * @notice confirms a proposal on behalf of the sender
+     * @return reached whether the proposal must be executed
+     */
+    function confirm(
+        Data storage self,
+        Confirmations.Data storage confirmations,
+        uint256 id,
+        uint8 quorum
+    ) public exists(self, id) returns (bool reached) {
+        Proposal storage proposal = self.list[id];
+        require(!proposal.executed, "Owners/proposal already executed");
+        uint8 count;
+        (count, reached) = confirmations.confirm(action(id), quorum);
+        emit ProposalConfirmed(id, msg.sender, count);
+        if (reached) {
+            proposal.executed = true;
+            emit ProposalExecuted(id);
+        }
+    }
+
+    function get(Data storage self, uint256 id) public view exists(self, id) returns (Proposal memory) {
+        return self.list[id];
+    }
+
+    function action(uint256 id) public pure returns (bytes32) {
+        return keccak256(abi.encode("Owners/proposal", id));
+    }
+}
@@ -20,7 +20,6 @@ contract TimedIssuer is Timed, Issuer {
         // solhint-disable-previous-line no-empty-blocks
     }
 
-    // TODO: add tests for extenting time
     function extendTime(uint256 newEndingTime) public onlyOwner {
         _extendTime(newEndingTime);
     }
@@ -29,7 +28,7 @@ contract TimedIssuer is Timed, Issuer {
      * @notice register a credential prooffor a given subject
      */
     function registerCredential(address subject, bytes32 digest) public onlyOwner whileNotEnded {
-        _registerCredential(subject, digest, bytes32(0), new address[](0));
+        _registerCredential(subject, digest, bytes32(0), new address[](0), 0, 0);
     }
 
     /**
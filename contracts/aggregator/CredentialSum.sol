@@ -2,12 +2,30 @@
 pragma solidity >=0.8.0 <0.9.0;
 
 library CredentialSum {
+    // Method used to aggregate the digests of a root:
+    // - Hash: keccak256(abi.encode(digests))
+    // - Merkle: merkle tree of the digests, allowing to prove the
+    //   inclusion of a single digest without disclosing the others
+    enum Method {
+        Hash,
+        Merkle
+    }
+
     // Root represents the result of the aggregation of all
     // subject's credential digests on the contract state
     struct Root {
         bytes32 proof;
         uint256 insertedBlock;
         uint256 blockTimestamp;
+        Method method;
+        // number of digests of each aggregated batch, a root
+        // with more than one batch was chained by `appendRoot`
+        uint256[] batches;
+        // whether the root aggregates only the valid digests, and the
+        // invalid digests left out of the aggregation, i.e. revoked,
+        // renewed or outside their validity period when aggregated
+        bool excludesInvalid;
+        bytes32[] excluded;
     }
 
     // Logged when a credential is aggregated.
@@ -43,12 +61,76 @@ library CredentialSum {
         address subject,
         bytes32[] memory digests
     ) public notEmpty(digests) returns (bytes32) {
-        //TODO: if (self.proof != bytes32(0)) append to it
-        bytes32 root = computeRoot(digests);
+        _reset(self);
+        return _setRoot(self, subject, computeRoot(digests), Method.Hash, digests.length);
+    }
+
+    /**
+     * @dev generateValidRoot aggregates the valid digests of a subject,
+     * keeping the invalid ones that were left out
+     */
+    function generateValidRoot(
+        Root storage self,
+        address subject,
+        bytes32[] memory digests,
+        bytes32[] memory excluded
+    ) public notEmpty(digests) returns (bytes32) {
+        bytes32 root = generateRoot(self, subject, digests);
+        self.excludesInvalid = true;
+        for (uint256 i = 0; i < excluded.length; i++) {
+            self.excluded.push(excluded[i]);
+        }
+        return root;
+    }
+
+    /**
+     * @dev appendRoot chains the given digests onto the existing root,
+     * i.e. keccak256(abi.encode(previousRoot, computeRoot(digests))),
+     * so that only the new digests need to be submitted. Every
+     * intermediate root can be recomputed from the digests and batches.
+     */
+    function appendRoot(
+        Root storage self,
+        address subject,
+        bytes32[] memory digests
+    ) public notEmpty(digests) returns (bytes32) {
+        if (!hasRoot(self)) {
+            return generateRoot(self, subject, digests);
+        }
+        require(self.method == Method.Hash, "CredentialSum/not a hash root");
+        bytes32 root = keccak256(abi.encode(self.proof, computeRoot(digests)));
+        return _setRoot(self, subject, root, Method.Hash, digests.length);
+    }
+
+    // Aggregate credentials in a merkle tree and produce its root
+    function generateMerkleRoot(
+        Root storage self,
+        address subject,
+        bytes32[] memory digests
+    ) public notEmpty(digests) returns (bytes32) {
+        _reset(self);
+        return _setRoot(self, subject, computeMerkleRoot(digests), Method.Merkle, digests.length);
+    }
+
+    function _reset(Root storage self) private {
+        delete self.batches;
+        delete self.excludesInvalid;
+        delete self.excluded;
+    }
+
+    function _setRoot(
+        Root storage self,
+        address subject,
+        bytes32 root,
+        Method method,
+        uint256 length
+    ) private returns (bytes32) {
+        self.batches.push(length);
         self.proof = root;
         self.insertedBlock = block.number;
         // solhint-disable-next-line not-rely-on-time, expression-indent
         self.blockTimestamp = block.timestamp;
+        self.method = method;
         // TODO: sender should be issuer not contract
         emit AggregatedRoot(root, msg.sender, subject, block.number);
         return root;
@@ -59,14 +141,124 @@ library CredentialSum {
         return keccak256(abi.encode(digests));
     }
 
+    /**
+     * @dev computeChainedRoot computes the root of digests aggregated
+     * in consecutive batches of the given sizes
+     */
+    function computeChainedRoot(bytes32[] memory digests, uint256[] memory batches)
+        public
+        pure
+        notEmpty(digests)
+        returns (bytes32 root)
+    {
+        uint256 start = 0;
+        for (uint256 i = 0; i < batches.length; i++) {
+            require(batches[i] > 0 && start + batches[i] <= digests.length, "CredentialSum/invalid batches");
+            bytes32[] memory batch = new bytes32[](batches[i]);
+            for (uint256 j = 0; j < batches[i]; j++) {
+                batch[j] = digests[start + j];
+            }
+            root = i == 0 ? computeRoot(batch) : keccak256(abi.encode(root, computeRoot(batch)));
+            start += batches[i];
+        }
+        require(start == digests.length, "CredentialSum/invalid batches");
+    }
+
+    /**
+     * @dev computeMerkleRoot builds a merkle tree where the leaves are
+     * the hashes of the digests and each parent is the hash of its sorted
+     * children. A node without sibling is promoted to the next level.
+     */
+    function computeMerkleRoot(bytes32[] memory digests) public pure notEmpty(digests) returns (bytes32) {
+        bytes32[] memory nodes = new bytes32[](digests.length);
+        for (uint256 i = 0; i < digests.length; i++) {
+            nodes[i] = keccak256(abi.encodePacked(digests[i]));
+        }
+        uint256 n = nodes.length;
+        while (n > 1) {
+            for (uint256 i = 0; i < n / 2; i++) {
+                nodes[i] = _hashPair(nodes[2 * i], nodes[2 * i + 1]);
+            }
+            if (n % 2 == 1) {
+                nodes[n / 2] = nodes[n - 1];
+            }
+            n = (n + 1) / 2;
+        }
+        return nodes[0];
+    }
+
+    /**
+     * @dev verifyMerkleProof checks if the digest is a leaf of the
+     * merkle tree of the given root, where the proof is the list of
+     * sibling hashes from the leaf to the root
+     */
+    function verifyMerkleProof(
+        bytes32 root,
+        bytes32 digest,
+        bytes32[] memory proof
+    ) public pure returns (bool) {
+        bytes32 computed = keccak256(abi.encodePacked(digest));
+        for (uint256 i = 0; i < proof.length; i++) {
+            computed = _hashPair(computed, proof[i]);
+        }
+        return computed == root;
+    }
+
+    function _hashPair(bytes32 a, bytes32 b) private pure returns (bytes32) {
+        return a < b ? keccak256(abi.encodePacked(a, b)) : keccak256(abi.encodePacked(b, a));
+    }
+
     /**
      * @dev verifySelfRoot checks if the stored root was generated using
      * the given list of digests
      */
     function verifySelfRoot(Root storage self, bytes32[] memory digests) public view rootExists(self) returns (bool) {
+        if (self.method == Method.Merkle) {
+            return (self.proof == computeMerkleRoot(digests));
+        }
+        if (self.batches.length > 1) {
+            uint256 length = 0;
+            for (uint256 i = 0; i < self.batches.length; i++) {
+                length += self.batches[i];
+            }
+            return length == digests.length && self.proof == computeChainedRoot(digests, self.batches);
+        }
         return (self.proof == computeRoot(digests));
     }
 
+    /**
+     * @dev includedDigests returns the given issued digests without the
+     * ones left out of the stored root when it was aggregated, in order
+     * @param issued The issued digests, of which the excluded ones are
+     * a subsequence
+     */
+    function includedDigests(Root storage self, bytes32[] storage issued) public view returns (bytes32[] memory) {
+        bytes32[] storage excluded = self.excluded;
+        bytes32[] memory digests = new bytes32[](issued.length - excluded.length);
+        uint256 j = 0;
+        for (uint256 i = 0; i < issued.length; i++) {
+            if (j < excluded.length && issued[i] == excluded[j]) {
+                ++j;
+            } else {
+                digests[i - j] = issued[i];
+            }
+        }
+        return digests;
+    }
+
+    /**
+     * @dev verifySelfInclusion checks if the given digest is included
+     * in the stored merkle root
+     */
+    function verifySelfInclusion(
+        Root storage self,
+        bytes32 digest,
+        bytes32[] memory proof
+    ) public view rootExists(self) returns (bool) {
+        require(self.method == Method.Merkle, "CredentialSum/not a merkle root");
+        return verifyMerkleProof(self.proof, digest, proof);
+    }
+
     /**
      * @dev verifyRoot checks if the given list of digests generates the
      * given root
@@ -74,4 +266,12 @@ library CredentialSum {
     function verifyRoot(bytes32 root, bytes32[] calldata digests) public pure returns (bool) {
         return (root == computeRoot(digests));
     }
+
+    /**
+     * @dev verifyMerkleRoot checks if the given list of digests generates
+     * the given merkle root
+     */
+    function verifyMerkleRoot(bytes32 root, bytes32[] calldata digests) public pure returns (bool) {
+        return (root == computeMerkleRoot(digests));
+    }
 }
@@ -8,13 +8,29 @@ interface Anchor {
     // Logged when a Record is revoked.
     event RecordRevoked(bytes32 indexed digest, bytes32 indexed reason, address indexed revoker, uint256 revokedBlock);
 
-    function issue(bytes32, address) external;
+    function issue(
+        bytes32,
+        address,
+        address
+    ) external;
 
     function revoke(bytes32, bytes32) external;
 
     function resolver(bytes32) external view returns (address);
 
+    function subjectOf(bytes32) external view returns (address);
+
     function recordExists(bytes32) external view returns (bool);
 
     function recordRevoked(bytes32) external view returns (bool);
+
+    function hasConfirmed(bytes32, address) external view returns (bool);
+
+    function issueAction(
+        bytes32,
+        address,
+        address
+    ) external pure returns (bytes32);
+
+    function revokeAction(bytes32, bytes32) external pure returns (bytes32);
 }
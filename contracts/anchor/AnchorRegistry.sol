@@ -7,8 +7,11 @@ import "./Anchor.sol";
 import "../Owners.sol";
 
 contract AnchorRegistry is Anchor, Owners {
+    using Confirmations for Confirmations.Data;
+
     struct IssuanceRecord {
         address resolver; // root contract in the certification tree that issued the credential
+        address subject; // subject of the credential tree
         uint256 insertedBlock;
         uint256 blockTimestamp;
     }
@@ -26,31 +29,74 @@ contract AnchorRegistry is Anchor, Owners {
         // solhint-disable-previous-line no-empty-blocks
     }
 
-    function issue(bytes32 rootDigest, address issuerAddress) public override onlyOwner {
+    /**
+     * @notice anchors the root of the credential tree of a subject,
+     * once a quorum of owners issued the same record
+     * @param rootDigest The root of the subject in the issuer node
+     * @param issuerAddress The node that aggregated the root, i.e. the root node of the tree
+     * @param subject The subject of the credential tree
+     * @dev The root must be the current root of the subject in the issuer
+     * and must be derived from the credentials of the subject, i.e. the
+     * issuer verifies it with verifyCredentialRoot.
+     */
+    function issue(
+        bytes32 rootDigest,
+        address issuerAddress,
+        address subject
+    ) public override onlyOwner {
         require(!recordExists(rootDigest), "record already issued");
         require(!recordRevoked(rootDigest), "record revoked");
         require(issuerAddress != address(0x0), "sender cannot be 0");
         bool isNodeLike = ERC165Checker.supportsInterface(issuerAddress, type(NodeInterface).interfaceId);
         require(isNodeLike, "issuer is not a notary node");
+        NodeInterface node = NodeInterface(issuerAddress);
+        require(rootDigest != bytes32(0) && node.getRoot(subject) == rootDigest, "root not found");
+        require(node.verifyCredentialRoot(subject, rootDigest), "invalid root");
+        if (!_confirm(issueAction(rootDigest, issuerAddress, subject))) {
+            return;
+        }
         _issued[rootDigest] = IssuanceRecord(
             issuerAddress,
+            subject,
             block.number,
             block.timestamp // solhint-disable-line not-rely-on-time
         );
         emit RecordIssued(rootDigest, msg.sender, block.number);
     }
 
+    /**
+     * @notice revokes an anchored root, once a quorum of owners
+     * revoked it for the same reason
+     * @param rootDigest The anchored root
+     * @param reason The digest of the reason of the revocation
+     */
     function revoke(bytes32 rootDigest, bytes32 reason) public override onlyOwner {
         require(recordExists(rootDigest), "record not found");
+        require(!recordRevoked(rootDigest), "record already revoked");
+        if (!_confirm(revokeAction(rootDigest, reason))) {
+            return;
+        }
         IssuanceRecord storage record = _issued[rootDigest];
         _revoked[rootDigest] = RevocationRecord(record.resolver, block.number, reason);
         emit RecordRevoked(rootDigest, reason, msg.sender, block.number);
     }
 
+    /**
+     * @return whether the owner confirmed the given action, i.e. the
+     * issuance or the revocation of a record not yet performed
+     */
+    function hasConfirmed(bytes32 action, address owner) public view override returns (bool) {
+        return _confirmations.hasConfirmed(action, owner);
+    }
+
     function resolver(bytes32 root) public view override returns (address) {
         return _issued[root].resolver;
     }
 
+    function subjectOf(bytes32 root) public view override returns (address) {
+        return _issued[root].subject;
+    }
+
     function recordExists(bytes32 root) public view override returns (bool) {
         return _issued[root].insertedBlock != 0;
     }
@@ -58,4 +104,22 @@ contract AnchorRegistry is Anchor, Owners {
     function recordRevoked(bytes32 root) public view override returns (bool) {
         return _revoked[root].revokedBlock != 0;
     }
+
+    /**
+     * @return the action confirmed by the owners issuing a record
+     */
+    function issueAction(
+        bytes32 rootDigest,
+        address issuerAddress,
+        address subject
+    ) public pure override returns (bytes32) {
+        return keccak256(abi.encode(Anchor.issue.selector, rootDigest, issuerAddress, subject));
+    }
+
+    /**
+     * @return the action confirmed by the owners revoking a record
+     */
+    function revokeAction(bytes32 rootDigest, bytes32 reason) public pure override returns (bytes32) {
+        return keccak256(abi.encode(Anchor.revoke.selector, rootDigest, reason));
+    }
 }
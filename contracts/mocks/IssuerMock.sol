@@ -11,7 +11,7 @@ contract IssuerMock is Issuer {
     }
 
     function createApprovedCredential(address subject, bytes32 digest) public {
-        _registerCredential(subject, digest, bytes32(0), new address[](0));
+        _registerCredential(subject, digest, bytes32(0), new address[](0), 0, 0);
         _tree.records[digest].approved = true;
     }
 
@@ -30,7 +30,7 @@ contract IssuerMock is Issuer {
         bytes32 eRoot,
         address[] memory witnesses
     ) public {
-        _registerCredential(subject, digest, eRoot, witnesses);
+        _registerCredential(subject, digest, eRoot, witnesses, 0, 0);
     }
 
     function aggregateCredentials(address subject, bytes32[] memory digests) public returns (bytes32) {
@@ -38,7 +38,15 @@ contract IssuerMock is Issuer {
     }
 
     function approveCredential(bytes32 digest) public {
-        _approveCredential(digest);
+        _approveCredential(msg.sender, digest);
+    }
+
+    function rejectCredential(bytes32 digest) public {
+        _rejectCredential(digest);
+    }
+
+    function withdrawCredential(bytes32 digest) public {
+        _withdrawCredential(digest, keccak256(abi.encode(this.withdrawCredential.selector, digest)));
     }
 
     function revokeCredential(bytes32 digest, bytes32 reason) public {
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.0 <0.9.0;
+
+import "../node/NodeInterface.sol";
+
+// ParentMock poses as the parent of any node, without being a node
+contract ParentMock {
+    function link(address node) public {
+        NodeInterface(node).linkParent();
+    }
+
+    function isChild(address) public pure returns (bool) {
+        return true;
+    }
+}
@@ -0,0 +1,193 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.0 <0.9.0;
+
+import "../Owners.sol";
+import "./NodeInterface.sol";
+
+/**
+ * @title Children
+ * @notice Keeps the children nodes of an inner node, linking them
+ * to the node when added and unlinking them when removed, and the
+ * parents that linked a node.
+ */
+library Children {
+    struct Set {
+        // Children nodes' addresses, in the order they were added
+        address[] nodes;
+        mapping(address => bool) isChild;
+        // Block in which a child was removed, credentials registered
+        // before it can still use the removed child as witness
+        mapping(address => uint256) removedAt;
+    }
+
+    struct Parents {
+        // Parents confirmed by a quorum of owners, i.e. the ancestry
+        // record used to reject cycles when linking nodes
+        address[] nodes;
+        mapping(address => bool) isParent;
+        // Nodes that added the calling node as child, waiting for
+        // the confirmation of its owners
+        mapping(address => bool) isPending;
+    }
+
+    // Maximum number of ancestry levels walked to detect cycles
+    uint256 public constant MAX_DEPTH = 16;
+
+    event NodeAdded(address indexed createdBy, address indexed nodeAddress, Role role);
+    event NodeRemoved(address indexed removedBy, address indexed nodeAddress);
+    event ParentLinked(address indexed parent);
+    event ParentConfirmed(address indexed parent);
+    event ParentRemoved(address indexed parent);
+
+    /**
+     * @notice adds a node as child of the calling node
+     * @param nodeAddress The address of the new node
+     * @param role The role of the new node
+     * @param owners The owners of the calling node
+     * @param parents The parents of the calling node
+     * @dev Cycles are detected through the ancestry record of the
+     * calling node, i.e. the new node cannot be one of its confirmed
+     * ancestors nor a pending parent, and the new node is linked to the
+     * calling node once added, pending the confirmation of its owners.
+     */
+    function add(
+        Set storage self,
+        address nodeAddress,
+        Role role,
+        address[] memory owners,
+        Parents storage parents
+    ) public {
+        require(address(this) != nodeAddress, "Node/cannot add itself");
+        require(!self.isChild[nodeAddress], "Node/node already added");
+        require(role == Role.Leaf || role == Role.Inner, "Node/invalid child role");
+        require(!parents.isPending[nodeAddress] && !isAncestor(parents, nodeAddress, MAX_DEPTH), "Node/cycle detected");
+        for (uint256 i = 0; i < owners.length; i++) {
+            require(!Owners(nodeAddress).isOwner(owners[i]), "Node/owners overlap");
+        }
+        self.isChild[nodeAddress] = true;
+        self.nodes.push(nodeAddress);
+        NodeInterface(nodeAddress).linkParent();
+        emit NodeAdded(msg.sender, nodeAddress, role);
+    }
+
+    /**
+     * @notice removes a child of the calling node, keeping the
+     * order of the remaining children
+     * @param nodeAddress The address of the child
+     */
+    function remove(Set storage self, address nodeAddress) public {
+        uint256 i = 0;
+        while (self.nodes[i] != nodeAddress) {
+            ++i;
+        }
+        for (; i < self.nodes.length - 1; ++i) {
+            self.nodes[i] = self.nodes[i + 1];
+        }
+        self.nodes.pop();
+        self.isChild[nodeAddress] = false;
+        self.removedAt[nodeAddress] = block.number;
+        // a child failing to unlink cannot prevent its removal
+        try NodeInterface(nodeAddress).unlinkParent() {} catch {} // solhint-disable-line no-empty-blocks
+        emit NodeRemoved(msg.sender, nodeAddress);
+    }
+
+    /**
+     * @notice records the sender as pending parent of the calling node
+     * @dev The sender must already have the calling node as child, and
+     * it is only used as parent once confirmed by the owners.
+     */
+    function link(Parents storage self) public {
+        require(NodeInterface(msg.sender).isChild(address(this)), "Node/sender is not a parent");
+        if (!self.isParent[msg.sender] && !self.isPending[msg.sender]) {
+            self.isPending[msg.sender] = true;
+            emit ParentLinked(msg.sender);
+        }
+    }
+
+    /**
+     * @notice confirms a pending parent of the calling node
+     * @param parent The address of the parent
+     * @dev The caller must ensure that a quorum of owners confirmed it.
+     * The calling node cannot be an ancestor of the parent, since both
+     * nodes may have added each other while their links were pending.
+     */
+    function confirm(Parents storage self, address parent) public {
+        require(self.isPending[parent] && NodeInterface(parent).isChild(address(this)), "Node/parent not pending");
+        require(!NodeInterface(parent).isAncestor(address(this), MAX_DEPTH), "Node/cycle detected");
+        self.isPending[parent] = false;
+        self.isParent[parent] = true;
+        self.nodes.push(parent);
+        emit ParentConfirmed(parent);
+    }
+
+    /**
+     * @notice discards the sender as parent of the calling node
+     * @dev The sender must have removed the calling node from its children.
+     */
+    function unlink(Parents storage self) public {
+        require(
+            (self.isParent[msg.sender] || self.isPending[msg.sender]) &&
+                !NodeInterface(msg.sender).isChild(address(this)),
+            "Node/sender is a parent"
+        );
+        drop(self, msg.sender);
+    }
+
+    /**
+     * @notice discards a parent of the calling node, confirmed or pending
+     * @param parent The address of the parent
+     */
+    function drop(Parents storage self, address parent) public {
+        require(self.isParent[parent] || self.isPending[parent], "Node/parent not found");
+        if (self.isParent[parent]) {
+            uint256 i = 0;
+            while (self.nodes[i] != parent) {
+                ++i;
+            }
+            self.nodes[i] = self.nodes[self.nodes.length - 1];
+            self.nodes.pop();
+        }
+        self.isParent[parent] = false;
+        self.isPending[parent] = false;
+        emit ParentRemoved(parent);
+    }
+
+    /**
+     * @notice rejects an account owning one of the children or one of
+     * the confirmed parents of the calling node
+     * @param parents The parents of the calling node
+     * @param account The address of the account
+     */
+    function checkOwnersOverlap(
+        Set storage self,
+        Parents storage parents,
+        address account
+    ) public view {
+        for (uint256 i = 0; i < self.nodes.length; i++) {
+            require(!Owners(self.nodes[i]).isOwner(account), "Node/owners overlap");
+        }
+        for (uint256 i = 0; i < parents.nodes.length; i++) {
+            require(!Owners(parents.nodes[i]).isOwner(account), "Node/owners overlap");
+        }
+    }
+
+    /**
+     * @notice checks whether the given node is a confirmed parent of the
+     * calling node or an ancestor of one of its parents
+     * @param node The address of the node
+     * @param depth The number of ancestry levels left to walk
+     */
+    function isAncestor(
+        Parents storage self,
+        address node,
+        uint256 depth
+    ) public view returns (bool) {
+        require(depth > 0 || self.nodes.length == 0, "Node/ancestry too deep");
+        for (uint256 i = 0; i < self.nodes.length; i++) {
+            if (self.nodes[i] == node || NodeInterface(self.nodes[i]).isAncestor(node, depth - 1)) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
@@ -6,16 +6,39 @@ import "../ERC165Checker.sol";
 import "./Node.sol";
 import "./NodeInterface.sol";
 import "../notary/Issuer.sol";
+import "./Witnesses.sol";
+import "./Children.sol";
+import "../anchor/Anchor.sol";
 
 contract Node is NodeInterface, Issuer, ERC165 {
+    using Notary for Notary.CredentialTree;
+    using Children for Children.Set;
+    using Children for Children.Parents;
+
+    // Maximum number of credentials or subjects handled by a batch call
+    uint256 public constant MAX_BATCH_SIZE = 50;
+
     bytes4[] private _supportedInterfaces = [type(NodeInterface).interfaceId];
     address internal immutable _parent;
 
     Role internal _role;
 
-    address[] internal _children;
+    Children.Set internal _children;
+
+    // Nodes that added this node as child, used as parents
+    // once confirmed by a quorum of owners
+    Children.Parents internal _parents;
+
+    // Block of the witnesses' roots when the credential was registered,
+    // in the same order of the credential witnesses
+    mapping(bytes32 => uint256[]) internal _witnessRootBlocks;
 
-    mapping(address => bool) internal _isChild;
+    // Registry to which the node anchors the roots it aggregates
+    // while it is the root node of the tree, i.e. it has no parents
+    address internal _anchorRegistry;
+
+    // Logged when a quorum of owners changes the anchor registry of the node.
+    event AnchorRegistryChanged(address indexed registry);
 
     constructor(
         Role role,
@@ -42,7 +65,7 @@ contract Node is NodeInterface, Issuer, ERC165 {
      * @notice checks whether the given node is a child of this node.
      */
     function isChild(address node) public view override returns (bool) {
-        return _isChild[node];
+        return _children.isChild[node];
     }
 
     /**
@@ -52,6 +75,93 @@ contract Node is NodeInterface, Issuer, ERC165 {
         return _parent;
     }
 
+    /**
+     * @return the list of nodes that have this node as child,
+     * confirmed by a quorum of owners.
+     */
+    function getParents() public view returns (address[] memory) {
+        return _parents.nodes;
+    }
+
+    /**
+     * @notice checks whether the given node added this node as
+     * child and waits for the confirmation of the owners.
+     */
+    function isPendingParent(address node) public view returns (bool) {
+        return _parents.isPending[node];
+    }
+
+    /**
+     * @notice checks whether the given node is a confirmed parent of
+     * this node or an ancestor of one of its parents.
+     * @param depth The number of ancestry levels left to walk
+     */
+    function isAncestor(address node, uint256 depth) public view override returns (bool) {
+        return _parents.isAncestor(node, depth);
+    }
+
+    /**
+     * @notice records the sender as pending parent of this node
+     * @dev The sender must already have this node as child.
+     */
+    function linkParent() public override {
+        _parents.link();
+    }
+
+    /**
+     * @notice discards the sender as parent of this node
+     * @dev The sender must have removed this node from its children.
+     */
+    function unlinkParent() public override {
+        _parents.unlink();
+    }
+
+    /**
+     * @notice confirms a pending parent of this node once a quorum
+     * of owners called it with the same node
+     * @param parent The address of the node that added this node as child
+     * @dev Only the confirmed parents are part of the ancestry record,
+     * and a node without confirmed parents anchors its roots.
+     */
+    function confirmParent(address parent) public onlyOwner {
+        require(_parents.isPending[parent], "Node/parent not pending");
+        if (_confirm(keccak256(abi.encode(this.confirmParent.selector, parent)))) {
+            _parents.confirm(parent);
+        }
+    }
+
+    /**
+     * @notice discards a parent of this node, confirmed or pending,
+     * once a quorum of owners called it with the same node
+     * @param parent The address of the parent
+     */
+    function removeParent(address parent) public onlyOwner {
+        if (_confirm(keccak256(abi.encode(this.removeParent.selector, parent)))) {
+            _parents.drop(parent);
+        }
+    }
+
+    /**
+     * @return the registry to which the node anchors its roots, if any
+     */
+    function anchorRegistry() public view returns (address) {
+        return _anchorRegistry;
+    }
+
+    /**
+     * @notice sets the registry to which the node anchors the roots it
+     * aggregates, once a quorum of owners called it with the same registry
+     * @param registry The address of the anchor registry, 0 to stop anchoring
+     * @dev The node must be an owner of the registry, otherwise the
+     * aggregations revert. A revoked anchor invalidates the tree of its subject.
+     */
+    function setAnchorRegistry(address registry) public onlyOwner {
+        if (_confirm(keccak256(abi.encode(this.setAnchorRegistry.selector, registry)))) {
+            _anchorRegistry = registry;
+            emit AnchorRegistryChanged(registry);
+        }
+    }
+
     /**
      * @return the node role.
      */
@@ -59,11 +169,18 @@ contract Node is NodeInterface, Issuer, ERC165 {
         return _role;
     }
 
+    /**
+     * @return true if the parents can use the roots of this node as witnesses.
+     */
+    function canWitness() public view virtual override returns (bool) {
+        return true;
+    }
+
     /**
      * @return the list of children nodes' addresses.
      */
     function getChildren() public view returns (address[] memory) {
-        return _children;
+        return _children.nodes;
     }
 
     /**
@@ -74,7 +191,21 @@ contract Node is NodeInterface, Issuer, ERC165 {
         return _getRoot(subject);
     }
 
-    //TODO: Remove nodes (require quorum)
+    /**
+     * @param subject The subject of the credential
+     * @return the block in which the root of a subject was aggregated
+     */
+    function getRootBlock(address subject) public view override returns (uint256) {
+        return _root[subject].insertedBlock;
+    }
+
+    /**
+     * @param digest The digest of the credential
+     * @return the blocks of the witnesses' roots used by the credential
+     */
+    function getWitnessRootBlocks(bytes32 digest) public view returns (uint256[] memory) {
+        return _witnessRootBlocks[digest];
+    }
 
     /**
      * @notice create a new node on the certification tree
@@ -86,9 +217,11 @@ contract Node is NodeInterface, Issuer, ERC165 {
      * Malicious contracts that match such interfaces can still
      * be added and further checks of the contract code should be
      * performed before approval of the inclusion.
+     * A single owner adds a child, since the child is only linked once
+     * its own owners confirm this node as parent, and a quorum of owners
+     * can remove it.
      */
     function addChild(address nodeAddress) public override onlyOwner {
-        // TODO: require a quorum of registrars?
         require(_role == Role.Inner, "Node/node must be Inner");
 
         bool isNodeLike = ERC165Checker.supportsAllInterfaces(address(this), _supportedInterfaces);
@@ -96,8 +229,45 @@ contract Node is NodeInterface, Issuer, ERC165 {
 
         NodeInterface node = NodeInterface(nodeAddress);
         Role role = node.getRole();
-        //FIXME: Assert if owners are different?
-        _addNode(nodeAddress, role);
+        _children.add(nodeAddress, role, _owners, _parents);
+    }
+
+    /**
+     * @notice removes a child node from the certification tree
+     * once a quorum of owners called it with the same node.
+     * @param nodeAddress The address of the node
+     * @dev Credentials registered before the removal using the node
+     * as witness are still verified against it.
+     */
+    function removeChild(address nodeAddress) public override onlyOwner {
+        require(_children.isChild[nodeAddress], "Node/node not found");
+        if (_confirm(keccak256(abi.encode(this.removeChild.selector, nodeAddress)))) {
+            _children.remove(nodeAddress);
+        }
+    }
+
+    /**
+     * @notice replaces a child node by a new one once a quorum
+     * of owners called it with the same nodes.
+     * @param oldNode The address of the node to be removed
+     * @param newNode The address of the node to be added
+     */
+    function replaceChild(address oldNode, address newNode) public override onlyOwner {
+        require(_children.isChild[oldNode], "Node/node not found");
+        if (_confirm(keccak256(abi.encode(this.replaceChild.selector, oldNode, newNode)))) {
+            _children.remove(oldNode);
+            _children.add(newNode, NodeInterface(newNode).getRole(), _owners, _parents);
+        }
+    }
+
+    /**
+     * @notice checks whether a node can be used as witness of a credential,
+     * i.e. it is a child or it was removed after the credential registration.
+     * @param nodeAddress The address of the witness
+     * @param digest The digest of the credential
+     */
+    function isWitnessOf(address nodeAddress, bytes32 digest) public view returns (bool) {
+        return _children.isChild[nodeAddress] || _tree.records[digest].insertedBlock < _children.removedAt[nodeAddress];
     }
 
     /**
@@ -113,46 +283,238 @@ contract Node is NodeInterface, Issuer, ERC165 {
         address subject,
         bytes32 digest,
         address[] memory witnesses
-    )
-        public
-        override
-        onlyOwner // FIXME: the number of witnesses should be bounded to avoid gas limit on loops
-    {
+    ) public override onlyOwner {
+        _register(_sender(), subject, digest, witnesses, 0, 0);
+    }
+
+    /**
+     * @notice register a new credential with witnesses that is only
+     * valid within the given period
+     * @param subject The subject of the credential
+     * @param digest The digest of the credential that is being created
+     * @param witnesses The list of nodes used as witnesses
+     * @param validFrom The timestamp from which the credential is valid
+     * @param validUntil The timestamp at which the credential expires, 0 if it never expires
+     */
+    function registerCredentialWithPeriod(
+        address subject,
+        bytes32 digest,
+        address[] memory witnesses,
+        uint256 validFrom,
+        uint256 validUntil
+    ) public onlyOwner {
+        _register(_sender(), subject, digest, witnesses, validFrom, validUntil);
+    }
+
+    /**
+     * @notice register a new credential with the EIP-712 signatures of
+     * the registrars, e.g. sent by a relayer on their behalf
+     * @param subject The subject of the credential
+     * @param digest The digest of the credential that is being created
+     * @param witnesses The list of nodes used as witnesses
+     * @param validFrom The timestamp from which the credential is valid
+     * @param validUntil The timestamp at which the credential expires, 0 if it never expires
+     * @param signatures The concatenated signatures of the `Credential` typed data by the registrars
+     * @dev Every signer must be an owner, and is recorded as a signer
+     * of the credential as if it had sent `registerCredential`.
+     */
+    function registerSignedCredential(
+        address subject,
+        bytes32 digest,
+        address[] memory witnesses,
+        uint256 validFrom,
+        uint256 validUntil,
+        bytes memory signatures
+    ) public {
+        address[] memory signers = Notary.recoverSigners(subject, digest, witnesses, validFrom, validUntil, signatures);
+        _register(signers, subject, digest, witnesses, validFrom, validUntil);
+    }
+
+    /**
+     * @notice register a batch of credentials, one per subject, e.g. a cohort
+     * @param subjects The subjects of the credentials
+     * @param digests The digests of the credentials, in the subjects order
+     * @param witnesses The list of nodes used as witnesses of every credential
+     * @dev A subject cannot appear twice in the same batch, since credentials
+     * of a subject must be created in different blocks.
+     */
+    function registerCredentialsBatch(
+        address[] memory subjects,
+        bytes32[] memory digests,
+        address[] memory witnesses
+    ) public onlyOwner {
+        _checkBatch(subjects.length);
+        require(subjects.length == digests.length, "Node/mismatched batch");
+        for (uint256 i = 0; i < subjects.length; i++) {
+            _register(_sender(), subjects[i], digests[i], witnesses, 0, 0);
+        }
+    }
+
+    /**
+     * @notice register a new credential that renews an expiring
+     * credential of the same subject
+     * @param expiredDigest The digest of the expiring credential
+     * @param digest The digest of the renewal
+     * @param witnesses The list of nodes used as witnesses
+     * @param validFrom The timestamp from which the renewal is valid
+     * @param validUntil The timestamp at which the renewal expires, 0 if it never expires
+     * @dev Every registrar signing the renewal must give the same expiring
+     * credential, which is superseded once the renewal is approved.
+     */
+    function renewCredential(
+        bytes32 expiredDigest,
+        bytes32 digest,
+        address[] memory witnesses,
+        uint256 validFrom,
+        uint256 validUntil
+    ) public onlyOwner {
+        _register(_sender(), _tree.records[expiredDigest].subject, digest, witnesses, validFrom, validUntil);
+        _tree.renew(expiredDigest, digest);
+    }
+
+    /**
+     * @dev An owner of a child or of a confirmed parent cannot become
+     * owner of this node, as when the node was linked.
+     */
+    function _beforeAddOwner(address account) internal view override {
+        _children.checkOwnersOverlap(_parents, account);
+    }
+
+    function _checkBatch(uint256 size) private pure {
+        require(size > 0 && size <= MAX_BATCH_SIZE, "Node/invalid batch size");
+    }
+
+    function _sender() private view returns (address[] memory registrars) {
+        registrars = new address[](1);
+        registrars[0] = msg.sender;
+    }
+
+    // FIXME: the number of witnesses should be bounded to avoid gas limit on loops
+    function _register(
+        address[] memory registrars,
+        address subject,
+        bytes32 digest,
+        address[] memory witnesses,
+        uint256 validFrom,
+        uint256 validUntil
+    ) private {
+        bytes32 evidenceRoot;
         if (_role == Role.Leaf) {
             require(witnesses.length == 0, "Node/Leaf cannot have witnesses");
-            _registerCredential(subject, digest, bytes32(0), new address[](0));
         } else {
             assert(_role == Role.Inner);
             require(witnesses.length > 0, "Node/witness not found");
-            bytes32[] memory witenessProofs = new bytes32[](witnesses.length);
             // TODO: limit the size of witnesses
-            for (uint256 i = 0; i < witnesses.length; i++) {
-                address nodeAddress = address(witnesses[i]);
-                require(_isChild[nodeAddress], "Node/address not authorized");
-                bool isNodeLike = ERC165Checker.supportsInterface(nodeAddress, type(NodeInterface).interfaceId);
-                assert(isNodeLike);
-                NodeInterface node = NodeInterface(nodeAddress);
-                //TODO: check for re-entrancy
-                bytes32 root = node.getRoot(subject);
-                // TODO: check the time of the creation of the roots on the witnesses? And only allow roots that have a order between them.
-                // bytes32 proof = node.getProof(subject);
-                // i.e. root[subject].insertedBlock and root[subject].blockTimestamp
-                require(root != bytes32(0), "Node/root not found");
-                witenessProofs[i] = root;
-            }
+            uint256 insertedBlock = _tree.records[digest].insertedBlock;
+            (bytes32[] memory witenessProofs, uint256[] memory rootBlocks) = Witnesses.roots(
+                _children,
+                subject,
+                witnesses,
+                insertedBlock
+            );
             // FIXME: Not allow reuse of witness at same contract? keep a map of witnesses?
             // FIXME: consider use sha256(abi.encodePacked(roots, digests));
-            bytes32 evidenceRoot = CredentialSum.computeRoot(witenessProofs);
-            _registerCredential(subject, digest, evidenceRoot, witnesses);
+            evidenceRoot = CredentialSum.computeRoot(witenessProofs);
+            if (insertedBlock == 0) {
+                _witnessRootBlocks[digest] = rootBlocks;
+            }
+        }
+        for (uint256 i = 0; i < registrars.length; i++) {
+            _signCredential(registrars[i], subject, digest, evidenceRoot, witnesses, validFrom, validUntil);
         }
     }
 
+    /**
+     * @notice anchors the root aggregated for a subject in the anchor
+     * registry, if any, while the node is the root node of the tree
+     * @dev The node confirms the issuance as one of the registry owners, a
+     * root already anchored, revoked or confirmed by the node is skipped,
+     * as well as a root the registry rejects since it is not derived from
+     * all the credentials of the subject (e.g. a merkle root of a subset).
+     */
+    function _anchor(address subject, bytes32 root) private returns (bytes32) {
+        if (_anchorRegistry == address(0) || _parents.nodes.length > 0 || !_verifyCredentialRoot(subject, root)) {
+            return root;
+        }
+        Anchor registry = Anchor(_anchorRegistry);
+        if (
+            !registry.recordExists(root) &&
+            !registry.hasConfirmed(registry.issueAction(root, address(this), subject), address(this))
+        ) {
+            registry.issue(root, address(this), subject);
+        }
+        return root;
+    }
+
+    /**
+     * @return whether the root was anchored and then revoked in the anchor registry
+     */
+    function _anchorRevoked(bytes32 root) private view returns (bool) {
+        return _anchorRegistry != address(0) && Anchor(_anchorRegistry).recordRevoked(root);
+    }
+
     /**
      * @notice approves the emission of a quorum signed credential proof
      * @param digest The digest of the credential
      */
     function approveCredential(bytes32 digest) public override {
-        _approveCredential(digest);
+        _approveCredential(msg.sender, digest);
+    }
+
+    /**
+     * @notice approves a credential with the EIP-712 approval signed
+     * off-chain by its subject or a delegate, which anyone can relay
+     * @param digest The digest of the credential
+     * @param deadline The timestamp until which the approval can be submitted, 0 if it never expires
+     * @param signature The 65 bytes signature of the approver
+     */
+    function approveSignedCredential(
+        bytes32 digest,
+        uint256 deadline,
+        bytes memory signature
+    ) public {
+        _approveCredential(Notary.recoverApprover(digest, deadline, signature), digest);
+    }
+
+    /**
+     * @notice delegates the approval of the sender's credentials, e.g. to
+     * a guardian or a wallet service, for at most a year
+     * @param account The account approving on behalf of the sender
+     * @param until The timestamp until which the delegation lasts, 0 to revoke it
+     */
+    function delegateApproval(address account, uint256 until) public {
+        _tree.delegate(account, until);
+    }
+
+    /**
+     * @notice approves a batch of quorum signed credentials of the sender,
+     * or of the subjects that delegated their approval to the sender
+     * @param digests The digests of the credentials
+     */
+    function approveCredentialsBatch(bytes32[] memory digests) public {
+        _checkBatch(digests.length);
+        for (uint256 i = 0; i < digests.length; i++) {
+            _approveCredential(msg.sender, digests[i]);
+        }
+    }
+
+    /**
+     * @notice rejects a pending credential registered against the sender,
+     * which cannot be signed nor approved anymore
+     * @param digest The digest of the credential
+     */
+    function rejectCredential(bytes32 digest) public {
+        _rejectCredential(digest);
+    }
+
+    /**
+     * @notice withdraws a pending credential, e.g. registered with a wrong
+     * digest, once a quorum of owners called it with the same digest
+     * @param digest The digest of the credential
+     * @dev Approved credentials must be revoked instead.
+     */
+    function withdrawCredential(bytes32 digest) public onlyOwner {
+        _withdrawCredential(digest, keccak256(abi.encode(this.withdrawCredential.selector, digest)));
     }
 
     /**
@@ -179,7 +541,46 @@ contract Node is NodeInterface, Issuer, ERC165 {
         onlyOwner
         returns (bytes32)
     {
-        return _aggregateCredentials(subject, digests);
+        return _anchor(subject, _aggregateCredentials(subject, digests));
+    }
+
+    /**
+     * @notice aggregates the non-revoked digests of a given subject.
+     * @param subject The subject of which the credentials will be aggregate
+     */
+    function aggregateValidCredentials(address subject) public onlyOwner returns (bytes32) {
+        return _anchor(subject, _aggregateValidCredentials(subject));
+    }
+
+    /**
+     * @notice aggregates the non-revoked digests of a batch of subjects.
+     * @param subjects The subjects of which the credentials will be aggregate
+     */
+    function aggregateValidCredentialsBatch(address[] memory subjects) public onlyOwner {
+        _checkBatch(subjects.length);
+        for (uint256 i = 0; i < subjects.length; i++) {
+            _anchor(subjects[i], _aggregateValidCredentials(subjects[i]));
+        }
+    }
+
+    /**
+     * @notice appends the digests of a given subject
+     * to its existing root.
+     * @param subject The subject of which the credentials will be aggregate
+     * @param digests The list of credentials' digests issued after
+     * the last aggregation
+     */
+    function appendCredentials(address subject, bytes32[] memory digests) public onlyOwner returns (bytes32) {
+        return _anchor(subject, _appendCredentials(subject, digests));
+    }
+
+    /**
+     * @notice aggregates the digests of a given subject in a merkle tree.
+     * @param subject The subject of which the credentials will be aggregate
+     * @param digests The list of credentials' digests
+     */
+    function aggregateMerkleCredentials(address subject, bytes32[] memory digests) public onlyOwner returns (bytes32) {
+        return _anchor(subject, _aggregateMerkleCredentials(subject, digests));
     }
 
     // TODO: move verification to another contract
@@ -190,7 +591,7 @@ contract Node is NodeInterface, Issuer, ERC165 {
      * @param root The root to be checked.
      */
     function verifyCredentialRoot(address subject, bytes32 root) public view override returns (bool) {
-        return _verifyCredentialRoot(subject, root);
+        return _verifyCredentialRoot(subject, root) && !_anchorRevoked(root);
     }
 
     /**
@@ -198,84 +599,23 @@ contract Node is NodeInterface, Issuer, ERC165 {
      * the credential tree of a given subject and verifies if the given
      * root match with the current root on the root node and if all the
      * sub-trees were correctly built.
+     * If the root of the subject excludes invalid digests, the
+     * credentials left out when it was aggregated are ignored.
      * @param subject The subject of the credential tree
      */
     function verifyCredentialTree(address subject) public view override returns (bool) {
-        bytes32[] memory digests = getDigests(subject);
-        require(digests.length > 0, "Node/credential not found");
+        require(getDigests(subject).length > 0, "Node/credential not found");
+        bytes32[] memory digests = _rootDigests(subject);
+        if (digests.length == 0) {
+            return false;
+        }
         // Verify local root if exists
         if (hasRoot(subject)) {
-            if (!verifyRootOf(subject, digests)) {
+            if (!verifyRootOf(subject, digests) || _anchorRevoked(_root[subject].proof)) {
                 return false;
             }
         }
         // Verify credential and potential subtrees
-        for (uint256 i = 0; i < digests.length; i++) {
-            assert(recordExists(digests[i]));
-            if (!verifyCredential(subject, digests[i])) {
-                return false;
-            }
-            if (_role == Role.Inner && witnessesLength(digests[i]) > 0) {
-                if (!_verifyCredentialNode(subject, getEvidenceRoot(digests[i]), getWitnesses(digests[i]))) {
-                    return false;
-                }
-            }
-        }
-        return true;
-    }
-
-    /**
-     * @notice verifyCredentialNode iteractivally verifies if a given
-     * credential proof (represented by it's digest) corresponds to
-     * the aggregation of all stored proofs of a particular subject
-     * in all given sub-contracts.
-     * @param subject is the subject referred by all credentials to be verified
-     * @param croot is the current credential root for the given subject
-     * @param witnesses is an array with the address of all authorized
-     * issuers that stores the subject sub-credentials
-     */
-    function _verifyCredentialNode(
-        address subject,
-        bytes32 croot,
-        address[] memory witnesses
-    ) private view returns (bool) {
-        require(croot != bytes32(0), "Node/root cannot be null");
-        bytes32[] memory proofs = new bytes32[](witnesses.length);
-        for (uint256 i = 0; i < witnesses.length; i++) {
-            address witnessesAddress = address(witnesses[i]);
-            require(_isChild[witnessesAddress], "Node/address not authorized");
-            bool isNodeLike = ERC165Checker.supportsInterface(witnessesAddress, type(NodeInterface).interfaceId);
-            assert(isNodeLike);
-            NodeInterface node = NodeInterface(witnessesAddress);
-            if (node.isLeaf()) {
-                proofs[i] = node.getRoot(subject);
-                if (!node.verifyCredentialRoot(subject, proofs[i])) {
-                    return false;
-                }
-            } else {
-                // witness is a node, check sub-tree
-                if (!node.verifyCredentialTree(subject)) {
-                    return false;
-                }
-            }
-        }
-        return CredentialSum.verifyRoot(croot, proofs);
-    }
-
-    /**
-     * @notice addNode adds a contract node to the certification tree.
-     * @param nodeAddress The address of the new node to be added
-     */
-    // FIXME: - require a quorum of owners
-    //        - not allow adding node where the sender is an owner of the parent
-    //        - this function can be used by derivants to allows cycles,
-    // and there is no easy way to detect it other than going through all children of `nodeAddress` and checking if any reference this.
-    function _addNode(address nodeAddress, Role role) private {
-        require(address(this) != nodeAddress, "Node/cannot add itself");
-        require(!_isChild[nodeAddress], "Node/node already added");
-        require(role == Role.Leaf || role == Role.Inner, "Node/invalid child role");
-        _isChild[nodeAddress] = true;
-        _children.push(nodeAddress);
-        emit NodeAdded(msg.sender, nodeAddress, role);
+        return Witnesses.verifyCredentials(_tree, _children, _witnessRootBlocks, subject, digests);
     }
 }
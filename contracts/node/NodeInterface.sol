@@ -8,6 +8,10 @@ enum Role {
 
 interface NodeInterface {
     event NodeAdded(address indexed createdBy, address indexed nodeAddress, Role role);
+    event NodeRemoved(address indexed removedBy, address indexed nodeAddress);
+    event ParentLinked(address indexed parent);
+    event ParentConfirmed(address indexed parent);
+    event ParentRemoved(address indexed parent);
 
     /**
      * @notice create a new node on the certification tree
@@ -16,6 +20,32 @@ interface NodeInterface {
      */
     function addChild(address nodeAddress) external;
 
+    /**
+     * @notice removes a child node once confirmed by a quorum of owners
+     * @param nodeAddress The address of the node
+     */
+    function removeChild(address nodeAddress) external;
+
+    /**
+     * @notice replaces a child node by another once confirmed
+     * by a quorum of owners
+     * @param oldNode The address of the node to be removed
+     * @param newNode The address of the node to be added
+     */
+    function replaceChild(address oldNode, address newNode) external;
+
+    /**
+     * @notice records the sender as pending parent of this node,
+     * called by the parent when this node is added as its child
+     */
+    function linkParent() external;
+
+    /**
+     * @notice discards the sender as parent of this node,
+     * called by the parent when this node is removed
+     */
+    function unlinkParent() external;
+
     /**
      * @notice approves the emission of a quorum signed credential proof
      * @param digest The digest of the credential
@@ -62,6 +92,13 @@ interface NodeInterface {
      */
     function isChild(address) external view returns (bool);
 
+    /**
+     * @notice checks whether the given node is a confirmed parent
+     * of this node or of one of its ancestors
+     * @param depth The number of ancestry levels left to walk
+     */
+    function isAncestor(address node, uint256 depth) external view returns (bool);
+
     /**
      * @return the address of the parent of this node.
      */
@@ -72,12 +109,24 @@ interface NodeInterface {
      */
     function getRole() external view returns (Role);
 
+    /**
+     * @return true if the parents can use the roots of this node
+     * as witnesses, false otherwise.
+     */
+    function canWitness() external view returns (bool);
+
     /**
      * @param subject The subject of the credential
      * @return the aggregated root of all credentials of a subject
      */
     function getRoot(address subject) external view returns (bytes32);
 
+    /**
+     * @param subject The subject of the credential
+     * @return the block in which the root of a subject was aggregated
+     */
+    function getRootBlock(address subject) external view returns (uint256);
+
     /**
      * @notice verifyCredentialTree verifies if the credential tree
      * of the given subject is valid
@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.0 <0.9.0;
+
+import "./Node.sol";
+import "../Timed.sol";
+
+/**
+ * @title A node limited to a period, e.g. a course in a semester
+ * @notice Credentials are only registered while the period is running and
+ * aggregated once it has ended, when the parents can use it as witness.
+ */
+contract TimedNode is Timed, Node {
+    constructor(
+        Role role,
+        address[] memory registrars,
+        uint8 quorum,
+        uint256 startingTime,
+        uint256 endingTime
+    ) Timed(startingTime, endingTime) Node(role, registrars, quorum) {
+        // solhint-disable-previous-line no-empty-blocks
+    }
+
+    /**
+     * @notice extends the period while it is still running
+     * @param newEndingTime the new ending time
+     */
+    function extendTime(uint256 newEndingTime) public onlyOwner {
+        _extendTime(newEndingTime);
+    }
+
+    /**
+     * @return true if the period has ended, false otherwise.
+     */
+    function canWitness() public view override returns (bool) {
+        return hasEnded();
+    }
+
+    function _signCredential(
+        address registrar,
+        address subject,
+        bytes32 digest,
+        bytes32 eRoot,
+        address[] memory witnesses,
+        uint256 validFrom,
+        uint256 validUntil
+    ) internal override onlyAfterStart whileNotEnded {
+        super._signCredential(registrar, subject, digest, eRoot, witnesses, validFrom, validUntil);
+    }
+
+    function _beforeAggregation(address) internal view override {
+        require(hasEnded(), "TimedNode/period not ended yet");
+    }
+}
@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.8.0 <0.9.0;
+
+import "../ERC165Checker.sol";
+import "./NodeInterface.sol";
+import "./Children.sol";
+import "../notary/Notary.sol";
+import "../aggregator/CredentialSum.sol";
+
+/**
+ * @title Witnesses
+ * @notice Reads and verifies the roots of the children nodes used
+ * as witnesses of the credentials of an inner node.
+ */
+library Witnesses {
+    using Notary for Notary.CredentialTree;
+
+    /**
+     * @notice returns the current roots of a subject in the witnesses,
+     * which must be children of the calling node
+     * @param children The children of the calling node
+     * @param subject The subject of the credential
+     * @param witnesses The list of nodes used as witnesses
+     * @param insertedBlock The block of the credential registration, 0 if not registered yet
+     * @return proofs the roots of the witnesses
+     * @return rootBlocks the blocks in which the roots were aggregated
+     * @dev The co-signers must use the roots that precede the credential.
+     */
+    function roots(
+        Children.Set storage children,
+        address subject,
+        address[] memory witnesses,
+        uint256 insertedBlock
+    ) public view returns (bytes32[] memory proofs, uint256[] memory rootBlocks) {
+        proofs = new bytes32[](witnesses.length);
+        rootBlocks = new uint256[](witnesses.length);
+        for (uint256 i = 0; i < witnesses.length; i++) {
+            require(children.isChild[witnesses[i]], "Node/address not authorized");
+            NodeInterface node = _node(witnesses[i]);
+            require(node.canWitness(), "Node/witness cannot be used yet");
+            //TODO: check for re-entrancy
+            proofs[i] = node.getRoot(subject);
+            require(proofs[i] != bytes32(0), "Node/root not found");
+            rootBlocks[i] = node.getRootBlock(subject);
+            require(insertedBlock == 0 || rootBlocks[i] <= insertedBlock, "Node/root newer than credential");
+        }
+    }
+
+    /**
+     * @notice verifies the sub-trees of a subject in the witnesses, which
+     * must be children of the calling node or removed after the credential
+     * @param children The children of the calling node
+     * @param subject The subject of the credential
+     * @param witnesses The list of nodes used as witnesses
+     * @param insertedBlock The block of the credential registration
+     * @param rootBlocks The blocks of the witnesses' roots when the credential was registered
+     * @return valid whether every sub-tree is valid
+     * @return proofs the roots of the witnesses
+     * @dev The witnesses' roots must be the ones used when the credential
+     * was registered, i.e. aggregated in the same blocks, otherwise the
+     * sub-trees are not valid.
+     */
+    function verify(
+        Children.Set storage children,
+        address subject,
+        address[] memory witnesses,
+        uint256 insertedBlock,
+        uint256[] memory rootBlocks
+    ) public view returns (bool valid, bytes32[] memory proofs) {
+        proofs = new bytes32[](witnesses.length);
+        for (uint256 i = 0; i < witnesses.length; i++) {
+            require(
+                children.isChild[witnesses[i]] || insertedBlock < children.removedAt[witnesses[i]],
+                "Node/address not authorized"
+            );
+            NodeInterface node = _node(witnesses[i]);
+            proofs[i] = node.getRoot(subject);
+            if (node.getRootBlock(subject) != rootBlocks[i]) {
+                return (false, proofs);
+            }
+            if (node.isLeaf()) {
+                if (!node.verifyCredentialRoot(subject, proofs[i])) {
+                    return (false, proofs);
+                }
+            } else {
+                // witness is a node, check sub-tree
+                if (!node.verifyCredentialTree(subject)) {
+                    return (false, proofs);
+                }
+            }
+        }
+        return (true, proofs);
+    }
+
+    /**
+     * @notice verifies the credentials of a subject and whether the
+     * evidence root of each credential corresponds to the aggregation
+     * of the sub-trees of the subject in its witnesses
+     * @param tree The credential tree of the calling node
+     * @param children The children of the calling node
+     * @param witnessRootBlocks The blocks of the witnesses' roots of each credential
+     * @param subject The subject of the credentials
+     * @param digests The digests of the credentials
+     */
+    function verifyCredentials(
+        Notary.CredentialTree storage tree,
+        Children.Set storage children,
+        mapping(bytes32 => uint256[]) storage witnessRootBlocks,
+        address subject,
+        bytes32[] memory digests
+    ) public view returns (bool) {
+        for (uint256 i = 0; i < digests.length; i++) {
+            if (!tree.verifyCredential(subject, digests[i])) {
+                return false;
+            }
+            Notary.CredentialProof storage c = tree.records[digests[i]];
+            if (c.witnesses.length > 0) {
+                require(c.evidenceRoot != bytes32(0), "Node/root cannot be null");
+                (bool valid, bytes32[] memory proofs) = verify(
+                    children,
+                    subject,
+                    c.witnesses,
+                    c.insertedBlock,
+                    witnessRootBlocks[digests[i]]
+                );
+                if (!valid || !CredentialSum.verifyRoot(c.evidenceRoot, proofs)) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    function _node(address nodeAddress) private view returns (NodeInterface) {
+        bool isNodeLike = ERC165Checker.supportsInterface(nodeAddress, type(NodeInterface).interfaceId);
+        assert(isNodeLike);
+        return NodeInterface(nodeAddress);
+    }
+}
@@ -41,13 +41,33 @@ abstract contract Issuer is Owners {
     // Logged when a credential is signed.
     event CredentialSigned(address indexed signer, bytes32 indexed digest, uint256 signedBlock);
 
+    // Logged when a credential is registered as the renewal of an expiring one.
+    event CredentialRenewed(bytes32 indexed expiredDigest, bytes32 indexed digest, address indexed subject);
+
+    // Logged when the subject rejects a pending credential.
+    event CredentialRejected(bytes32 indexed digest, address indexed subject, uint256 rejectedBlock);
+
+    // Logged when a quorum of owners withdraws a pending credential.
+    event CredentialWithdrawn(bytes32 indexed digest, address indexed subject, uint256 withdrawnBlock);
+
+    // Logged when a subject delegates the approval of its credentials, or revokes it (until is 0).
+    event ApprovalDelegated(address indexed subject, address indexed delegate, uint256 until);
+
+    // Logged when a credential is approved by its subject or by one of its delegates (the approver).
+    event CredentialApproved(
+        bytes32 indexed digest,
+        address indexed subject,
+        address indexed approver,
+        uint256 approvedBlock
+    );
+
     modifier notRevoked(bytes32 digest) {
-        require(!isRevoked(digest), "Issuer/credential revoked");
+        _notRevoked(digest);
         _;
     }
 
     modifier hasIssuedCredentials(address subject) {
-        require(_tree.issued[subject].length > 0, "Issuer/there are no credentials");
+        _hasIssuedCredentials(subject);
         _;
     }
 
@@ -63,12 +83,35 @@ abstract contract Issuer is Owners {
         return _tree.issued[subject];
     }
 
+    /**
+     * @notice returns a page of the issued digests of a subject, e.g. the
+     * valid (Approved) or revoked ones, or the ones registered between blocks
+     * @param subject The subject of the credential
+     * @param status The status of the digests, None for any status
+     * @param fromBlock The first block of the credentials registration
+     * @param toBlock The last block of the credentials registration, 0 for no bound
+     * @param offset The index of the issued digest from which the page starts
+     * @param limit The maximum number of issued digests read by the page
+     * @return digests the matching digests of the page, in issuing order
+     * @return next the offset of the next page, 0 if it is the last one
+     */
+    function getDigestsPage(
+        address subject,
+        Notary.Status status,
+        uint256 fromBlock,
+        uint256 toBlock,
+        uint256 offset,
+        uint256 limit
+    ) public view returns (bytes32[] memory digests, uint256 next) {
+        return _tree.digestsPage(subject, Notary.Filter(status, fromBlock, toBlock), offset, limit);
+    }
+
     /**
      * @param digest The digest of the credential
      * @return the registered credential proof
      */
     function getCredentialProof(bytes32 digest) public view returns (Notary.CredentialProof memory) {
-        return _tree.getCredentialProof(digest);
+        return _tree.records[digest];
     }
 
     /**
@@ -76,7 +119,23 @@ abstract contract Issuer is Owners {
      * @return the revoked credential proof
      */
     function getRevokedProof(bytes32 digest) public view returns (Notary.RevocationProof memory) {
-        return _tree.getRevokedProof(digest);
+        return _tree.revoked[digest];
+    }
+
+    /**
+     * @param digest The digest of the credential
+     * @return the current status of a credential
+     */
+    function getCredentialStatus(bytes32 digest) public view returns (Notary.Status) {
+        return _tree.status(digest, _quorum);
+    }
+
+    /**
+     * @param digests The digests of the credentials
+     * @return the current status of each credential, in the given order
+     */
+    function getStatuses(bytes32[] memory digests) public view returns (Notary.Status[] memory) {
+        return _tree.statuses(digests, _quorum);
     }
 
     /**
@@ -87,16 +146,22 @@ abstract contract Issuer is Owners {
      * credential yet.
      */
     function getCredentialSigners(bytes32 digest) public view returns (address[] memory) {
-        address[] memory signers = new address[](_owners.length);
-        uint256 index = 0;
-        uint256 i = 0;
-        for (; i < _owners.length; i++) {
-            if (_tree.credentialSigners[digest][_owners[i]]) {
-                signers[index] = _owners[i];
-                index++;
-            }
-        }
-        return signers;
+        return _tree.signers(digest, _owners);
+    }
+
+    /**
+     * @param digest The digest of the credential
+     * @param offset The index of the owner from which the page starts
+     * @param limit The maximum number of owners read by the page
+     * @return signers the owners of the page that signed the credential
+     * @return next the offset of the next page, 0 if it is the last one
+     */
+    function getCredentialSignersPage(
+        bytes32 digest,
+        uint256 offset,
+        uint256 limit
+    ) public view returns (address[] memory signers, uint256 next) {
+        return _tree.signersPage(digest, _owners, offset, limit);
     }
 
     /**
@@ -104,7 +169,7 @@ abstract contract Issuer is Owners {
      * @param digest The digest of the credential
      */
     function isQuorumSigned(bytes32 digest) public view returns (bool) {
-        return _tree.isQuorumSigned(digest, _quorum);
+        return _tree.records[digest].signed >= _quorum;
     }
 
     /**
@@ -114,7 +179,7 @@ abstract contract Issuer is Owners {
      * @param account The registrar's account
      */
     function isSigned(bytes32 digest, address account) public view returns (bool) {
-        return _tree.isSigned(digest, account);
+        return _tree.credentialSigners[digest][account];
     }
 
     /**
@@ -166,7 +231,7 @@ abstract contract Issuer is Owners {
      * @return true if an credential proof exists, false otherwise.
      */
     function recordExists(bytes32 digest) public view returns (bool) {
-        return _tree.recordExists(digest);
+        return _tree.records[digest].insertedBlock != 0;
     }
 
     /**
@@ -175,7 +240,7 @@ abstract contract Issuer is Owners {
      * @return true if a revocation exists, false otherwise.
      */
     function isRevoked(bytes32 digest) public view returns (bool) {
-        return _tree.isRevoked(digest);
+        return _tree.revoked[digest].revokedBlock != 0;
     }
 
     /**
@@ -197,13 +262,66 @@ abstract contract Issuer is Owners {
         return _root[subject].verifySelfRoot(digests);
     }
 
+    function _checkAggregation(address subject, bytes32[] memory digests) private view {
+        _beforeAggregation(subject);
+        require(_tree.verifyProofs(subject, digests), "Issuer/has invalid credentials");
+    }
+
+    function _notRevoked(bytes32 digest) private view {
+        require(!isRevoked(digest), "Issuer/credential revoked");
+    }
+
+    function _hasIssuedCredentials(address subject) private view {
+        require(_tree.issued[subject].length > 0, "Issuer/there are no credentials");
+    }
+
+    /**
+     * @param digest The digest of the credential
+     * @return renews the digest of the credential renewed by the given one
+     * @return renewedBy the digest of the renewal of the given credential
+     */
+    function getRenewal(bytes32 digest) public view returns (bytes32 renews, bytes32 renewedBy) {
+        return (_tree.renews[digest], _tree.renewedBy[digest]);
+    }
+
     /**
      * @notice approves the emission of a quorum signed credential proof
+     * @param approver The subject of the credential or one of its delegates
      * @param digest The digest of the credential
      */
-    function _approveCredential(bytes32 digest) internal notRevoked(digest) {
+    function _approveCredential(address approver, bytes32 digest) internal notRevoked(digest) {
         require(quorum() > 0, "Issuer/no quorum found");
-        require(_tree._approve(digest, quorum()), "Issuer/approval failed");
+        require(_tree.approve(approver, digest, quorum()), "Issuer/approval failed");
+    }
+
+    /**
+     * @notice rejects a pending credential registered against the sender
+     * @param digest The digest of the credential
+     */
+    function _rejectCredential(bytes32 digest) internal {
+        _tree.reject(digest);
+    }
+
+    /**
+     * @notice withdraws a pending credential once a quorum of owners
+     * confirmed the action
+     * @param digest The digest of the credential
+     * @param action The identifier of the withdrawal confirmed by the owners
+     */
+    function _withdrawCredential(bytes32 digest, bytes32 action) internal onlyOwner {
+        require(_tree.isPending(digest), "Issuer/credential not pending");
+        if (_confirm(action)) {
+            _tree.withdraw(digest);
+        }
+    }
+
+    /**
+     * @param subject The subject delegating the approval of its credentials
+     * @param account The delegate account
+     * @return the timestamp until which the account can approve the subject's credentials
+     */
+    function delegatedUntil(address subject, address account) public view returns (uint256) {
+        return _tree.delegates[subject][account];
     }
 
     /**
@@ -211,7 +329,7 @@ abstract contract Issuer is Owners {
      * @param digest The digest of the credential to be verified
      */
     function isApproved(bytes32 digest) public view returns (bool) {
-        return _tree.isApproved(digest);
+        return _tree.records[digest].approved;
     }
 
     /**
@@ -226,7 +344,7 @@ abstract contract Issuer is Owners {
     function _revokeCredential(bytes32 digest, bytes32 reason) internal notRevoked(digest) {
         address subject = _tree.records[digest].subject;
         require(isOwner(msg.sender) || subject == msg.sender, "Issuer/sender not authorized");
-        _tree._revoke(digest, reason);
+        _tree.revoke(digest, reason);
     }
 
     /**
@@ -243,10 +361,86 @@ abstract contract Issuer is Owners {
     {
         // TODO: Alternatively, consider to hash the credential proofs instead of only the digests, i.e.: sha256(abi.encode(issuedCredentials[issued[i]]));
         // FIXME: the number of digests should be bounded to avoid gas limit on loops
-        require(_tree._verifyProofs(subject, digests), "Issuer/has invalid credentials");
+        _checkAggregation(subject, digests);
         return _root[subject].generateRoot(subject, digests);
     }
 
+    /**
+     * @notice aggregates all non-revoked digests of a given subject,
+     * in issuing order, keeping the digests left out alongside the root.
+     * Credentials superseded by an approved renewal or outside their
+     * validity period are left out too.
+     * @param subject The subject of which the credentials will be aggregate
+     */
+    function _aggregateValidCredentials(address subject)
+        internal
+        onlyOwner
+        hasIssuedCredentials(subject)
+        returns (bytes32)
+    {
+        (bytes32[] memory digests, bytes32[] memory excluded) = _tree.validDigests(subject);
+        _checkAggregation(subject, digests);
+        return _root[subject].generateValidRoot(subject, digests, excluded);
+    }
+
+    /**
+     * @notice appends the digests of a given subject to its
+     * existing root, without re-submitting the aggregated ones.
+     * @param subject The subject of which the credentials will be aggregate
+     * @param digests The list of credentials' digests issued after
+     * the last aggregation, in the issuing order
+     */
+    function _appendCredentials(address subject, bytes32[] memory digests)
+        internal
+        onlyOwner
+        hasIssuedCredentials(subject)
+        returns (bytes32)
+    {
+        _checkAggregation(subject, digests);
+        return _root[subject].appendRoot(subject, digests);
+    }
+
+    /**
+     * @notice aggregates the digests of a given subject
+     * in a merkle tree, allowing to prove each credential
+     * individually through `verifyCredentialInclusion`.
+     * @param subject The subject of which the credentials will be aggregate
+     * @param digests The list of credentials' digests
+     */
+    function _aggregateMerkleCredentials(address subject, bytes32[] memory digests)
+        internal
+        onlyOwner
+        hasIssuedCredentials(subject)
+        returns (bytes32)
+    {
+        _checkAggregation(subject, digests);
+        return _root[subject].generateMerkleRoot(subject, digests);
+    }
+
+    /**
+     * @notice hook called before the credentials of a subject are aggregated
+     * @dev Derived contracts revert to forbid the aggregation, e.g. while
+     * credentials can still be issued.
+     */
+    function _beforeAggregation(address) internal view virtual {
+        // solhint-disable-previous-line no-empty-blocks
+    }
+
+    /**
+     * @notice checks whether a valid credential is included in the
+     * merkle root of a subject without requiring the other digests.
+     * @param subject The subject of the credential
+     * @param digest The digest of the credential
+     * @param proof The sibling hashes from the digest to the root
+     */
+    function verifyCredentialInclusion(
+        address subject,
+        bytes32 digest,
+        bytes32[] memory proof
+    ) public view returns (bool) {
+        return verifyCredential(subject, digest) && _root[subject].verifySelfInclusion(digest, proof);
+    }
+
     /**
      * @notice checks whether the root exists
      * and was correctly built based on the existent tree.
@@ -260,7 +454,16 @@ abstract contract Issuer is Owners {
         returns (bool)
     {
         // Stored root must be derived from current digests of the subject
-        return _root[subject].verifySelfRoot(_tree.issued[subject]) && _root[subject].proof == root;
+        return _root[subject].verifySelfRoot(_rootDigests(subject)) && _root[subject].proof == root;
+    }
+
+    /**
+     * @return the digests expected in the root of a subject, i.e. the
+     * issued ones but those left out when the root was aggregated, so
+     * that the credentials becoming invalid later do not change them
+     */
+    function _rootDigests(address subject) internal view returns (bytes32[] memory) {
+        return _root[subject].includedDigests(_tree.issued[subject]);
     }
 
     /**
@@ -268,22 +471,31 @@ abstract contract Issuer is Owners {
      * of a given subject are valid.
      * @param subject The subject of the credential
      * @dev This function checks over all issued credentials if there is
-     * any credentials there was not approved.
+     * any credentials there was not approved or is out of its validity period.
      */
-    // TODO: Add period verification
     function verifyIssuedCredentials(address subject) public view hasIssuedCredentials(subject) returns (bool) {
-        return _tree._verifyIssuedCredentials(subject);
+        return _tree.verifyIssuedCredentials(subject);
+    }
+
+    /**
+     * @notice verifyValidCredentials checks whether the non-revoked
+     * credentials of a given subject are valid, ignoring the revoked ones.
+     * @param subject The subject of the credential
+     */
+    function verifyValidCredentials(address subject) public view hasIssuedCredentials(subject) returns (bool) {
+        (bytes32[] memory valid, ) = _tree.validDigests(subject);
+        return valid.length > 0 && _tree.verifyProofs(subject, valid);
     }
 
     /**
      * @notice verifyCredential checks whether the credential is valid.
-     * @dev A valid credential is the one signed by all parties and that
-     * is not revoked.
+     * @dev A valid credential is the one signed by all parties, that
+     * is not revoked and that is within its validity period.
      * @param subject The subject of the credential
      * @param digest The digest of the credential
      */
     function verifyCredential(address subject, bytes32 digest) public view returns (bool) {
-        return _tree._verifyCredential(subject, digest);
+        return _tree.verifyCredential(subject, digest);
     }
 
     /**
@@ -291,16 +503,7 @@ abstract contract Issuer is Owners {
      * @param subject The subject that owns the credentials
      */
     function getRevoked(address subject) public view hasIssuedCredentials(subject) returns (bytes32[] memory) {
-        bytes32[] memory revoked = new bytes32[](_tree.revokedCounter[subject]);
-        uint256 index = 0;
-        uint256 i = 0;
-        for (; i < _tree.issued[subject].length; i++) {
-            if (isRevoked(_tree.issued[subject][i])) {
-                revoked[index] = _tree.issued[subject][i];
-                index++;
-            }
-        }
-        return revoked;
+        return _tree.revokedDigests(subject);
     }
 
     /**
@@ -317,6 +520,8 @@ abstract contract Issuer is Owners {
      * @param digest The digest of the credential
      * @param eRoot The resulted hash of all witnesses' roots
      * @param witnesses The list of all witnesses contracts
+     * @param validFrom The timestamp from which the credential is valid
+     * @param validUntil The timestamp at which the credential expires, 0 if it never expires
      */
     // TODO: check if subject isn't a contract address?
     // Use `extcodesize` can be tricky since it will also return 0 for the constructor method of a contract, but it seems that isn't a problem in this context, since it isn't being used to prevent any action.
@@ -326,9 +531,30 @@ abstract contract Issuer is Owners {
         address subject,
         bytes32 digest,
         bytes32 eRoot,
-        address[] memory witnesses
-    ) internal onlyOwner notRevoked(digest) {
+        address[] memory witnesses,
+        uint256 validFrom,
+        uint256 validUntil
+    ) internal onlyOwner {
+        _signCredential(msg.sender, subject, digest, eRoot, witnesses, validFrom, validUntil);
+    }
+
+    /**
+     * @notice registers the signature of a registrar on a credential proof,
+     * e.g. recovered from its off-chain signature
+     * @param registrar The owner signing the credential
+     * @dev See `_registerCredential` for the other parameters.
+     */
+    function _signCredential(
+        address registrar,
+        address subject,
+        bytes32 digest,
+        bytes32 eRoot,
+        address[] memory witnesses,
+        uint256 validFrom,
+        uint256 validUntil
+    ) internal virtual notRevoked(digest) {
+        require(isOwner(registrar), "Issuer/signer is not an owner");
         require(!isOwner(subject), "Issuer/forbidden registrar");
-        _tree._issue(subject, digest, eRoot, witnesses);
+        _tree.issue(registrar, subject, digest, eRoot, witnesses, validFrom, validUntil);
     }
 }
@@ -18,6 +18,10 @@ library Notary {
         address subject; // The entity address refered by a proof
         address[] witnesses; // if witnesses is empty is a leaf notary, otherwise is a list of inner notaries
         bytes32 evidenceRoot; // if is a leaf root is zero otherwise is the result of the aggregation of the digests at the witnesses
+        uint256 validFrom; // The timestamp from which the credential is valid
+        uint256 validUntil; // The timestamp at which the credential expires (0 if it never expires)
+        bool rejected; // Whether the subject rejected the pending credential
+        bool withdrawn; // Whether a quorum of owners withdrew the pending credential
     }
 
     /**
@@ -31,6 +35,32 @@ library Notary {
         bytes32 reason; // digest of the reason of the revocation
     }
 
+    /**
+     * @notice Status of a credential, new statuses are appended
+     * to keep the values of the existing ones.
+     */
+    enum Status {
+        None, // Not registered
+        Pending, // Waiting for the signatures of a quorum of owners
+        QuorumReached, // Waiting for the approval of the subject
+        Approved, // Valid
+        Revoked,
+        Rejected,
+        Withdrawn,
+        Renewed, // Superseded by an approved renewal
+        Expired, // Approved but after its validity period
+        NotYetValid // Approved but before its validity period
+    }
+
+    /**
+     * @notice Filter of the issued digests of a subject
+     */
+    struct Filter {
+        Status status; // The status of the digests, None for any status
+        uint256 fromBlock; // The first block of the credentials registration
+        uint256 toBlock; // The last block of the credentials registration, 0 for no bound
+    }
+
     /**
      * @notice define the credential tree structure
      */
@@ -52,8 +82,30 @@ library Notary {
         mapping(address => uint256) revokedCounter;
         // Maps digest to owners that already signed it
         mapping(bytes32 => mapping(address => bool)) credentialSigners;
+        // Maps a renewal digest to the digest of the expiring credential
+        mapping(bytes32 => bytes32) renews;
+        // Maps an expiring credential digest to the digest of its renewal
+        mapping(bytes32 => bytes32) renewedBy;
+        // Maps subjects to the timestamp until which a delegate can approve their credentials
+        mapping(address => mapping(address => uint256)) delegates;
     }
 
+    // EIP-712 type hashes of the credentials signed off-chain by the registrars
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,address verifyingContract)");
+    bytes32 private constant CREDENTIAL_TYPEHASH =
+        keccak256(
+            "Credential(address subject,bytes32 digest,address[] witnesses,uint256 validFrom,uint256 validUntil)"
+        );
+
+    bytes32 private constant APPROVAL_TYPEHASH = keccak256("Approval(bytes32 digest,uint256 deadline)");
+
+    // Longest period during which a delegate can approve the credentials of a subject
+    uint256 private constant MAX_DELEGATION = 365 days;
+
+    // Upper bound of the `s` value of non-malleable signatures, see EIP-2
+    uint256 private constant MAX_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+
     // Logged when a credential is issued/created.
     event CredentialIssued(
         bytes32 indexed digest,
@@ -74,6 +126,225 @@ library Notary {
     // Logged when a credential is signed.
     event CredentialSigned(address indexed signer, bytes32 indexed digest, uint256 signedBlock);
 
+    // Logged when a credential is registered as the renewal of an expiring one.
+    event CredentialRenewed(bytes32 indexed expiredDigest, bytes32 indexed digest, address indexed subject);
+
+    // Logged when the subject rejects a pending credential.
+    event CredentialRejected(bytes32 indexed digest, address indexed subject, uint256 rejectedBlock);
+
+    // Logged when a quorum of owners withdraws a pending credential.
+    event CredentialWithdrawn(bytes32 indexed digest, address indexed subject, uint256 withdrawnBlock);
+
+    // Logged when a subject delegates the approval of its credentials, or revokes it (until is 0).
+    event ApprovalDelegated(address indexed subject, address indexed delegate, uint256 until);
+
+    // Logged when a credential is approved by its subject or by one of its delegates (the approver).
+    event CredentialApproved(
+        bytes32 indexed digest,
+        address indexed subject,
+        address indexed approver,
+        uint256 approvedBlock
+    );
+
+    /**
+     * @notice issue a credential proof ensuring an append-only property
+     * @param registrar The owner signing the credential
+     * @param subject The subject of the credential
+     * @param digest The digest of the credential
+     * @param eRoot The resulted hash of all witnesses' roots
+     * @param witnesses The list of all witnesses contracts
+     * @param validFrom The timestamp from which the credential is valid
+     * @param validUntil The timestamp at which the credential expires, 0 if it never expires
+     */
+    function issue(
+        CredentialTree storage self,
+        address registrar,
+        address subject,
+        bytes32 digest,
+        bytes32 eRoot,
+        address[] memory witnesses,
+        uint256 validFrom,
+        uint256 validUntil
+    ) public {
+        require(!self.credentialSigners[digest][registrar], "Notary/sender already signed");
+        if (self.records[digest].insertedBlock == 0) {
+            // Creation
+            require(validUntil == 0 || validUntil > validFrom, "Notary/invalid validity period");
+            if (self.previous[subject] != bytes32(0)) {
+                assert(self.records[self.previous[subject]].insertedBlock != 0);
+                CredentialProof memory c = self.records[self.previous[subject]];
+                // Ensure that a previous certificate happens before the new one.
+                require(c.insertedBlock < block.number, "Notary/block number violation");
+                // require(
+                //     // solhint-disable-next-line not-rely-on-time
+                //     c.blockTimestamp < block.timestamp,
+                //     "Notary/timestamp violation"
+                // );
+            }
+            self.records[digest] = CredentialProof(
+                1,
+                block.number,
+                block.timestamp, // solhint-disable-line not-rely-on-time
+                ++self.nonce[subject],
+                digest,
+                false,
+                registrar,
+                subject,
+                witnesses,
+                eRoot,
+                validFrom,
+                validUntil,
+                false,
+                false
+            );
+            self.previous[subject] = digest;
+            emit CredentialIssued(digest, subject, registrar, block.number);
+        } else {
+            CredentialProof memory c = self.records[digest];
+            require(c.subject == subject, "Notary/digest already registered");
+            require(!c.rejected && !c.withdrawn, "Notary/credential not pending");
+            //TODO: Check the same witnesses
+            require(c.evidenceRoot == eRoot, "Notary/mismatched evidence root");
+            require(c.witnesses.length == witnesses.length, "Notary/mismatched witnesses");
+            require(c.validFrom == validFrom && c.validUntil == validUntil, "Notary/mismatched validity");
+            // Register sign action
+            ++self.records[digest].signed;
+        }
+        self.credentialSigners[digest][registrar] = true;
+        emit CredentialSigned(registrar, digest, block.number);
+    }
+
+    /**
+     * @notice links a registered credential to the expiring credential
+     * of the same subject it renews
+     * @param expiredDigest The digest of the expiring credential
+     * @param digest The digest of the renewal
+     * @dev The renewal supersedes the expiring credential once approved.
+     */
+    function renew(
+        CredentialTree storage self,
+        bytes32 expiredDigest,
+        bytes32 digest
+    ) public {
+        CredentialProof storage expired = self.records[expiredDigest];
+        require(expired.approved && expired.validUntil != 0, "Notary/not renewable");
+        require(expired.subject == self.records[digest].subject, "Notary/not owned by subject");
+        bytes32 previous = self.renews[digest];
+        if (previous == bytes32(0)) {
+            require(self.renewedBy[expiredDigest] == bytes32(0), "Notary/already renewed");
+            self.renews[digest] = expiredDigest;
+            self.renewedBy[expiredDigest] = digest;
+            emit CredentialRenewed(expiredDigest, digest, self.records[digest].subject);
+        } else {
+            require(previous == expiredDigest, "Notary/mismatched renewal");
+        }
+    }
+
+    /**
+     * @notice delegates the approval of the sender's credentials until a
+     * given time, e.g. to a guardian or a wallet service
+     * @param account The account approving on behalf of the sender
+     * @param until The timestamp until which the delegation lasts, 0 to revoke it
+     * @dev The delegation is bounded to MAX_DELEGATION from now.
+     */
+    function delegate(
+        CredentialTree storage self,
+        address account,
+        uint256 until
+    ) public {
+        require(account != address(0) && account != msg.sender, "Notary/invalid delegate");
+        require(
+            // solhint-disable-next-line not-rely-on-time
+            until == 0 || (until > block.timestamp && until <= block.timestamp + MAX_DELEGATION),
+            "Notary/invalid delegation period"
+        );
+        self.delegates[msg.sender][account] = until;
+        emit ApprovalDelegated(msg.sender, account, until);
+    }
+
+    /**
+     * @notice approve the emission of a quorum signed credential proof
+     * @param approver The subject of the credential or one of its delegates
+     * @param digest The digest of the credential
+     */
+    function approve(
+        CredentialTree storage self,
+        address approver,
+        bytes32 digest,
+        uint256 quorum
+    ) public returns (bool) {
+        address subject = self.records[digest].subject;
+        require(canApprove(self, digest, approver), "Notary/wrong subject");
+        require(!self.records[digest].approved, "Notary/credential already signed");
+        require(isPending(self, digest), "Notary/credential not pending");
+        require(self.records[digest].signed >= quorum, "Notary/no quorum of signatures");
+        // Mark the record as approved
+        self.records[digest].approved = true;
+        // Add the record to the issued list
+        self.issued[subject].push(digest);
+        // FIXME: emit events here or in the contract?
+        emit CredentialSigned(msg.sender, digest, block.number);
+        emit CredentialApproved(digest, subject, approver, block.number);
+        return true;
+    }
+
+    /**
+     * @notice rejects a pending credential registered against the sender
+     * @param digest The digest of the credential
+     * @dev A rejected credential cannot be signed nor approved anymore.
+     */
+    function reject(CredentialTree storage self, bytes32 digest) public {
+        require(self.records[digest].subject == msg.sender, "Notary/wrong subject");
+        require(isPending(self, digest), "Notary/credential not pending");
+        self.records[digest].rejected = true;
+        emit CredentialRejected(digest, msg.sender, block.number);
+    }
+
+    /**
+     * @notice withdraws a pending credential, e.g. registered with a wrong digest
+     * @param digest The digest of the credential
+     * @dev The caller must ensure that a quorum of owners confirmed it.
+     * A withdrawn credential cannot be signed nor approved anymore.
+     */
+    function withdraw(CredentialTree storage self, bytes32 digest) public {
+        require(isPending(self, digest), "Notary/credential not pending");
+        self.records[digest].withdrawn = true;
+        emit CredentialWithdrawn(digest, self.records[digest].subject, block.number);
+    }
+
+    /**
+     * @notice revokeCredential revokes a credential for a given reason
+     * based on it's digest.
+     * @param digest The digest of the credential
+     * @param reason The hash of the reason of the revocation
+     * @dev The reason should be publicaly available for anyone to inspect
+     * (i.e. Stored in a public swarm/ipfs address). The function can be
+     * called either by the registrar or by the subject of the credential.
+     */
+    //TODO: should we ensure that the sender is one of the owners here?
+    // or only on the caller?
+    // To check it here, the lib will need to keep the contract owners too
+    function revoke(
+        CredentialTree storage self,
+        bytes32 digest,
+        bytes32 reason
+    ) public {
+        require(recordExists(self, digest), "Notary/credential not found");
+        address subject = self.records[digest].subject;
+        require(subject != address(0), "Notary/subject cannot be zero");
+        ++self.revokedCounter[subject];
+        self.revoked[digest] = RevocationProof(msg.sender, subject, block.number, reason);
+        // TODO: analyse the consequence of deleting the proof.
+        // delete self.records[digest];
+        // Revoked credentials are kept in the `issued` array, since
+        // the digests order is important for the aggregation and
+        // the array cannot be efficiently updated by moving the
+        // last element into deleted indexes. Hence, verifying all
+        // issued credentials fails if at least one was revoked,
+        // use `validDigests` to ignore the revoked digests instead.
+        emit CredentialRevoked(digest, subject, msg.sender, block.number, reason);
+    }
+
     /**
      * @param digest The digest of the credential
      * @return the issued credential proof
@@ -139,6 +410,26 @@ library Notary {
         return self.credentialSigners[digest][account];
     }
 
+    /**
+     * @notice returns the owners that signed a credential proof, in the
+     * owners order, followed by zero addresses for those who did not
+     * @param digest The digest of the credential
+     * @param owners The owners of the calling contract
+     */
+    function signers(
+        CredentialTree storage self,
+        bytes32 digest,
+        address[] storage owners
+    ) public view returns (address[] memory result) {
+        result = new address[](owners.length);
+        uint256 index = 0;
+        for (uint256 i = 0; i < owners.length; i++) {
+            if (self.credentialSigners[digest][owners[i]]) {
+                result[index++] = owners[i];
+            }
+        }
+    }
+
     /**
      * @notice verify if a credential was signed by all parties
      * @param digest The digest of the credential to be verified
@@ -148,150 +439,195 @@ library Notary {
     }
 
     /**
-     * @notice issue a credential proof ensuring an append-only property
+     * @notice verify if a credential is waiting for the approval of its
+     * subject, i.e. it was neither approved, rejected nor withdrawn
+     * @param digest The digest of the credential
+     */
+    function isPending(CredentialTree storage self, bytes32 digest) public view returns (bool) {
+        CredentialProof storage c = self.records[digest];
+        return c.insertedBlock != 0 && !c.approved && !c.rejected && !c.withdrawn;
+    }
+
+    /**
+     * @notice verify if the current time is within the validity
+     * period of a credential
+     * @param digest The digest of the credential
+     */
+    function isWithinPeriod(CredentialTree storage self, bytes32 digest) public view returns (bool) {
+        CredentialProof storage c = self.records[digest];
+        // solhint-disable-next-line not-rely-on-time
+        return block.timestamp >= c.validFrom && (c.validUntil == 0 || block.timestamp < c.validUntil);
+    }
+
+    /**
+     * @notice verify if a credential was superseded by an approved renewal
+     * @param digest The digest of the credential
+     */
+    function isRenewed(CredentialTree storage self, bytes32 digest) public view returns (bool) {
+        bytes32 renewal = self.renewedBy[digest];
+        return renewal != bytes32(0) && self.records[renewal].approved;
+    }
+
+    /**
+     * @notice returns the status of a credential
+     * @param digest The digest of the credential
+     * @param quorumSize The size of the quorum
+     * @dev A revocation takes precedence over the other statuses, and
+     * a renewal over the validity period of an approved credential.
+     */
+    function status(
+        CredentialTree storage self,
+        bytes32 digest,
+        uint8 quorumSize
+    ) public view returns (Status) {
+        CredentialProof storage c = self.records[digest];
+        if (c.insertedBlock == 0) {
+            return Status.None;
+        }
+        if (isRevoked(self, digest)) {
+            return Status.Revoked;
+        }
+        if (c.rejected) {
+            return Status.Rejected;
+        }
+        if (c.withdrawn) {
+            return Status.Withdrawn;
+        }
+        if (!c.approved) {
+            return c.signed >= quorumSize ? Status.QuorumReached : Status.Pending;
+        }
+        if (isRenewed(self, digest)) {
+            return Status.Renewed;
+        }
+        // solhint-disable-next-line not-rely-on-time
+        if (block.timestamp < c.validFrom) {
+            return Status.NotYetValid;
+        }
+        return isWithinPeriod(self, digest) ? Status.Approved : Status.Expired;
+    }
+
+    /**
+     * @notice returns the status of each given credential
+     * @param digests The digests of the credentials
+     * @param quorumSize The size of the quorum
+     */
+    function statuses(
+        CredentialTree storage self,
+        bytes32[] memory digests,
+        uint8 quorumSize
+    ) public view returns (Status[] memory result) {
+        result = new Status[](digests.length);
+        for (uint256 i = 0; i < digests.length; i++) {
+            result[i] = status(self, digests[i], quorumSize);
+        }
+    }
+
+    /**
+     * @notice recovers the registrars that signed the EIP-712 typed data
+     * of a credential for the calling contract
      * @param subject The subject of the credential
      * @param digest The digest of the credential
-     * @param eRoot The resulted hash of all witnesses' roots
      * @param witnesses The list of all witnesses contracts
+     * @param validFrom The timestamp from which the credential is valid
+     * @param validUntil The timestamp at which the credential expires, 0 if it never expires
+     * @param signatures The concatenated 65 bytes signatures of the registrars
+     * @return recovered the signers' addresses, in the signatures order
+     * @dev The domain is bound to the contract address, so a signature
+     * cannot be replayed on another node. It has no chain id, since the
+     * CHAINID opcode is not available in the targeted EVM version.
      */
-    function _issue(
-        CredentialTree storage self,
+    function recoverSigners(
         address subject,
         bytes32 digest,
-        bytes32 eRoot,
-        address[] memory witnesses
-    ) internal {
-        require(!self.credentialSigners[digest][msg.sender], "Notary/sender already signed");
-        if (self.records[digest].insertedBlock == 0) {
-            // Creation
-            if (self.previous[subject] != bytes32(0)) {
-                assert(self.records[self.previous[subject]].insertedBlock != 0);
-                CredentialProof memory c = self.records[self.previous[subject]];
-                // Ensure that a previous certificate happens before the new one.
-                require(c.insertedBlock < block.number, "Notary/block number violation");
-                // require(
-                //     // solhint-disable-next-line not-rely-on-time
-                //     c.blockTimestamp < block.timestamp,
-                //     "Notary/timestamp violation"
-                // );
-            }
-            self.records[digest] = CredentialProof(
-                1,
-                block.number,
-                block.timestamp, // solhint-disable-line not-rely-on-time
-                ++self.nonce[subject],
-                digest,
-                false,
-                msg.sender,
-                subject,
-                witnesses,
-                eRoot
-            );
-            self.previous[subject] = digest;
-            emit CredentialIssued(digest, subject, msg.sender, block.number);
-        } else {
-            CredentialProof memory c = self.records[digest];
-            require(c.subject == subject, "Notary/digest already registered");
-            //TODO: Check the same witnesses
-            require(c.evidenceRoot == eRoot, "Notary/mismatched evidence root");
-            require(c.witnesses.length == witnesses.length, "Notary/mismatched witnesses");
-            // Register sign action
-            ++self.records[digest].signed;
+        address[] memory witnesses,
+        uint256 validFrom,
+        uint256 validUntil,
+        bytes memory signatures
+    ) public view returns (address[] memory recovered) {
+        require(signatures.length > 0 && signatures.length % 65 == 0, "Notary/invalid signature");
+        bytes32 hash = _typedHash(
+            keccak256(
+                abi.encode(
+                    CREDENTIAL_TYPEHASH,
+                    subject,
+                    digest,
+                    keccak256(abi.encodePacked(witnesses)),
+                    validFrom,
+                    validUntil
+                )
+            )
+        );
+        recovered = new address[](signatures.length / 65);
+        for (uint256 i = 0; i < recovered.length; i++) {
+            recovered[i] = _recover(hash, signatures, i * 65);
         }
-        self.credentialSigners[digest][msg.sender] = true;
-        emit CredentialSigned(msg.sender, digest, block.number);
     }
 
     /**
-     * @notice approve the emission of a quorum signed credential proof
+     * @notice recovers the signer of the EIP-712 approval of a credential
+     * for the calling contract, i.e. its subject or a delegate
      * @param digest The digest of the credential
-     * @dev must be called by the subject of the credential
+     * @param deadline The timestamp until which the approval can be submitted, 0 if it never expires
+     * @param signature The 65 bytes signature of the approver
+     * @return approver the signer's address
      */
-    function _approve(
-        CredentialTree storage self,
+    function recoverApprover(
         bytes32 digest,
-        uint256 quorum
-    ) internal returns (bool) {
-        address subject = self.records[digest].subject;
-        require(subject == msg.sender, "Notary/wrong subject");
-        require(!self.records[digest].approved, "Notary/credential already signed");
-        require(self.records[digest].signed >= quorum, "Notary/no quorum of signatures");
-        // Mark the record as approved
-        self.records[digest].approved = true;
-        // Add the record to the issued list
-        self.issued[subject].push(digest);
-        // FIXME: emit events here or in the contract?
-        emit CredentialSigned(msg.sender, digest, block.number);
-        return true;
+        uint256 deadline,
+        bytes memory signature
+    ) public view returns (address approver) {
+        require(signature.length == 65, "Notary/invalid signature");
+        // solhint-disable-next-line not-rely-on-time
+        require(deadline == 0 || block.timestamp <= deadline, "Notary/approval expired");
+        return _recover(_typedHash(keccak256(abi.encode(APPROVAL_TYPEHASH, digest, deadline))), signature, 0);
     }
 
     /**
-     * @notice revokeCredential revokes a credential for a given reason
-     * based on it's digest.
+     * @notice returns whether an account can approve a credential,
+     * i.e. it is its subject or a delegate of the subject
      * @param digest The digest of the credential
-     * @param reason The hash of the reason of the revocation
-     * @dev The reason should be publicaly available for anyone to inspect
-     * (i.e. Stored in a public swarm/ipfs address). The function can be
-     * called either by the registrar or by the subject of the credential.
+     * @param account The approver's account
      */
-    //TODO: should we ensure that the sender is one of the owners here?
-    // or only on the caller?
-    // To check it here, the lib will need to keep the contract owners too
-    function _revoke(
+    function canApprove(
         CredentialTree storage self,
         bytes32 digest,
-        bytes32 reason
-    ) internal {
-        require(recordExists(self, digest), "Notary/credential not found");
+        address account
+    ) public view returns (bool) {
         address subject = self.records[digest].subject;
-        require(subject != address(0), "Notary/subject cannot be zero");
-        ++self.revokedCounter[subject];
-        self.revoked[digest] = RevocationProof(msg.sender, subject, block.number, reason);
-        // TODO: analyse the consequence of deleting the proof.
-        // delete self.records[digest];
-        // FIXME: If revoked credentials are kept in the `issued`
-        // array and the verification checks whether the credential
-        // was revoked, when verifying all credentails to aggregate,
-        // if there is at least one credential revoked,
-        // the verification will always fail, and consequently the aggregation.
-        // As the digests order is important for the aggregation,
-        // the array cannot be efficiently updated by moving the
-        // last element into deleted indexes.
-        // An alternative approach for ignore revoked digests
-        // in the verification and aggregation may be necessary.
-        emit CredentialRevoked(digest, subject, msg.sender, block.number, reason);
+        // solhint-disable-next-line not-rely-on-time
+        return subject == account || self.delegates[subject][account] > block.timestamp;
     }
 
     /**
      * @notice verifyCredential checks whether the credential is valid.
-     * @dev A valid credential is the one signed by all parties and that
-     * is not revoked.
+     * @dev A valid credential is the one signed by all parties, that
+     * is not revoked and that is within its validity period.
      * @param subject The subject of the credential
      * @param digest The digest of the credential
      */
-    function _verifyCredential(
+    function verifyCredential(
         CredentialTree storage self,
         address subject,
         bytes32 digest
-    ) internal view returns (bool) {
+    ) public view returns (bool) {
         require(recordExists(self, digest), "Notary/credential not found");
         require(self.records[digest].subject == subject, "Notary/not owned by subject");
-        return isApproved(self, digest) && !isRevoked(self, digest);
+        return isApproved(self, digest) && !isRevoked(self, digest) && isWithinPeriod(self, digest);
     }
 
     /**
-     * @notice _verifyProofs checks whether a list of given proofs are valid
+     * @notice verifyProofs checks whether a list of given proofs are valid
      * @param subject The subject of the credential
      * @param digests The list of digests of the proofs
      */
-    function _verifyProofs(
+    function verifyProofs(
         CredentialTree storage self,
         address subject,
         bytes32[] memory digests
-    ) internal view returns (bool) {
+    ) public view returns (bool) {
         // FIXME: restrict size of `digests` array
         for (uint256 i = 0; i < digests.length; i++) {
-            if (!_verifyCredential(self, subject, digests[i])) {
+            if (!verifyCredential(self, subject, digests[i])) {
                 return false;
             }
         }
@@ -299,13 +635,191 @@ library Notary {
     }
 
     /**
-     * @notice _verifyIssuedCredentials checks whether all issued credentials
-     * of a given subject are valid.
+     * @notice validDigests splits the issued digests of a subject into
+     * the valid ones and the ones left out, i.e. revoked, superseded by
+     * an approved renewal or outside their validity period (expired or
+     * not yet valid), both in issuing order
+     * @param subject The subject of the credentials
+     */
+    function validDigests(CredentialTree storage self, address subject)
+        public
+        view
+        returns (bytes32[] memory valid, bytes32[] memory excluded)
+    {
+        bytes32[] storage issued = self.issued[subject];
+        bool[] memory left = new bool[](issued.length);
+        uint256 count = 0;
+        for (uint256 i = 0; i < issued.length; i++) {
+            if (isRevoked(self, issued[i]) || isRenewed(self, issued[i]) || !isWithinPeriod(self, issued[i])) {
+                left[i] = true;
+                ++count;
+            }
+        }
+        excluded = new bytes32[](count);
+        valid = new bytes32[](issued.length - count);
+        uint256 v = 0;
+        uint256 e = 0;
+        for (uint256 i = 0; i < issued.length; i++) {
+            if (left[i]) {
+                excluded[e++] = issued[i];
+            } else {
+                valid[v++] = issued[i];
+            }
+        }
+    }
+
+    /**
+     * @notice returns the revoked digests of a subject, in issuing order
+     * @param subject The subject that owns the credentials
+     * @dev The revoked pending credentials are not issued, hence they are
+     * counted by `revokedCounter` but left out of the result.
+     */
+    function revokedDigests(CredentialTree storage self, address subject)
+        public
+        view
+        returns (bytes32[] memory revoked)
+    {
+        bytes32[] storage issued = self.issued[subject];
+        uint256 count = 0;
+        for (uint256 i = 0; i < issued.length; i++) {
+            if (isRevoked(self, issued[i])) {
+                ++count;
+            }
+        }
+        revoked = new bytes32[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; i < issued.length; i++) {
+            if (isRevoked(self, issued[i])) {
+                revoked[index++] = issued[i];
+            }
+        }
+    }
+
+    /**
+     * @notice returns a page of the issued digests of a subject that
+     * match a filter, in issuing order
+     * @param subject The subject that owns the credentials
+     * @param filter The status and registration blocks of the digests
+     * @param offset The index of the issued digest from which the page starts
+     * @param limit The maximum number of issued digests read by the page
+     * @return digests the matching digests of the page
+     * @return next the offset of the next page, 0 if it is the last one
+     * @dev A page reads at most `limit` issued digests, hence it can hold
+     * fewer matching digests than the limit, or none at all. The issued
+     * digests are approved, so the filter cannot select the statuses of
+     * the credentials waiting for approval or discarded before it.
+     */
+    function digestsPage(
+        CredentialTree storage self,
+        address subject,
+        Filter memory filter,
+        uint256 offset,
+        uint256 limit
+    ) public view returns (bytes32[] memory digests, uint256 next) {
+        require(
+            filter.status != Status.Pending &&
+                filter.status != Status.QuorumReached &&
+                filter.status != Status.Rejected &&
+                filter.status != Status.Withdrawn,
+            "Notary/status not issued"
+        );
+        bytes32[] storage issued = self.issued[subject];
+        uint256 end = offset + limit < issued.length ? offset + limit : issued.length;
+        bool[] memory matches = new bool[](end > offset ? end - offset : 0);
+        uint256 count = 0;
+        for (uint256 i = 0; i < matches.length; i++) {
+            if (_matches(self, issued[offset + i], filter)) {
+                matches[i] = true;
+                ++count;
+            }
+        }
+        digests = new bytes32[](count);
+        count = 0;
+        for (uint256 i = 0; i < matches.length; i++) {
+            if (matches[i]) {
+                digests[count++] = issued[offset + i];
+            }
+        }
+        next = end < issued.length ? end : 0;
+    }
+
+    /**
+     * @notice returns a page of the owners that signed a credential proof
+     * @param digest The digest of the credential
+     * @param owners The owners of the calling contract
+     * @param offset The index of the owner from which the page starts
+     * @param limit The maximum number of owners read by the page
+     * @return result the signers of the page, in the owners order
+     * @return next the offset of the next page, 0 if it is the last one
+     */
+    function signersPage(
+        CredentialTree storage self,
+        bytes32 digest,
+        address[] storage owners,
+        uint256 offset,
+        uint256 limit
+    ) public view returns (address[] memory result, uint256 next) {
+        uint256 end = offset + limit < owners.length ? offset + limit : owners.length;
+        uint256 count = 0;
+        for (uint256 i = offset; i < end; i++) {
+            if (self.credentialSigners[digest][owners[i]]) {
+                ++count;
+            }
+        }
+        result = new address[](count);
+        count = 0;
+        for (uint256 i = offset; i < end; i++) {
+            if (self.credentialSigners[digest][owners[i]]) {
+                result[count++] = owners[i];
+            }
+        }
+        next = end < owners.length ? end : 0;
+    }
+
+    /**
+     * @notice verifyIssuedCredentials checks whether all issued credentials
+     * of a given subject are valid, including their validity period.
      * @param subject The subject of the credential
      */
-    // TODO: Add period verification
-    function _verifyIssuedCredentials(CredentialTree storage self, address subject) internal view returns (bool) {
-        // TODO: filter revoked? Return a list of revoked digests?
-        return _verifyProofs(self, subject, self.issued[subject]);
+    function verifyIssuedCredentials(CredentialTree storage self, address subject) public view returns (bool) {
+        return verifyProofs(self, subject, self.issued[subject]);
+    }
+
+    function _matches(
+        CredentialTree storage self,
+        bytes32 digest,
+        Filter memory filter
+    ) private view returns (bool) {
+        uint256 insertedBlock = self.records[digest].insertedBlock;
+        // the quorum only matters to the status of unapproved credentials
+        return
+            (filter.status == Status.None || status(self, digest, 0) == filter.status) &&
+            insertedBlock >= filter.fromBlock &&
+            (filter.toBlock == 0 || insertedBlock <= filter.toBlock);
+    }
+
+    function _typedHash(bytes32 structHash) private view returns (bytes32) {
+        bytes32 domain = keccak256(abi.encode(DOMAIN_TYPEHASH, keccak256("Certree"), keccak256("1"), address(this)));
+        return keccak256(abi.encodePacked("\x19\x01", domain, structHash));
+    }
+
+    function _recover(
+        bytes32 hash,
+        bytes memory signatures,
+        uint256 offset
+    ) private pure returns (address signer) {
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        // solhint-disable-next-line no-inline-assembly
+        assembly {
+            let signature := add(signatures, offset)
+            r := mload(add(signature, 0x20))
+            s := mload(add(signature, 0x40))
+            v := byte(0, mload(add(signature, 0x60)))
+        }
+        require(uint256(s) <= MAX_S && (v == 27 || v == 28), "Notary/invalid signature");
+        signer = ecrecover(hash, v, r, s);
+        require(signer != address(0), "Notary/invalid signature");
     }
 }
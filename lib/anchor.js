@@ -0,0 +1,74 @@
+const { OwnersClient } = require("./owners");
+const { loadAbi } = require("./artifacts");
+const { NodeClient } = require("./node");
+
+// AnchorRegistryClient exposes the AnchorRegistry contract operations.
+// The registry reverts without the "<Scope>/" prefix, so its
+// reasons are decoded as AnchorError.
+class AnchorRegistryClient extends OwnersClient {
+    // @options: { abi, nodeAbi, from, gas }
+    constructor (web3, address, options = {}) {
+        super(web3, address, options.abi || loadAbi("AnchorRegistry"), options, "Anchor");
+        this.options = options;
+    }
+
+    // anchors the current root of a subject in the issuer node,
+    // i.e. the root node of its certification tree, once a quorum
+    // of owners issued the same record
+    async issue (rootDigest, issuerAddress, subject, options = {}) {
+        return this.send("issue", [rootDigest, issuerAddress, subject], options);
+    }
+
+    // revokes an anchored root once a quorum of owners revoked it for the same reason
+    async revoke (rootDigest, reason, options = {}) {
+        return this.send("revoke", [rootDigest, reason], options);
+    }
+
+    async resolver (rootDigest) {
+        return this.call("resolver", rootDigest);
+    }
+
+    async subjectOf (rootDigest) {
+        return this.call("subjectOf", rootDigest);
+    }
+
+    async recordExists (rootDigest) {
+        return this.call("recordExists", rootDigest);
+    }
+
+    async recordRevoked (rootDigest) {
+        return this.call("recordRevoked", rootDigest);
+    }
+
+    // returns the action confirmed by the owners issuing a record,
+    // see actionConfirmations(action) and hasConfirmed(action, owner)
+    async issueAction (rootDigest, issuerAddress, subject) {
+        return this.call("issueAction", rootDigest, issuerAddress, subject);
+    }
+
+    async revokeAction (rootDigest, reason) {
+        return this.call("revokeAction", rootDigest, reason);
+    }
+
+    async hasConfirmed (action, owner) {
+        return this.call("hasConfirmed", action, owner);
+    }
+
+    // returns a NodeClient of the node that issued the given root,
+    // or null if the root was not anchored
+    async resolveNode (rootDigest) {
+        if (!(await this.recordExists(rootDigest))) {
+            return null;
+        }
+        const address = await this.resolver(rootDigest);
+        return new NodeClient(this.web3, address, {
+            abi: this.options.nodeAbi,
+            from: this.from,
+            gas: this.gas
+        });
+    }
+}
+
+module.exports = {
+    AnchorRegistryClient: AnchorRegistryClient
+};
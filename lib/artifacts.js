@@ -0,0 +1,26 @@
+const fs = require("fs");
+const path = require("path");
+
+const { CertreeError } = require("./errors");
+
+// Default truffle build directory (see `npm run compile`)
+const defaultBuildDir = path.join(__dirname, "..", "build", "contracts");
+
+// returns the truffle artifact of a contract (i.e. "Node", "AnchorRegistry")
+function loadArtifact (name, buildDir = defaultBuildDir) {
+    const file = path.join(buildDir, `${name}.json`);
+    if (!fs.existsSync(file)) {
+        throw new CertreeError(`artifact ${name} not found at ${buildDir}, run "npm run compile" first`);
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function loadAbi (name, buildDir = defaultBuildDir) {
+    return loadArtifact(name, buildDir).abi;
+}
+
+module.exports = {
+    defaultBuildDir: defaultBuildDir,
+    loadArtifact: loadArtifact,
+    loadAbi: loadAbi
+};
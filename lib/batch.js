@@ -0,0 +1,178 @@
+const { isAddress } = require("web3-utils");
+
+const { CertreeError, ContractError } = require("./errors");
+
+// Share of the block gas limit that a batch transaction may use
+const BLOCK_GAS_SHARE = 0.8;
+
+// parses a cohort CSV whose header holds a `subject` column and either
+// a `digest` or a `document` column, e.g.:
+//   subject,document
+//   0x5B38Da6a701c568545dCfcB03FcB875f56beddC4,diplomas/alice.pdf
+// @resolve: returns the digest of a document (e.g. cli's resolveDigest),
+// the digests are used as they are by default
+// returns [{ subject, digest, line }]
+function parseCohort (content, resolve = (document) => document) {
+    const lines = content.split(/\r?\n/).map(l => l.trim());
+    const header = (lines[0] || "").split(",").map(c => c.trim().toLowerCase());
+    const subjectColumn = header.indexOf("subject");
+    const digestColumn = header.includes("digest") ? header.indexOf("digest") : header.indexOf("document");
+    if (subjectColumn === -1 || digestColumn === -1) {
+        throw new CertreeError("the cohort header must have a subject and a digest or document column");
+    }
+    const rows = [];
+    for (let i = 1; i < lines.length; i++) {
+        if (lines[i] === "" || lines[i].startsWith("#")) {
+            continue;
+        }
+        const columns = lines[i].split(",").map(c => c.trim());
+        const subject = columns[subjectColumn];
+        if (!isAddress(subject)) {
+            throw new CertreeError(`invalid subject ${subject} at line ${i + 1}`);
+        }
+        const digest = resolve(columns[digestColumn] || "");
+        if (!/^0x[0-9a-fA-F]{64}$/.test(digest)) {
+            throw new CertreeError(`invalid digest ${digest} at line ${i + 1}`);
+        }
+        rows.push({ subject: subject, digest: digest, line: i + 1 });
+    }
+    return rows;
+}
+
+// takes up to `size` items with distinct keys, keeping the order of the others
+function take (items, size, key) {
+    const chunk = [];
+    const rest = [];
+    const keys = new Set();
+    for (const item of items) {
+        if (chunk.length < size && !keys.has(key(item))) {
+            keys.add(key(item));
+            chunk.push(item);
+        } else {
+            rest.push(item);
+        }
+    }
+    return [chunk, rest];
+}
+
+// BatchPlanner splits a cohort into gas-safe batches of the Node batch
+// calls, sends them in order and reports what is left after a failure:
+// - a batch is at most `maxSize` long and holds a subject only once, since
+//   the credentials of a subject must be created in different blocks;
+// - a batch whose estimated gas exceeds the budget is split in halves;
+// - a batch that would revert is split until the failing items are found,
+//   which are reported in `failed` while the others are still sent;
+// - registrations already signed by the sender are skipped, so running
+//   the same cohort again resumes it after a partial failure.
+class BatchPlanner {
+    // @node: a NodeClient
+    // @options: { from, maxSize, gasLimit, onBatch(batch, receipt) }, the gas
+    // limit defaults to a share of the block gas limit and the size is
+    // bounded by the MAX_BATCH_SIZE of the node
+    constructor (node, options = {}) {
+        this.node = node;
+        this.options = options;
+    }
+
+    async maxSize () {
+        const max = await this.node.maxBatchSize();
+        return this.options.maxSize ? Math.min(this.options.maxSize, max) : max;
+    }
+
+    async gasBudget () {
+        if (this.options.gasLimit) {
+            return this.options.gasLimit;
+        }
+        const block = await this.node.web3.eth.getBlock("latest");
+        return Math.floor(block.gasLimit * BLOCK_GAS_SHARE);
+    }
+
+    // returns the rows whose credential was not signed yet by `from`
+    async pendingRegistrations (rows, from = this.options.from || this.node.from) {
+        const signed = await Promise.all(rows.map(row => this.node.isSigned(row.digest, from)));
+        return rows.filter((row, i) => !signed[i]);
+    }
+
+    // registers the credentials of the cohort rows
+    // @options: { witnesses, from }
+    // returns { batches, skipped, failed: [{ item, error }], pending, error }
+    async registerCohort (rows, options = {}) {
+        const from = options.from || this.options.from;
+        const pending = await this.pendingRegistrations(rows, from);
+        const witnesses = options.witnesses || [];
+        const report = await this._run(pending, (batch) => [
+            "registerCredentialsBatch",
+            [batch.map(row => row.subject), batch.map(row => row.digest), witnesses]
+        ], from);
+        report.skipped = rows.filter(row => !pending.includes(row));
+        return report;
+    }
+
+    // aggregates the valid credentials of every distinct subject of the cohort
+    // @options: { from }
+    async aggregateCohort (rows, options = {}) {
+        const subjects = Array.from(new Set(rows.map(row => row.subject || row)));
+        return this._run(subjects, (batch) => ["aggregateValidCredentialsBatch", [batch]], options.from);
+    }
+
+    // approves the given credentials of the sender, i.e. the subject
+    async approveCredentials (digests, options = {}) {
+        return this._run(digests, (batch) => ["approveCredentialsBatch", [batch]], options.from, d => d);
+    }
+
+    async _run (items, call, from = this.options.from, key = (item) => item.subject || item) {
+        const size = await this.maxSize();
+        const budget = await this.gasBudget();
+        const report = { batches: [], skipped: [], failed: [], pending: [], error: null };
+        const stack = [];
+        let limit = size;
+        let rest = items;
+        while (stack.length > 0 || rest.length > 0) {
+            let batch;
+            if (stack.length > 0) {
+                batch = stack.pop();
+            } else {
+                [batch, rest] = take(rest, limit, key);
+            }
+            const [name, args] = call(batch);
+            let gas;
+            try {
+                gas = await this.node.estimateGas(name, args, { from: from });
+            } catch (error) {
+                if (!(error instanceof ContractError)) {
+                    throw error;
+                }
+                if (batch.length === 1) {
+                    report.failed.push({ item: batch[0], error: error });
+                    continue;
+                }
+                const half = Math.ceil(batch.length / 2);
+                stack.push(batch.slice(half), batch.slice(0, half));
+                continue;
+            }
+            if (gas > budget && batch.length > 1) {
+                // the next batches are as large as the first one that fits
+                limit = Math.ceil(batch.length / 2);
+                stack.push(batch.slice(limit), batch.slice(0, limit));
+                continue;
+            }
+            try {
+                const receipt = await this.node.send(name, args, { from: from });
+                report.batches.push(batch);
+                if (this.options.onBatch) {
+                    this.options.onBatch(batch, receipt);
+                }
+            } catch (error) {
+                report.pending = batch.concat(...stack.reverse(), rest);
+                report.error = error;
+                return report;
+            }
+        }
+        return report;
+    }
+}
+
+module.exports = {
+    BatchPlanner: BatchPlanner,
+    parseCohort: parseCohort
+};
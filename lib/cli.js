@@ -0,0 +1,397 @@
+const fs = require("fs");
+const path = require("path");
+const yargs = require("yargs/yargs");
+
+const { NodeClient, statusName } = require("./node");
+const { BatchPlanner, parseCohort } = require("./batch");
+const { Verifier, verifyFromAnchor } = require("./verifier");
+const { AnchorRegistryClient } = require("./anchor");
+const { deployTopology } = require("./deployer");
+const { hashDocument } = require("./hash");
+const { CertreeError } = require("./errors");
+
+const defaultProvider = process.env.CERTREE_PROVIDER || "http://127.0.0.1:7545";
+
+// returns the digest of a document, which can be given
+// either as a file path or directly as a bytes32 digest,
+// relative paths are resolved from `dir` when given
+function resolveDigest (document, dir = undefined) {
+    if (/^0x[0-9a-fA-F]{64}$/.test(document)) {
+        return document;
+    }
+    if (dir !== undefined) {
+        document = path.resolve(dir, document);
+    }
+    if (!fs.existsSync(document)) {
+        throw new CertreeError(`document ${document} not found`);
+    }
+    return hashDocument(fs.readFileSync(document));
+}
+
+// returns the unix timestamp of a date given either
+// as seconds or as a date string (i.e. 2024-09-01)
+function resolveTime (value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (/^\d+$/.test(value)) {
+        return Number(value);
+    }
+    const time = Date.parse(value);
+    if (isNaN(time)) {
+        throw new CertreeError(`invalid date ${value}`);
+    }
+    return Math.floor(time / 1000);
+}
+
+// returns the validity period options of the issue and renew commands
+function periodOptions (argv) {
+    return { validFrom: resolveTime(argv.validFrom), validUntil: resolveTime(argv.validUntil) };
+}
+
+function splitList (value) {
+    if (!value) {
+        return [];
+    }
+    return [].concat(value).join(",").split(",").map(v => v.trim()).filter(v => v !== "");
+}
+
+// prints the signers of a credential and whether the quorum was reached
+async function printProgress (node, digest, print) {
+    const [signers, quorum, quorumSigned] = await Promise.all([
+        node.getCredentialSigners(digest),
+        node.quorum(),
+        node.isQuorumSigned(digest)
+    ]);
+    print(`signers: ${signers.length}/${quorum}${signers.length > 0 ? " " + signers.join(", ") : ""}`);
+    print(quorumSigned ? "quorum reached" : `waiting for ${quorum - signers.length} more signature(s)`);
+}
+
+function printReport (report, print, indent = "") {
+    print(`${indent}node ${report.address} ${report.valid ? "valid" : "INVALID"}`);
+    if (report.root) {
+        const state = report.root.valid ? "ok" : `mismatch (computed ${report.root.computed})`;
+        print(`${indent}  root ${report.root.proof} ${state}`);
+    }
+    for (const credential of report.credentials) {
+        const state = [
+            credential.approved ? "approved" : "not approved",
+            credential.revoked ? "revoked" : null
+        ].filter(s => s !== null).join(", ");
+        print(`${indent}  credential ${credential.digest} (${state})`);
+        if (credential.evidenceRoot && !credential.evidenceRoot.valid) {
+            print(`${indent}    evidence root mismatch (computed ${credential.evidenceRoot.computed})`);
+        }
+        for (const witness of credential.witnesses) {
+            printReport(witness, print, indent + "    ");
+        }
+    }
+}
+
+// returns the rows of a cohort CSV, its documents are relative to the CSV
+function readCohort (file) {
+    if (!fs.existsSync(file)) {
+        throw new CertreeError(`cohort ${file} not found`);
+    }
+    const dir = path.dirname(file);
+    return parseCohort(fs.readFileSync(file, "utf8"), (document) => resolveDigest(document, dir));
+}
+
+// prints a BatchPlanner report, the command fails when batches are pending
+function printBatchReport (report, print) {
+    const done = report.batches.reduce((n, batch) => n + batch.length, 0);
+    print(`${done} done in ${report.batches.length} batch(es)`);
+    if (report.skipped.length > 0) {
+        print(`${report.skipped.length} skipped, already signed`);
+    }
+    for (const { item, error } of report.failed) {
+        print(`FAILED ${item.line ? `line ${item.line} ` : ""}${item.subject || item}: ${error.message}`);
+    }
+    if (report.error) {
+        const message = `${report.pending.length} pending after: ${report.error.message}`;
+        throw new CertreeError(`${message}, run the same command again to resume`);
+    }
+}
+
+// Command handlers, `ctx` is { web3, print, abi, artifacts, from, node(address) } and
+// `argv` holds the parsed command line arguments.
+const commands = {
+    async issue (ctx, argv) {
+        const node = ctx.node(argv.node);
+        const digest = resolveDigest(argv.document);
+        await node.registerCredential(argv.subject, digest, splitList(argv.witnesses), periodOptions(argv));
+        ctx.print(`issued ${digest}`);
+        await printProgress(node, digest, ctx.print);
+        return digest;
+    },
+
+    async sign (ctx, argv) {
+        const node = ctx.node(argv.node);
+        const digest = resolveDigest(argv.document);
+        const proof = await node.getCredentialProof(digest);
+        if (proof.insertedBlock === 0) {
+            throw new CertreeError(`credential ${digest} not found, use "issue" instead`);
+        }
+        // the co-signers must give the same period and renewed credential
+        const period = { validFrom: proof.validFrom, validUntil: proof.validUntil };
+        const { renews } = await node.getRenewal(digest);
+        if (renews) {
+            await node.renewCredential(renews, digest, proof.witnesses, period);
+        } else {
+            await node.registerCredential(proof.subject, digest, proof.witnesses, period);
+        }
+        ctx.print(`signed ${digest}`);
+        await printProgress(node, digest, ctx.print);
+        return digest;
+    },
+
+    async renew (ctx, argv) {
+        const node = ctx.node(argv.node);
+        const expired = resolveDigest(argv.expired);
+        const digest = resolveDigest(argv.document);
+        await node.renewCredential(expired, digest, splitList(argv.witnesses), periodOptions(argv));
+        ctx.print(`issued ${digest} renewing ${expired}`);
+        await printProgress(node, digest, ctx.print);
+        return digest;
+    },
+
+    async approve (ctx, argv) {
+        const node = ctx.node(argv.node);
+        const digest = resolveDigest(argv.document);
+        await node.approveCredential(digest);
+        ctx.print(`approved ${digest}`);
+        return digest;
+    },
+
+    async reject (ctx, argv) {
+        const node = ctx.node(argv.node);
+        const digest = resolveDigest(argv.document);
+        await node.rejectCredential(digest);
+        ctx.print(`rejected ${digest}`);
+        return digest;
+    },
+
+    async withdraw (ctx, argv) {
+        const node = ctx.node(argv.node);
+        const digest = resolveDigest(argv.document);
+        await node.withdrawCredential(digest);
+        const proof = await node.getCredentialProof(digest);
+        ctx.print(proof.withdrawn ? `withdrew ${digest}` : `confirmed the withdrawal of ${digest}`);
+        return digest;
+    },
+
+    async revoke (ctx, argv) {
+        const node = ctx.node(argv.node);
+        const digest = resolveDigest(argv.document);
+        const reason = resolveDigest(argv.reason);
+        await node.revokeCredential(digest, reason);
+        ctx.print(`revoked ${digest} (reason ${reason})`);
+        return digest;
+    },
+
+    async aggregate (ctx, argv) {
+        const node = ctx.node(argv.node);
+        const digests = argv.digests.length > 0
+            ? argv.digests.map(resolveDigest)
+            : await node.listDigests(argv.subject);
+        await node.aggregateCredentials(argv.subject, digests);
+        const root = await node.getRoot(argv.subject);
+        ctx.print(`aggregated ${digests.length} credential(s) of ${argv.subject} into ${root}`);
+        return root;
+    },
+
+    async "batch-issue" (ctx, argv) {
+        const rows = readCohort(argv.cohort);
+        const planner = new BatchPlanner(ctx.node(argv.node), {
+            from: ctx.from,
+            maxSize: argv.batchSize,
+            onBatch: (batch) => ctx.print(`issued ${batch.length} credential(s)`)
+        });
+        const report = await planner.registerCohort(rows, { witnesses: splitList(argv.witnesses) });
+        printBatchReport(report, ctx.print);
+        return report;
+    },
+
+    async "batch-aggregate" (ctx, argv) {
+        const rows = readCohort(argv.cohort);
+        const planner = new BatchPlanner(ctx.node(argv.node), {
+            from: ctx.from,
+            maxSize: argv.batchSize,
+            onBatch: (batch) => ctx.print(`aggregated ${batch.length} subject(s)`)
+        });
+        const report = await planner.aggregateCohort(rows);
+        printBatchReport(report, ctx.print);
+        return report;
+    },
+
+    async status (ctx, argv) {
+        const node = ctx.node(argv.node);
+        const digest = resolveDigest(argv.document);
+        const proof = await node.getCredentialProof(digest);
+        if (proof.insertedBlock === 0) {
+            throw new CertreeError(`credential ${digest} not found`);
+        }
+        ctx.print(`credential ${digest} of ${proof.subject}`);
+        ctx.print(`status: ${statusName(await node.getCredentialStatus(digest))}`);
+        await printProgress(node, digest, ctx.print);
+        ctx.print(`approved: ${proof.approved}`);
+        if (proof.rejected || proof.withdrawn) {
+            ctx.print(proof.rejected ? "rejected by the subject" : "withdrawn by the owners");
+        }
+        ctx.print(`revoked: ${await node.isRevoked(digest)}`);
+        if (proof.validFrom !== 0 || proof.validUntil !== 0) {
+            const date = (t) => new Date(t * 1000).toISOString();
+            const until = proof.validUntil !== 0 ? ` until ${date(proof.validUntil)}` : "";
+            ctx.print(`valid from ${date(proof.validFrom)}${until}`);
+        }
+        const { renews, renewedBy } = await node.getRenewal(digest);
+        if (renews) {
+            ctx.print(`renews ${renews}`);
+        }
+        if (renewedBy) {
+            ctx.print(`renewed by ${renewedBy}`);
+        }
+        return proof;
+    },
+
+    async verify (ctx, argv) {
+        const report = await new Verifier(ctx.web3, { abi: ctx.abi }).verify(argv.node, argv.subject);
+        printReport(report.tree, ctx.print);
+        for (const failure of report.failures) {
+            const at = failure.digest ? `${failure.node} ${failure.digest}` : failure.node;
+            ctx.print(`FAILED ${failure.type} at ${at}: ${failure.message}`);
+        }
+        ctx.print(report.valid ? "credential tree is valid" : "credential tree is INVALID");
+        return report;
+    },
+
+    async "verify-anchor" (ctx, argv) {
+        const registries = splitList(argv.registries).map(address => {
+            return new AnchorRegistryClient(ctx.web3, address, { nodeAbi: ctx.abi });
+        });
+        const policy = /^\d+$/.test(argv.policy) ? Number(argv.policy) : argv.policy;
+        const report = await verifyFromAnchor(registries, argv.root, argv.subject, { policy: policy });
+        report.text.split("\n").forEach(line => ctx.print(line));
+        return report;
+    },
+
+    async deploy (ctx, argv) {
+        const manifestFile = argv.manifest || argv.topology.replace(/\.(json|ya?ml)$/, "") + ".manifest.json";
+        const { manifest, diff } = await deployTopology(ctx.web3, argv.topology, manifestFile, {
+            from: ctx.from,
+            artifacts: ctx.artifacts,
+            log: ctx.print
+        });
+        for (const [name, node] of Object.entries(manifest.nodes)) {
+            ctx.print(`${name} (${node.role}) ${node.address}`);
+        }
+        for (const change of ["added", "changed", "removed"]) {
+            if (diff[change].length > 0) {
+                ctx.print(`${change}: ${diff[change].join(", ")}`);
+            }
+        }
+        ctx.print(`manifest written to ${manifestFile}`);
+        return manifest;
+    }
+};
+
+function witnessesFlag (y) {
+    return y.option("witnesses", { describe: "comma separated list of witness nodes", type: "string" });
+}
+
+function periodFlags (y) {
+    return y
+        .option("valid-from", { describe: "date or unix time from which the credential is valid", type: "string" })
+        .option("valid-until", { describe: "date or unix time at which the credential expires", type: "string" });
+}
+
+function batchSizeFlag (y) {
+    return y.option("batch-size", { describe: "maximum number of credentials per transaction", type: "number" });
+}
+
+// builds the command line parser,
+// the parsed command is stored at `ctx.command`
+function parser (args, ctx) {
+    const run = (name) => (argv) => {
+        ctx.command = { name: name, argv: argv };
+    };
+    return yargs(args)
+        .scriptName("certree")
+        .usage("$0 <command> [options]")
+        // addresses and digests must not be parsed as hex numbers
+        .parserConfiguration({ "parse-numbers": false })
+        .option("provider", { describe: "ethereum node url", default: defaultProvider, type: "string" })
+        .option("from", { describe: "sender account (address or index of the node accounts)", type: "string" })
+        .command("issue <node> <subject> <document>", "register a credential document for a subject",
+            y => periodFlags(witnessesFlag(y)), run("issue"))
+        .command("renew <node> <expired> <document>", "register a credential document renewing an expiring one",
+            y => periodFlags(witnessesFlag(y)), run("renew"))
+        .command("sign <node> <document>", "co-sign a registered credential", () => {}, run("sign"))
+        .command("approve <node> <document>", "approve a quorum signed credential as its subject",
+            () => {}, run("approve"))
+        .command("reject <node> <document>", "reject a pending credential as its subject", () => {}, run("reject"))
+        .command("withdraw <node> <document>", "withdraw a pending credential once called by a quorum of owners",
+            () => {}, run("withdraw"))
+        .command("revoke <node> <document>", "revoke a credential",
+            y => y.option("reason", { describe: "the reason document or digest", type: "string", demandOption: true }),
+            run("revoke"))
+        .command("aggregate <node> <subject> [digests..]", "aggregate the credentials of a subject",
+            y => y.positional("digests", { describe: "documents or digests, defaults to all issued", default: [] }),
+            run("aggregate"))
+        .command("batch-issue <node> <cohort>", "register the credentials of a cohort CSV (subject,document)",
+            y => batchSizeFlag(witnessesFlag(y)), run("batch-issue"))
+        .command("batch-aggregate <node> <cohort>", "aggregate the valid credentials of the subjects of a cohort CSV",
+            y => batchSizeFlag(y), run("batch-aggregate"))
+        .command("status <node> <document>", "show the quorum progress of a credential", () => {}, run("status"))
+        .command("verify <node> <subject>", "verify the credential tree of a subject", () => {}, run("verify"))
+        .command("verify-anchor <registries> <root> <subject>",
+            "verify the credential tree of a root anchored in the comma separated registries",
+            y => y.option("policy", {
+                describe: "number of registries that must anchor the root: any, all or a number",
+                default: "any",
+                type: "string"
+            }),
+            run("verify-anchor"))
+        .command("deploy <topology>", "deploy a certification tree from a JSON/YAML topology file",
+            y => y.option("manifest", { describe: "the address manifest to write and reuse", type: "string" }),
+            run("deploy"))
+        .demandCommand(1)
+        .strict()
+        .help();
+}
+
+// runs the command line `args` (i.e. process.argv.slice(2)).
+// @ctx: { web3, print, abi, artifacts }, the web3 instance is created from
+// the `--provider` option when not given
+async function run (args, ctx = {}) {
+    parser(args, ctx).parse();
+    if (!ctx.command) {
+        return undefined;
+    }
+    const { name, argv } = ctx.command;
+    if (!ctx.web3) {
+        const Web3 = require("web3");
+        ctx.web3 = new Web3(argv.provider);
+    }
+    ctx.print = ctx.print || console.log;
+    const from = await resolveAccount(ctx.web3, argv.from);
+    ctx.from = from;
+    ctx.node = (address) => new NodeClient(ctx.web3, address, { abi: ctx.abi, from: from });
+    return commands[name](ctx, argv);
+}
+
+async function resolveAccount (web3, from) {
+    if (from === undefined) {
+        return (await web3.eth.getAccounts())[0];
+    }
+    if (/^\d+$/.test(from)) {
+        return (await web3.eth.getAccounts())[Number(from)];
+    }
+    return from;
+}
+
+module.exports = {
+    commands: commands,
+    resolveDigest: resolveDigest,
+    run: run
+};
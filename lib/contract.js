@@ -0,0 +1,66 @@
+const { CertreeError, decodeError } = require("./errors");
+
+// Margin added to the estimated gas, the estimation runs on the
+// pending block and storage writes of block values (e.g. the root
+// timestamp) cost more when the transaction is mined in a later block
+const GAS_MARGIN = 1.2;
+
+// ContractClient wraps a web3 contract instance, decoding
+// the revert reasons of calls and transactions into certree errors.
+class ContractClient {
+    // @web3: a connected web3 instance
+    // @address: the deployed contract address
+    // @abi: the contract abi
+    // @options: { from: defaultSender, gas: defaultGasLimit }
+    // @scope: the error scope for reasons without the "<Scope>/" prefix
+    constructor (web3, address, abi, options = {}, scope = undefined) {
+        if (!web3.utils.isAddress(address)) {
+            throw new CertreeError(`invalid contract address ${address}`);
+        }
+        this.web3 = web3;
+        this.address = address;
+        this.contract = new web3.eth.Contract(abi, address);
+        this.from = options.from;
+        this.gas = options.gas;
+        this.scope = scope;
+    }
+
+    async call (name, ...args) {
+        try {
+            return await this.contract.methods[name](...args).call();
+        } catch (error) {
+            throw decodeError(error, this.scope);
+        }
+    }
+
+    // estimates the gas of a transaction, raising the error it would revert with
+    async estimateGas (name, args, options = {}) {
+        const from = options.from || this.from || this.web3.eth.defaultAccount;
+        try {
+            return await this.contract.methods[name](...args).estimateGas({ from: from });
+        } catch (error) {
+            throw decodeError(error, this.scope);
+        }
+    }
+
+    // sends a transaction and returns its receipt.
+    // The gas is estimated when not given, which surfaces the
+    // revert reason before the transaction is sent.
+    async send (name, args, options = {}) {
+        const from = options.from || this.from || this.web3.eth.defaultAccount;
+        if (!from) {
+            throw new CertreeError(`no sender account given to ${name}`);
+        }
+        const method = this.contract.methods[name](...args);
+        try {
+            const gas = options.gas || this.gas || Math.ceil(await method.estimateGas({ from: from }) * GAS_MARGIN);
+            return await method.send({ from: from, gas: gas });
+        } catch (error) {
+            throw decodeError(error, this.scope);
+        }
+    }
+}
+
+module.exports = {
+    ContractClient: ContractClient
+};
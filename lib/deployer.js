@@ -0,0 +1,330 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+const { NodeClient } = require("./node");
+const { loadArtifact } = require("./artifacts");
+const { CertreeError, decodeError } = require("./errors");
+
+// Libraries linked into the node contracts, in deployment order
+const libraries = ["Notary", "CredentialSum", "Confirmations", "Proposals", "Witnesses", "Children"];
+
+// Contract deployed for each node role
+const contractByRole = {
+    leaf: "Leaf",
+    inner: "Inner"
+};
+
+// Topology describes a certification tree, e.g.:
+// nodes:
+//   - name: university
+//     owners: [0, 1]       # addresses or indexes of the provider accounts
+//     quorum: 2
+//     children:
+//       - name: faculty
+//         owners: [2]
+//         quorum: 1
+//         children:
+//           - name: course
+//             owners: ["0x..."]
+//             quorum: 1
+// The role of a node is "inner" when it has children and "leaf" otherwise,
+// unless explicitly given by `role`.
+
+// parses a JSON or YAML topology file
+function loadTopology (file) {
+    const content = fs.readFileSync(file, "utf8");
+    return parseTopology(content, path.extname(file) === ".json" ? "json" : "yaml");
+}
+
+function parseTopology (content, format = "yaml") {
+    const topology = format === "json" ? JSON.parse(content) : yaml.safeLoad(content);
+    if (!topology || !Array.isArray(topology.nodes) || topology.nodes.length === 0) {
+        throw new CertreeError("topology must define a non-empty list of nodes");
+    }
+    return topology;
+}
+
+// returns the flattened list of nodes in breadth-first order,
+// i.e. parents always come before their children
+function flattenTopology (topology) {
+    const nodes = [];
+    const names = new Set();
+    const queue = topology.nodes.map(n => ({ spec: n, parent: null, parentOwners: [] }));
+    while (queue.length > 0) {
+        const { spec, parent, parentOwners } = queue.shift();
+        if (!spec.name) {
+            throw new CertreeError("every node must have a name");
+        }
+        if (names.has(spec.name)) {
+            throw new CertreeError(`duplicated node name ${spec.name}`);
+        }
+        names.add(spec.name);
+        const children = spec.children || [];
+        const role = spec.role || (children.length > 0 ? "inner" : "leaf");
+        if (!contractByRole[role]) {
+            throw new CertreeError(`node ${spec.name} has an invalid role ${role}`);
+        }
+        if (role === "leaf" && children.length > 0) {
+            throw new CertreeError(`leaf node ${spec.name} cannot have children`);
+        }
+        if (!Array.isArray(spec.owners) || spec.owners.length === 0) {
+            throw new CertreeError(`node ${spec.name} must have owners`);
+        }
+        // the contract rejects children sharing owners with their parent
+        const key = o => String(o).toLowerCase();
+        if (spec.owners.some(o => parentOwners.map(key).includes(key(o)))) {
+            throw new CertreeError(`node ${spec.name} shares owners with its parent ${parent}`);
+        }
+        const quorum = spec.quorum === undefined ? spec.owners.length : spec.quorum;
+        if (quorum < 1 || quorum > spec.owners.length) {
+            throw new CertreeError(`node ${spec.name} has a quorum out of range`);
+        }
+        nodes.push({
+            name: spec.name,
+            role: role,
+            owners: spec.owners,
+            quorum: quorum,
+            parent: parent,
+            children: children.map(c => c.name)
+        });
+        for (const child of children) {
+            queue.push({ spec: child, parent: spec.name, parentOwners: spec.owners });
+        }
+    }
+    return nodes;
+}
+
+// replaces the truffle library placeholders (i.e. "__Notary____...")
+function linkBytecode (bytecode, addresses) {
+    return bytecode.replace(/__([A-Za-z0-9]+)_*/g, (placeholder, name) => {
+        if (placeholder.length !== 40) {
+            return placeholder;
+        }
+        if (!addresses[name]) {
+            throw new CertreeError(`library ${name} is not deployed`);
+        }
+        return addresses[name].toLowerCase().replace(/^0x/, "");
+    });
+}
+
+function sameOwners (a, b) {
+    return a.length === b.length && a.every(o => b.map(x => x.toLowerCase()).includes(o.toLowerCase()));
+}
+
+// diffManifest compares two manifests by node name and returns
+// { added: [], removed: [], changed: [], unchanged: [] }
+function diffManifest (previous, next) {
+    const before = (previous && previous.nodes) || {};
+    const after = next.nodes || {};
+    const diff = { added: [], removed: [], changed: [], unchanged: [] };
+    for (const name of Object.keys(after)) {
+        if (!before[name]) {
+            diff.added.push(name);
+        } else if (before[name].address !== after[name].address ||
+            before[name].parent !== after[name].parent ||
+            !sameOwners(before[name].owners, after[name].owners) ||
+            before[name].quorum !== after[name].quorum) {
+            diff.changed.push(name);
+        } else {
+            diff.unchanged.push(name);
+        }
+    }
+    diff.removed = Object.keys(before).filter(name => !after[name]);
+    return diff;
+}
+
+// Deployer deploys a certification tree topology and returns a manifest
+// with the addresses of the libraries and nodes, e.g.:
+// {
+//   networkId: 5777,
+//   libraries: { Notary: address, CredentialSum: address, ..., Children: address },
+//   nodes: { university: { address, role, owners, quorum, parent, children } }
+// }
+// Given the manifest of a previous deployment, contracts whose
+// configuration did not change are reused instead of re-deployed.
+class Deployer {
+    // @options: {
+    //   from: deployer account (defaults to the first provider account),
+    //   artifacts: { Leaf, Inner, Notary, CredentialSum, Confirmations, Proposals, Witnesses, Children }
+    //     with abi and bytecode,
+    //   log: function(message)
+    // }
+    constructor (web3, options = {}) {
+        this.web3 = web3;
+        this.options = options;
+        this.log = options.log || (() => {});
+    }
+
+    artifact (name) {
+        const artifacts = this.options.artifacts || {};
+        return artifacts[name] || loadArtifact(name);
+    }
+
+    async _hasCode (address) {
+        return address && (await this.web3.eth.getCode(address)) !== "0x";
+    }
+
+    async _deploy (name, bytecode, args, from) {
+        const contract = new this.web3.eth.Contract(this.artifact(name).abi);
+        const deployment = contract.deploy({ data: bytecode, arguments: args });
+        try {
+            const gas = await deployment.estimateGas({ from: from });
+            const instance = await deployment.send({ from: from, gas: gas });
+            return instance.options.address;
+        } catch (error) {
+            throw decodeError(error);
+        }
+    }
+
+    async _resolveOwners (owners, accounts) {
+        return owners.map(owner => {
+            if (typeof owner === "number" || /^\d+$/.test(owner)) {
+                const account = accounts[Number(owner)];
+                if (!account) {
+                    throw new CertreeError(`account index ${owner} not found`);
+                }
+                return account;
+            }
+            if (!this.web3.utils.isAddress(owner)) {
+                throw new CertreeError(`invalid owner address ${owner}`);
+            }
+            return this.web3.utils.toChecksumAddress(owner);
+        });
+    }
+
+    // confirms the parent of a child node with the available owners of the
+    // child, the parent stays pending if they are less than its quorum
+    async _confirmParent (node, manifest, accounts) {
+        const entry = manifest.nodes[node.name];
+        const parent = manifest.nodes[node.parent].address;
+        const child = new NodeClient(this.web3, entry.address, { abi: this.artifact(contractByRole[node.role]).abi });
+        const owners = entry.owners.filter(o => accounts.includes(o)).slice(0, entry.quorum);
+        for (const owner of owners) {
+            await child.confirmParent(parent, { from: owner });
+        }
+        if (owners.length < entry.quorum) {
+            this.log(`${node.parent} waits for the confirmation of the owners of ${node.name} as its parent`);
+        }
+    }
+
+    // removes the nodes of the `old` manifest from their parent when the
+    // parent or the address of the node changed in the new `manifest`, or
+    // when the node left the topology, with the available owners of the
+    // old parent, the removal stays pending if they are less than its quorum
+    async _removeMoved (manifest, old, accounts) {
+        for (const [name, previous] of Object.entries(old.nodes)) {
+            const oldParent = old.nodes[previous.parent];
+            const entry = manifest.nodes[name];
+            if (!oldParent || (entry && entry.address === previous.address &&
+                manifest.nodes[entry.parent] && manifest.nodes[entry.parent].address === oldParent.address)) {
+                continue;
+            }
+            if (!await this._hasCode(oldParent.address)) {
+                continue;
+            }
+            const client = new NodeClient(this.web3, oldParent.address, { abi: this.artifact("Inner").abi });
+            if (!await client.isChild(previous.address)) {
+                continue;
+            }
+            this.log(`removing ${name} from its previous parent ${previous.parent}`);
+            const owners = oldParent.owners.filter(o => accounts.includes(o)).slice(0, oldParent.quorum);
+            for (const owner of owners) {
+                await client.removeChild(previous.address, { from: owner });
+            }
+            if (owners.length < oldParent.quorum) {
+                this.log(`${previous.parent} waits for the confirmation of its owners to remove ${name}`);
+            }
+        }
+    }
+
+    // deploys the topology, reusing the contracts of `previous` manifest
+    async deploy (topology, previous = null) {
+        const accounts = await this.web3.eth.getAccounts();
+        const from = this.options.from || accounts[0];
+        const nodes = flattenTopology(topology);
+        const manifest = {
+            networkId: await this.web3.eth.net.getId(),
+            libraries: {},
+            nodes: {}
+        };
+        const old = (previous && previous.networkId === manifest.networkId) ? previous : { libraries: {}, nodes: {} };
+
+        for (const name of libraries) {
+            if (await this._hasCode(old.libraries[name])) {
+                manifest.libraries[name] = old.libraries[name];
+                continue;
+            }
+            this.log(`deploying library ${name}`);
+            const bytecode = linkBytecode(this.artifact(name).bytecode, manifest.libraries);
+            manifest.libraries[name] = await this._deploy(name, bytecode, [], from);
+        }
+        const librariesChanged = libraries.some(name => manifest.libraries[name] !== old.libraries[name]);
+
+        for (const node of nodes) {
+            const owners = await this._resolveOwners(node.owners, accounts);
+            const entry = {
+                address: null,
+                role: node.role,
+                owners: owners,
+                quorum: node.quorum,
+                parent: node.parent,
+                children: node.children
+            };
+            const reused = old.nodes[node.name];
+            if (!librariesChanged && reused && reused.role === node.role && reused.quorum === node.quorum &&
+                sameOwners(reused.owners, owners) && await this._hasCode(reused.address)) {
+                entry.address = reused.address;
+            } else {
+                const name = contractByRole[node.role];
+                this.log(`deploying ${node.role} node ${node.name}`);
+                const bytecode = linkBytecode(this.artifact(name).bytecode, manifest.libraries);
+                entry.address = await this._deploy(name, bytecode, [owners, node.quorum], from);
+            }
+            manifest.nodes[node.name] = entry;
+        }
+
+        await this._removeMoved(manifest, old, accounts);
+
+        // link children in breadth-first order
+        for (const node of nodes) {
+            if (node.parent === null) {
+                continue;
+            }
+            const parent = manifest.nodes[node.parent];
+            const child = manifest.nodes[node.name].address;
+            const client = new NodeClient(this.web3, parent.address, { abi: this.artifact("Inner").abi });
+            if (await client.isChild(child)) {
+                continue;
+            }
+            const sender = parent.owners.find(o => accounts.includes(o));
+            if (!sender) {
+                throw new CertreeError(`no owner of ${node.parent} is available to add ${node.name}`);
+            }
+            this.log(`adding ${node.name} as child of ${node.parent}`);
+            await client.addChild(child, { from: sender });
+            await this._confirmParent(node, manifest, accounts);
+        }
+        return manifest;
+    }
+}
+
+// deploys the topology file and writes the manifest file,
+// the manifest is reused when it already exists
+async function deployTopology (web3, topologyFile, manifestFile, options = {}) {
+    const topology = loadTopology(topologyFile);
+    const previous = fs.existsSync(manifestFile) ? JSON.parse(fs.readFileSync(manifestFile, "utf8")) : null;
+    const manifest = await new Deployer(web3, options).deploy(topology, previous);
+    fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2) + "\n");
+    return { manifest: manifest, diff: diffManifest(previous, manifest) };
+}
+
+module.exports = {
+    Deployer: Deployer,
+    deployTopology: deployTopology,
+    diffManifest: diffManifest,
+    flattenTopology: flattenTopology,
+    linkBytecode: linkBytecode,
+    loadTopology: loadTopology,
+    parseTopology: parseTopology
+};
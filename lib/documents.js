@@ -0,0 +1,227 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { documentBytes, hashDocument } = require("./hash");
+const { CertreeError } = require("./errors");
+
+// Prefix of a CIDv1 of a raw block hashed with sha2-256:
+// version 1, raw codec (0x55), sha2-256 multihash (0x12) of 32 bytes
+const CID_PREFIX = Buffer.from([0x01, 0x55, 0x12, 0x20]);
+
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+function isDigest (digest) {
+    return /^0x[0-9a-fA-F]{64}$/.test(digest);
+}
+
+function base32 (bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function fromBase32 (text) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of text) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new CertreeError(`invalid base32 character ${char}`);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// returns the base32 CIDv1 of a raw block given its sha2-256 digest,
+// i.e. the CID given by IPFS to a document added as a single raw block
+function cidOf (digest) {
+    if (!isDigest(digest)) {
+        throw new CertreeError(`invalid digest ${digest}`);
+    }
+    return "b" + base32(Buffer.concat([CID_PREFIX, Buffer.from(digest.slice(2), "hex")]));
+}
+
+// returns the base32 CIDv1 of a document added as a single raw block
+function cidOfBytes (bytes) {
+    return cidOf("0x" + crypto.createHash("sha256").update(bytes).digest("hex"));
+}
+
+// returns the bytes32 sha2-256 digest of a raw block CIDv1
+function digestOfCid (cid) {
+    const bytes = cid.startsWith("b") ? fromBase32(cid.slice(1)) : Buffer.alloc(0);
+    if (bytes.length !== CID_PREFIX.length + 32 || !bytes.slice(0, CID_PREFIX.length).equals(CID_PREFIX)) {
+        throw new CertreeError(`unsupported CID ${cid}, expected a base32 CIDv1 of a sha2-256 raw block`);
+    }
+    return "0x" + bytes.slice(CID_PREFIX.length).toString("hex");
+}
+
+// FileSystemBackend stores the documents in a directory, named by their
+// keccak256 digest, i.e. the digest of hashDocument registered by the nodes
+class FileSystemBackend {
+    constructor (dir) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    digest (bytes) {
+        return hashDocument(bytes);
+    }
+
+    file (digest) {
+        return path.join(this.dir, digest.toLowerCase());
+    }
+
+    async put (digest, bytes) {
+        fs.writeFileSync(this.file(digest), bytes);
+    }
+
+    async get (digest) {
+        const file = this.file(digest);
+        return fs.existsSync(file) ? fs.readFileSync(file) : null;
+    }
+}
+
+// MemoryBlocks keeps the raw blocks of a CidBackend in memory, it has
+// the add/cat calls a CidBackend needs from an IPFS client
+class MemoryBlocks {
+    constructor () {
+        this.blocks = new Map();
+    }
+
+    async add (bytes) {
+        const cid = cidOfBytes(bytes);
+        this.blocks.set(cid, Buffer.from(bytes));
+        return cid;
+    }
+
+    async cat (cid) {
+        return this.blocks.get(cid) || null;
+    }
+}
+
+// CidBackend stores the documents as IPFS raw blocks, named by their
+// keccak256 digest as the other backends, and keeps the CID of the block
+// of each digest (see cid), since IPFS addresses the blocks by sha2-256.
+// @ipfs: { add(bytes) -> cid, cat(cid) -> bytes | null }, i.e. an adapter of
+// an IPFS client adding documents as single raw blocks (CIDv1, raw leaves),
+// the blocks are kept in memory by default
+// @cids: the index of the CIDs by digest, e.g. restored from a previous run
+class CidBackend {
+    constructor (ipfs = new MemoryBlocks(), cids = new Map()) {
+        this.ipfs = ipfs;
+        this.cids = cids;
+    }
+
+    digest (bytes) {
+        return hashDocument(bytes);
+    }
+
+    // returns the CID of the document of a digest, or null if not stored
+    cid (digest) {
+        return this.cids.get(digest.toLowerCase()) || null;
+    }
+
+    async put (digest, bytes) {
+        const cid = String(await this.ipfs.add(bytes));
+        if (cid !== cidOfBytes(bytes)) {
+            throw new CertreeError(`the document was stored as ${cid} instead of the raw block ${cidOfBytes(bytes)}`);
+        }
+        this.cids.set(digest.toLowerCase(), cid);
+    }
+
+    async get (digest) {
+        const cid = this.cid(digest);
+        const bytes = cid === null ? null : await this.ipfs.cat(cid);
+        return bytes ? Buffer.from(bytes) : null;
+    }
+}
+
+// DocumentStore stores the credential documents and the revocation reasons
+// by the digest registered on-chain, which is computed by the backend over
+// the document bytes (see documentBytes, JSON documents are canonicalized).
+// A document read back is checked against its digest.
+class DocumentStore {
+    // @backend: a FileSystemBackend, a CidBackend or any { digest(bytes), put(digest, bytes), get(digest) }
+    constructor (backend) {
+        this.backend = backend;
+    }
+
+    // returns the digest of a document in this store
+    digest (document) {
+        return this.backend.digest(documentBytes(document));
+    }
+
+    // stores a document and returns its digest
+    async put (document) {
+        const bytes = documentBytes(document);
+        const digest = this.backend.digest(bytes);
+        await this.backend.put(digest, bytes);
+        return digest;
+    }
+
+    // returns the document of a digest as a Buffer, or null if not stored
+    async get (digest) {
+        if (!isDigest(digest)) {
+            throw new CertreeError(`invalid digest ${digest}`);
+        }
+        const bytes = await this.backend.get(digest);
+        if (bytes === null) {
+            return null;
+        }
+        if (this.backend.digest(bytes) !== digest.toLowerCase()) {
+            throw new CertreeError(`the stored document does not match the digest ${digest}`);
+        }
+        return bytes;
+    }
+
+    // returns the parsed JSON document of a digest, or null if not stored
+    async getJSON (digest) {
+        const bytes = await this.get(digest);
+        return bytes === null ? null : JSON.parse(bytes.toString("utf8"));
+    }
+
+    // returns whether the document of a digest is stored
+    async has (digest) {
+        if (!isDigest(digest)) {
+            throw new CertreeError(`invalid digest ${digest}`);
+        }
+        return (await this.backend.get(digest)) !== null;
+    }
+
+    // returns the reason document of a revoked credential of a node,
+    // or null if the credential is not revoked or its reason is not stored
+    // @node: a NodeClient
+    async getRevocationReason (node, digest) {
+        const revocation = await node.getRevokedProof(digest);
+        return revocation.revokedBlock === 0 ? null : this.get(revocation.reason);
+    }
+}
+
+module.exports = {
+    DocumentStore: DocumentStore,
+    FileSystemBackend: FileSystemBackend,
+    CidBackend: CidBackend,
+    MemoryBlocks: MemoryBlocks,
+    cidOf: cidOf,
+    digestOfCid: digestOfCid
+};
@@ -0,0 +1,134 @@
+// Error classes raised by the certree client.
+// Contract reverts use the "<Scope>/<message>" convention (e.g.
+// "Notary/sender already signed"), which is mapped here to one
+// error class per scope.
+
+// Selector of the solidity `Error(string)` revert payload
+const ERROR_SELECTOR = "0x08c379a0";
+
+class CertreeError extends Error {
+    constructor (message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+// ContractError represents a transaction or call reverted by a contract.
+// @reason: the raw revert reason, i.e. "Notary/sender already signed"
+// @scope: the contract or library that reverted, i.e. "Notary"
+// @code: the reason message as a constant, i.e. "SENDER_ALREADY_SIGNED"
+class ContractError extends CertreeError {
+    constructor (reason, scope, cause) {
+        super(reason || (cause && cause.message) || "contract execution reverted");
+        this.reason = reason;
+        this.scope = scope;
+        this.code = toCode(reason && reason.slice(reason.indexOf("/") + 1));
+        this.cause = cause;
+    }
+}
+
+class OwnersError extends ContractError {}
+class NotaryError extends ContractError {}
+class IssuerError extends ContractError {}
+class NodeError extends ContractError {}
+class CredentialSumError extends ContractError {}
+class TimedError extends ContractError {}
+class AnchorError extends ContractError {}
+
+const errorsByScope = {
+    Owners: OwnersError,
+    Notary: NotaryError,
+    Issuer: IssuerError,
+    Node: NodeError,
+    CredentialSum: CredentialSumError,
+    Timed: TimedError,
+    TimedIssuer: TimedError,
+    TimedNode: TimedError,
+    Anchor: AnchorError
+};
+
+// returns "SENDER_ALREADY_SIGNED" for "sender already signed"
+function toCode (message) {
+    if (!message) {
+        return undefined;
+    }
+    return message.trim().toUpperCase().replace(/[^A-Z0-9]+/g, "_").replace(/^_|_$/g, "");
+}
+
+// decodes an abi encoded `Error(string)` payload
+function decodeErrorData (data) {
+    if (typeof data !== "string" || !data.startsWith(ERROR_SELECTOR)) {
+        return undefined;
+    }
+    const payload = Buffer.from(data.slice(ERROR_SELECTOR.length), "hex");
+    if (payload.length < 64) {
+        return undefined;
+    }
+    const length = parseInt(payload.slice(32, 64).toString("hex"), 16);
+    return payload.slice(64, 64 + length).toString("utf8");
+}
+
+// extracts the revert reason from the errors returned by web3,
+// ganache ("revert <reason>") and geth ("execution reverted: <reason>")
+function revertReason (error) {
+    if (!error) {
+        return undefined;
+    }
+    if (typeof error.reason === "string" && error.reason !== "") {
+        return error.reason;
+    }
+    const fromData = decodeErrorData(typeof error.data === "string" ? error.data : error.data && error.data.result);
+    if (fromData) {
+        return fromData;
+    }
+    if (error.data && typeof error.data === "object") {
+        for (const value of Object.values(error.data)) {
+            if (value && typeof value.reason === "string") {
+                return value.reason;
+            }
+        }
+    }
+    const match = /(?:revert|reverted:)\s+(.+?)\s*$/m.exec(error.message || "");
+    if (match && match[1] !== "Transaction has been reverted by the EVM") {
+        return match[1];
+    }
+    return undefined;
+}
+
+// returns a ContractError subclass for a given reason,
+// `defaultScope` is used for reasons without the scope prefix
+function fromRevertReason (reason, defaultScope, cause) {
+    const separator = reason.indexOf("/");
+    const scope = separator > 0 ? reason.slice(0, separator) : defaultScope;
+    const ErrorClass = errorsByScope[scope] || ContractError;
+    return new ErrorClass(reason, scope, cause);
+}
+
+// converts web3 errors into certree errors when a revert reason is found,
+// otherwise returns the given error
+function decodeError (error, defaultScope) {
+    if (error instanceof CertreeError) {
+        return error;
+    }
+    const reason = revertReason(error);
+    if (reason === undefined) {
+        return error;
+    }
+    return fromRevertReason(reason, defaultScope, error);
+}
+
+module.exports = {
+    CertreeError: CertreeError,
+    ContractError: ContractError,
+    OwnersError: OwnersError,
+    NotaryError: NotaryError,
+    IssuerError: IssuerError,
+    NodeError: NodeError,
+    CredentialSumError: CredentialSumError,
+    TimedError: TimedError,
+    AnchorError: AnchorError,
+    decodeError: decodeError,
+    decodeErrorData: decodeErrorData,
+    fromRevertReason: fromRevertReason,
+    revertReason: revertReason
+};
@@ -0,0 +1,84 @@
+const { keccak256 } = require("web3-utils");
+const abi = require("web3-eth-abi");
+
+const { CertreeError, CredentialSumError } = require("./errors");
+
+// returns the canonical JSON of a value, i.e. without whitespace and with
+// the object keys sorted, so that equal documents have the same digest
+function canonicalize (value) {
+    if (value === null || typeof value === "boolean" || typeof value === "string") {
+        return JSON.stringify(value);
+    }
+    if (typeof value === "number") {
+        if (!Number.isFinite(value)) {
+            throw new CertreeError(`cannot canonicalize the number ${value}`);
+        }
+        return JSON.stringify(value);
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(",")}]`;
+    }
+    if (typeof value === "object") {
+        const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+        return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(",")}}`;
+    }
+    throw new CertreeError(`cannot canonicalize a value of type ${typeof value}`);
+}
+
+// returns the bytes of a credential document as they are hashed and stored,
+// JSON documents (plain objects and arrays) are canonicalized first
+// @document: string | Buffer | object
+function documentBytes (document) {
+    if (Buffer.isBuffer(document)) {
+        return document;
+    }
+    if (typeof document === "string") {
+        return Buffer.from(document);
+    }
+    return Buffer.from(canonicalize(document));
+}
+
+// returns the bytes32 digest of a credential document, i.e. the keccak256
+// of its bytes, strings being always hashed as utf8 text (even "123" or "0x12")
+// @document: string | Buffer | object, see documentBytes
+function hashDocument (document) {
+    return keccak256("0x" + documentBytes(document).toString("hex"));
+}
+
+// returns the same value of `CredentialSum.computeRoot`,
+// i.e. keccak256(abi.encode(digests))
+function hashByteArray (byteArray) {
+    if (byteArray.length === 0) {
+        throw new CredentialSumError("CredentialSum/empty list", "CredentialSum");
+    }
+    return keccak256(abi.encodeParameter("bytes32[]", byteArray));
+}
+
+// returns the roots produced by aggregating the digests in consecutive
+// batches of the given sizes, i.e. the root history of a subject where
+// the last element is the same value of `CredentialSum.computeChainedRoot`
+function chainedRoots (digests, batches) {
+    const roots = [];
+    let start = 0;
+    for (const size of batches.map(Number)) {
+        if (size <= 0 || start + size > digests.length) {
+            throw new CredentialSumError("CredentialSum/invalid batches", "CredentialSum");
+        }
+        const root = hashByteArray(digests.slice(start, start + size));
+        const previous = roots[roots.length - 1];
+        roots.push(previous ? keccak256(abi.encodeParameters(["bytes32", "bytes32"], [previous, root])) : root);
+        start += size;
+    }
+    if (start !== digests.length) {
+        throw new CredentialSumError("CredentialSum/invalid batches", "CredentialSum");
+    }
+    return roots;
+}
+
+module.exports = {
+    canonicalize: canonicalize,
+    documentBytes: documentBytes,
+    hashDocument: hashDocument,
+    hashByteArray: hashByteArray,
+    chainedRoots: chainedRoots
+};
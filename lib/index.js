@@ -0,0 +1,68 @@
+const { NodeClient, TimedNodeClient, Role, Method, Status, statusName, statusHistory } = require("./node");
+const { AnchorRegistryClient } = require("./anchor");
+const { OwnersClient, Action } = require("./owners");
+const { Verifier, verifyCredentialTree, verifyFromAnchor, lookupAnchor, Failure } = require("./verifier");
+const { Indexer, MemoryStore, JsonFileStore } = require("./indexer");
+const { hashDocument, hashByteArray, chainedRoots, canonicalize } = require("./hash");
+const { DocumentStore, FileSystemBackend, CidBackend, MemoryBlocks, cidOf, digestOfCid } = require("./documents");
+const { BatchPlanner, parseCohort } = require("./batch");
+const {
+    CredentialSignatures, credentialTypedData, credentialHash, approvalTypedData, approvalHash, signApproval
+} = require("./signatures");
+const {
+    buildCredential, buildPresentation, exportPresentation, verifyPresentation, didOf
+} = require("./presentation");
+const { MerkleTree, merkleRoot, merkleProof, verifyMerkleProof } = require("./merkle");
+const { loadArtifact, loadAbi } = require("./artifacts");
+const errors = require("./errors");
+
+module.exports = {
+    NodeClient: NodeClient,
+    TimedNodeClient: TimedNodeClient,
+    AnchorRegistryClient: AnchorRegistryClient,
+    OwnersClient: OwnersClient,
+    Action: Action,
+    Role: Role,
+    Method: Method,
+    Status: Status,
+    statusName: statusName,
+    statusHistory: statusHistory,
+    Verifier: Verifier,
+    verifyCredentialTree: verifyCredentialTree,
+    verifyFromAnchor: verifyFromAnchor,
+    lookupAnchor: lookupAnchor,
+    Failure: Failure,
+    Indexer: Indexer,
+    MemoryStore: MemoryStore,
+    JsonFileStore: JsonFileStore,
+    hashDocument: hashDocument,
+    hashByteArray: hashByteArray,
+    chainedRoots: chainedRoots,
+    canonicalize: canonicalize,
+    DocumentStore: DocumentStore,
+    FileSystemBackend: FileSystemBackend,
+    CidBackend: CidBackend,
+    MemoryBlocks: MemoryBlocks,
+    cidOf: cidOf,
+    digestOfCid: digestOfCid,
+    BatchPlanner: BatchPlanner,
+    parseCohort: parseCohort,
+    CredentialSignatures: CredentialSignatures,
+    credentialTypedData: credentialTypedData,
+    credentialHash: credentialHash,
+    approvalTypedData: approvalTypedData,
+    approvalHash: approvalHash,
+    signApproval: signApproval,
+    buildCredential: buildCredential,
+    buildPresentation: buildPresentation,
+    exportPresentation: exportPresentation,
+    verifyPresentation: verifyPresentation,
+    didOf: didOf,
+    MerkleTree: MerkleTree,
+    merkleRoot: merkleRoot,
+    merkleProof: merkleProof,
+    verifyMerkleProof: verifyMerkleProof,
+    loadArtifact: loadArtifact,
+    loadAbi: loadAbi,
+    errors: errors
+};
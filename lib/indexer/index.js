@@ -0,0 +1,457 @@
+const abiCoder = require("web3-eth-abi");
+
+const { NodeClient, statusHistory } = require("../node");
+const { ContractClient } = require("../contract");
+const { loadAbi } = require("../artifacts");
+const { MemoryStore, JsonFileStore, emptyState } = require("./store");
+
+const roleNames = ["leaf", "inner"];
+
+// whether an indexed credential can still be signed or approved
+function isOpen (credential) {
+    return !credential.revoked && !credential.rejected && !credential.withdrawn;
+}
+
+// Indexer follows the events of one or more certification trees
+// (and anchor registries) and keeps them in a local store, so that
+// the credentials lifecycle can be queried without reading the
+// contracts' storage.
+// Children nodes are discovered through the `NodeAdded` events.
+// Chain reorganizations are detected by comparing the hashes of
+// the indexed blocks, and the events of the dropped blocks are removed.
+class Indexer {
+    // @options: {
+    //   nodes: root node addresses to follow,
+    //   registries: anchor registry addresses to follow,
+    //   store: MemoryStore | JsonFileStore (default: MemoryStore),
+    //   fromBlock: first block to index (default: 0),
+    //   reorgDepth: number of recent block hashes kept to detect reorgs (default: 12),
+    //   abis: { Node, CredentialSum, AnchorRegistry }
+    // }
+    constructor (web3, options = {}) {
+        this.web3 = web3;
+        this.roots = (options.nodes || []).map(a => web3.utils.toChecksumAddress(a));
+        this.registryAddresses = (options.registries || []).map(a => web3.utils.toChecksumAddress(a));
+        this.store = options.store || new MemoryStore();
+        this.fromBlock = options.fromBlock || 0;
+        this.reorgDepth = options.reorgDepth || 12;
+        const abis = options.abis || {};
+        this.nodeAbi = abis.Node || loadAbi("Node");
+        this.registryAbi = abis.AnchorRegistry || loadAbi("AnchorRegistry");
+        this.events = {};
+        for (const abi of [this.nodeAbi, abis.CredentialSum || loadAbi("CredentialSum"), this.registryAbi]) {
+            for (const item of abi.filter(e => e.type === "event")) {
+                this.events[abiCoder.encodeEventSignature(item)] = item;
+            }
+        }
+        this.state = null;
+        this.timer = null;
+    }
+
+    async _state () {
+        if (!this.state) {
+            this.state = await this.store.load();
+        }
+        return this.state;
+    }
+
+    // decodes a raw log into an indexed event, or null if unknown
+    _decode (log) {
+        const item = this.events[log.topics[0]];
+        if (!item) {
+            return null;
+        }
+        const decoded = abiCoder.decodeLog(item.inputs, log.data, log.topics.slice(1));
+        const args = {};
+        for (const input of item.inputs) {
+            const value = decoded[input.name];
+            args[input.name] = input.type.startsWith("uint") ? Number(value) : value;
+        }
+        return {
+            id: `${log.blockNumber}-${log.logIndex}`,
+            event: item.name,
+            address: this.web3.utils.toChecksumAddress(log.address),
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            logIndex: log.logIndex,
+            args: args
+        };
+    }
+
+    // @discoveredBlock: the block of the `NodeAdded` event, null for the roots
+    // @ownersBlock: the block at which the owners are read
+    async _addNode (state, address, parent, role, discoveredBlock, ownersBlock) {
+        if (state.nodes[address]) {
+            return false;
+        }
+        const node = new NodeClient(this.web3, address, { abi: this.nodeAbi });
+        state.nodes[address] = {
+            parent: parent,
+            role: role === undefined ? roleNames[await node.getRole()] : roleNames[role],
+            owners: await node.owners(),
+            quorum: await node.quorum(),
+            ownersBlock: ownersBlock,
+            discoveredBlock: discoveredBlock
+        };
+        return true;
+    }
+
+    async _addRegistry (state, address, block) {
+        if (state.registries[address]) {
+            return;
+        }
+        const registry = new ContractClient(this.web3, address, this.registryAbi);
+        state.registries[address] = {
+            owners: await registry.call("owners"),
+            quorum: Number(await registry.call("quorum")),
+            ownersBlock: block
+        };
+    }
+
+    async _logs (addresses, fromBlock, toBlock) {
+        if (addresses.length === 0 || fromBlock > toBlock) {
+            return [];
+        }
+        const logs = await this.web3.eth.getPastLogs({ address: addresses, fromBlock: fromBlock, toBlock: toBlock });
+        return logs.map(log => this._decode(log)).filter(e => e !== null);
+    }
+
+    // returns the last indexed block that is still in the canonical chain
+    async _commonAncestor (state) {
+        const numbers = Object.keys(state.blocks).map(Number).sort((a, b) => b - a);
+        for (const number of numbers) {
+            const block = await this.web3.eth.getBlock(number);
+            if (block && block.hash === state.blocks[number]) {
+                return number;
+            }
+        }
+        return this.fromBlock - 1;
+    }
+
+    // drops the events after the `ancestor` block, the nodes whose `NodeAdded`
+    // event was dropped, with the nodes discovered through them, and the
+    // events of the dropped nodes, including the ones before their addition
+    _rollback (state, ancestor) {
+        for (const number of Object.keys(state.blocks)) {
+            if (Number(number) > ancestor) {
+                delete state.blocks[number];
+            }
+        }
+        let dropped = true;
+        while (dropped) {
+            dropped = false;
+            for (const [address, node] of Object.entries(state.nodes)) {
+                if (node.discoveredBlock !== null && (node.discoveredBlock > ancestor || !state.nodes[node.parent])) {
+                    delete state.nodes[address];
+                    dropped = true;
+                }
+            }
+        }
+        state.events = state.events.filter(e => e.blockNumber <= ancestor &&
+            (state.nodes[e.address] || state.registries[e.address]));
+        state.cursor = ancestor < this.fromBlock ? null : { block: ancestor, hash: state.blocks[ancestor] };
+    }
+
+    // indexes the events up to the latest block and returns
+    // { fromBlock, toBlock, events: number of new events, reorg: ancestor block | null }
+    async sync () {
+        const state = await this._state();
+        const head = await this.web3.eth.getBlock("latest");
+        let reorg = null;
+
+        if (state.cursor) {
+            const block = await this.web3.eth.getBlock(state.cursor.block);
+            if (!block || block.hash !== state.cursor.hash) {
+                reorg = await this._commonAncestor(state);
+                this._rollback(state, reorg);
+            }
+        }
+        for (const address of this.roots) {
+            await this._addNode(state, address, null, undefined, null, head.number);
+        }
+        for (const address of this.registryAddresses) {
+            await this._addRegistry(state, address, head.number);
+        }
+
+        const fromBlock = state.cursor ? state.cursor.block + 1 : this.fromBlock;
+        const known = new Set(state.events.map(e => e.id));
+        const addresses = Object.keys(state.nodes).concat(Object.keys(state.registries));
+        let pending = await this._logs(addresses, fromBlock, head.number);
+        let added = 0;
+        while (pending.length > 0) {
+            const discovered = [];
+            for (const event of pending) {
+                if (known.has(event.id)) {
+                    continue;
+                }
+                known.add(event.id);
+                state.events.push(event);
+                state.blocks[event.blockNumber] = event.blockHash;
+                added++;
+                if (event.event === "NodeAdded" && state.nodes[event.address]) {
+                    const child = event.args.nodeAddress;
+                    const role = event.args.role;
+                    if (await this._addNode(state, child, event.address, role, event.blockNumber, head.number)) {
+                        discovered.push(child);
+                    }
+                }
+            }
+            // the children may have events before being added to the tree
+            pending = await this._logs(discovered, this.fromBlock, head.number);
+        }
+        state.events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+        state.blocks[head.number] = head.hash;
+        for (const number of Object.keys(state.blocks)) {
+            if (Number(number) < head.number - this.reorgDepth) {
+                delete state.blocks[number];
+            }
+        }
+        state.cursor = { block: head.number, hash: head.hash };
+        await this.store.save(state);
+        return { fromBlock: fromBlock, toBlock: head.number, events: added, reorg: reorg };
+    }
+
+    // polls new blocks every `interval` ms until `stop` is called
+    follow (interval = 5000, onSync = () => {}, onError = () => {}) {
+        const poll = async () => {
+            try {
+                onSync(await this.sync());
+            } catch (error) {
+                onError(error);
+            }
+            if (this.timer !== null) {
+                this.timer = setTimeout(poll, interval);
+            }
+        };
+        this.timer = setTimeout(poll, 0);
+    }
+
+    stop () {
+        if (this.timer !== null) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Queries
+
+    // returns the indexed events filtered by name and arguments
+    async getEvents (name, filter = {}) {
+        const state = await this._state();
+        const matches = (e, key, value) => key === "address" ? e.address === value : e.args[key] === value;
+        return state.events.filter(e => (!name || e.event === name) &&
+            Object.entries(filter).every(([key, value]) => matches(e, key, value)));
+    }
+
+    // returns the current owners of a followed node, applying the
+    // owners events emitted after the owners were read
+    async getOwners (address) {
+        const state = await this._state();
+        const contract = state.nodes[address] || state.registries[address];
+        if (!contract) {
+            return [];
+        }
+        let owners = contract.owners.slice();
+        for (const e of await this._ownersEvents(contract, address)) {
+            if (e.event === "OwnerChanged") {
+                owners = owners.map(o => o === e.args.oldOwner ? e.args.newOwner : o);
+            } else if (e.event === "OwnerAdded") {
+                owners.push(e.args.owner);
+            } else if (e.event === "OwnerRemoved") {
+                owners = owners.filter(o => o !== e.args.owner);
+            }
+        }
+        return owners;
+    }
+
+    // returns the current quorum of a followed node, applying the
+    // `QuorumChanged` events emitted after the quorum was read
+    async getQuorum (address) {
+        const state = await this._state();
+        const contract = state.nodes[address] || state.registries[address];
+        if (!contract) {
+            return 0;
+        }
+        let quorum = contract.quorum;
+        for (const e of await this._ownersEvents(contract, address)) {
+            if (e.event === "QuorumChanged") {
+                quorum = e.args.newQuorum;
+            }
+        }
+        return quorum;
+    }
+
+    async _ownersEvents (contract, address) {
+        const names = ["OwnerChanged", "OwnerAdded", "OwnerRemoved", "QuorumChanged"];
+        return (await this.getEvents(null, { address: address })).filter(e =>
+            names.includes(e.event) && e.blockNumber > contract.ownersBlock);
+    }
+
+    // returns the followed nodes, where `removedBlock` is the block of
+    // the `NodeRemoved` event of the parent, null while the node is a child.
+    // Removed nodes are still followed, since the credentials registered
+    // before the removal keep them as witnesses.
+    async getNodes () {
+        const state = await this._state();
+        const nodes = {};
+        for (const [address, node] of Object.entries(state.nodes)) {
+            nodes[address] = Object.assign({}, node, { removedBlock: null });
+        }
+        for (const e of state.events) {
+            const node = nodes[e.args.nodeAddress];
+            if (node && node.parent === e.address) {
+                if (e.event === "NodeRemoved") {
+                    node.removedBlock = e.blockNumber;
+                } else if (e.event === "NodeAdded") {
+                    node.removedBlock = null;
+                }
+            }
+        }
+        return nodes;
+    }
+
+    // returns the lifecycle of the credentials issued on the followed nodes:
+    // [{ node, digest, subject, registrar, insertedBlock, signers, approved, rejected, withdrawn,
+    //    revoked, renews, renewedBy }]
+    async getCredentials (filter = {}) {
+        const state = await this._state();
+        const credentials = {};
+        const key = (address, digest) => `${address}:${digest}`;
+        // the approvals also log the sender as a signer, which is not a registrar
+        const approval = (e) => `${e.transactionHash}:${key(e.address, e.args.digest)}`;
+        const approvals = new Set(state.events.filter(e => e.event === "CredentialApproved").map(approval));
+        for (const e of state.events) {
+            const args = e.args;
+            if (e.event === "CredentialIssued" && state.nodes[e.address]) {
+                credentials[key(e.address, args.digest)] = {
+                    node: e.address,
+                    digest: args.digest,
+                    subject: args.subject,
+                    registrar: args.registrar,
+                    insertedBlock: args.insertedBlock,
+                    transactionHash: e.transactionHash,
+                    signers: [],
+                    approved: false,
+                    rejected: false,
+                    withdrawn: false,
+                    revoked: false,
+                    revocation: null,
+                    renews: null,
+                    renewedBy: null
+                };
+            }
+            if (e.event === "CredentialRenewed" && credentials[key(e.address, args.expiredDigest)]) {
+                credentials[key(e.address, args.expiredDigest)].renewedBy = args.digest;
+            }
+            const credential = credentials[key(e.address, args.digest)];
+            if (!credential) {
+                continue;
+            }
+            if (e.event === "CredentialApproved") {
+                credential.approved = true;
+            } else if (e.event === "CredentialSigned" && !approvals.has(approval(e))) {
+                if (!credential.signers.includes(args.signer)) {
+                    credential.signers.push(args.signer);
+                }
+            } else if (e.event === "CredentialRenewed") {
+                credential.renews = args.expiredDigest;
+            } else if (e.event === "CredentialRejected") {
+                credential.rejected = true;
+            } else if (e.event === "CredentialWithdrawn") {
+                credential.withdrawn = true;
+            } else if (e.event === "CredentialRevoked") {
+                credential.revoked = true;
+                credential.revocation = { revoker: args.revoker, reason: args.reason, revokedBlock: args.revokedBlock };
+            }
+        }
+        return Object.values(credentials).filter(c =>
+            Object.entries(filter).every(([k, value]) => c[k] === value));
+    }
+
+    // returns the credentials that are waiting for the signature of `account`,
+    // i.e. issued on a node owned by `account`, not signed by it, without
+    // a quorum of signatures and neither revoked, rejected nor withdrawn
+    async getPendingSignatures (account) {
+        const pending = [];
+        for (const credential of await this.getCredentials()) {
+            if (!isOpen(credential) || credential.approved || credential.signers.includes(account) ||
+                credential.signers.length >= await this.getQuorum(credential.node)) {
+                continue;
+            }
+            if ((await this.getOwners(credential.node)).includes(account)) {
+                pending.push(credential);
+            }
+        }
+        return pending;
+    }
+
+    // returns the credentials of a subject waiting for its approval
+    async getPendingApprovals (subject) {
+        const pending = [];
+        for (const c of await this.getCredentials({ subject: subject })) {
+            if (isOpen(c) && !c.approved && c.signers.length >= await this.getQuorum(c.node)) {
+                pending.push(c);
+            }
+        }
+        return pending;
+    }
+
+    // reconstructs the status transitions of a credential of a followed node,
+    // see statusHistory: [{ status, blockNumber, transactionHash }]
+    async getStatusHistory (node, digest) {
+        const events = await this.getEvents(null, { address: node });
+        return statusHistory(digest, events, await this.getQuorum(node));
+    }
+
+    // returns the revocations of the credentials of a subject, ordered by block:
+    // [{ node, digest, revoker, reason, revokedBlock, transactionHash }]
+    async getRevocationHistory (subject) {
+        return (await this.getEvents("CredentialRevoked", { subject: subject })).map(e => ({
+            node: e.address,
+            digest: e.args.digest,
+            revoker: e.args.revoker,
+            reason: e.args.reason,
+            revokedBlock: e.args.revokedBlock,
+            transactionHash: e.transactionHash
+        }));
+    }
+
+    // returns the roots aggregated for a subject, ordered by block
+    async getAggregations (subject) {
+        return (await this.getEvents("AggregatedRoot", { subject: subject })).map(e => ({
+            node: e.address,
+            root: e.args.proof,
+            aggregator: e.args.aggregator,
+            aggregatedBlock: e.args.aggregatedBlock
+        }));
+    }
+
+    // returns the anchored records of the followed registries:
+    // [{ registry, digest, registrar, insertedBlock, revoked, reason }]
+    async getAnchors () {
+        const records = {};
+        for (const e of await this.getEvents()) {
+            if (e.event === "RecordIssued") {
+                records[`${e.address}:${e.args.digest}`] = {
+                    registry: e.address,
+                    digest: e.args.digest,
+                    registrar: e.args.registrar,
+                    insertedBlock: e.args.insertedBlock,
+                    revoked: false,
+                    reason: null
+                };
+            } else if (e.event === "RecordRevoked" && records[`${e.address}:${e.args.digest}`]) {
+                Object.assign(records[`${e.address}:${e.args.digest}`], { revoked: true, reason: e.args.reason });
+            }
+        }
+        return Object.values(records);
+    }
+}
+
+module.exports = {
+    Indexer: Indexer,
+    MemoryStore: MemoryStore,
+    JsonFileStore: JsonFileStore,
+    emptyState: emptyState
+};
@@ -0,0 +1,57 @@
+const fs = require("fs");
+const path = require("path");
+
+// Stores persist the indexer state, which is a plain JSON object:
+// {
+//   cursor: { block, hash },   // last indexed block
+//   blocks: { number: hash },  // hashes of recently indexed blocks
+//   nodes: { address: { parent, role, owners, quorum } },
+//   registries: { address: { owners, quorum } },
+//   events: [{ id, event, address, blockNumber, blockHash, transactionHash, logIndex, args }]
+// }
+
+function emptyState () {
+    return { cursor: null, blocks: {}, nodes: {}, registries: {}, events: [] };
+}
+
+class MemoryStore {
+    constructor () {
+        this.state = emptyState();
+    }
+
+    async load () {
+        return this.state;
+    }
+
+    async save (state) {
+        this.state = state;
+    }
+}
+
+// JsonFileStore keeps the state in a single JSON file,
+// written atomically through a temporary file
+class JsonFileStore {
+    constructor (file) {
+        this.file = file;
+    }
+
+    async load () {
+        if (!fs.existsSync(this.file)) {
+            return emptyState();
+        }
+        return Object.assign(emptyState(), JSON.parse(fs.readFileSync(this.file, "utf8")));
+    }
+
+    async save (state) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(state));
+        fs.renameSync(tmp, this.file);
+    }
+}
+
+module.exports = {
+    emptyState: emptyState,
+    MemoryStore: MemoryStore,
+    JsonFileStore: JsonFileStore
+};
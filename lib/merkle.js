@@ -0,0 +1,75 @@
+const { keccak256 } = require("web3-utils");
+
+const { CredentialSumError } = require("./errors");
+
+// MerkleTree mirrors `CredentialSum.computeMerkleRoot`:
+// the leaves are keccak256(digest), each parent is the keccak256 of
+// its sorted children and a node without sibling is promoted.
+class MerkleTree {
+    // @digests: bytes32[] in the same order given to the contract
+    constructor (digests) {
+        if (digests.length === 0) {
+            throw new CredentialSumError("CredentialSum/empty list", "CredentialSum");
+        }
+        this.digests = digests.map(d => d.toLowerCase());
+        this.levels = [this.digests.map(d => keccak256(d))];
+        while (this.levels[this.levels.length - 1].length > 1) {
+            const nodes = this.levels[this.levels.length - 1];
+            const next = [];
+            for (let i = 0; i < nodes.length; i += 2) {
+                next.push(i + 1 < nodes.length ? hashPair(nodes[i], nodes[i + 1]) : nodes[i]);
+            }
+            this.levels.push(next);
+        }
+    }
+
+    get root () {
+        return this.levels[this.levels.length - 1][0];
+    }
+
+    // returns the sibling hashes from the digest leaf to the root,
+    // as expected by `verifyCredentialInclusion`
+    proof (digest) {
+        let index = this.digests.indexOf(digest.toLowerCase());
+        if (index < 0) {
+            throw new CredentialSumError("CredentialSum/digest not found", "CredentialSum");
+        }
+        const proof = [];
+        for (const nodes of this.levels.slice(0, -1)) {
+            const sibling = index ^ 1;
+            if (sibling < nodes.length) {
+                proof.push(nodes[sibling]);
+            }
+            index = Math.floor(index / 2);
+        }
+        return proof;
+    }
+}
+
+function hashPair (a, b) {
+    const [first, second] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+    return keccak256("0x" + first.replace(/^0x/, "") + second.replace(/^0x/, ""));
+}
+
+// returns the same value of `CredentialSum.computeMerkleRoot`
+function merkleRoot (digests) {
+    return new MerkleTree(digests).root;
+}
+
+// returns the inclusion proof of a digest in the merkle tree of digests
+function merkleProof (digests, digest) {
+    return new MerkleTree(digests).proof(digest);
+}
+
+// returns the same value of `CredentialSum.verifyMerkleProof`
+function verifyMerkleProof (root, digest, proof) {
+    const computed = proof.reduce((node, sibling) => hashPair(node, sibling), keccak256(digest));
+    return computed.toLowerCase() === root.toLowerCase();
+}
+
+module.exports = {
+    MerkleTree: MerkleTree,
+    merkleRoot: merkleRoot,
+    merkleProof: merkleProof,
+    verifyMerkleProof: verifyMerkleProof
+};
@@ -0,0 +1,643 @@
+const { OwnersClient } = require("./owners");
+const { loadAbi } = require("./artifacts");
+const { MerkleTree, verifyMerkleProof } = require("./merkle");
+const { CertreeError, CredentialSumError, NodeError } = require("./errors");
+
+// Node roles, see NodeInterface.sol
+const Role = {
+    Leaf: 0,
+    Inner: 1
+};
+
+// Root aggregation methods, see CredentialSum.sol
+const Method = {
+    Hash: 0,
+    Merkle: 1
+};
+
+// Credential statuses, see Notary.sol, new statuses are appended
+// so that the values of the existing ones do not change
+const Status = {
+    None: 0,
+    Pending: 1,
+    QuorumReached: 2,
+    Approved: 3,
+    Revoked: 4,
+    Rejected: 5,
+    Withdrawn: 6,
+    Renewed: 7,
+    Expired: 8,
+    NotYetValid: 9
+};
+
+// Number of issued digests or owners read by each call of the paged queries
+const PAGE_SIZE = 100;
+
+// returns the name of a status value, e.g. "QuorumReached"
+function statusName (status) {
+    return Object.keys(Status).find(name => Status[name] === Number(status));
+}
+
+// reconstructs the status transitions of a credential from the events of
+// its node, given as { event, args, blockNumber, transactionHash } in chain
+// order, which include the renewals of the credential.
+// The signatures are counted against the given (current) quorum, and the
+// time based statuses (Expired and NotYetValid) are not logged, hence the
+// history ends with the last logged transition.
+// returns [{ status, blockNumber, transactionHash }]
+function statusHistory (digest, events, quorum) {
+    const history = [];
+    const signers = new Set();
+    const renewals = new Set();
+    let subject = null;
+    const enter = (status, e) => history.push({
+        status: status,
+        blockNumber: e.blockNumber,
+        transactionHash: e.transactionHash
+    });
+    const current = () => history.length > 0 ? history[history.length - 1].status : Status.None;
+    // the approvals also log the sender as a signer, which is not a registrar
+    const approval = (e) => `${e.transactionHash}:${e.args.digest}`;
+    const approvals = new Set(events.filter(e => e.event === "CredentialApproved").map(approval));
+    for (const e of events) {
+        const args = e.args;
+        if (e.event === "CredentialIssued" && args.digest === digest) {
+            subject = args.subject;
+            enter(Status.Pending, e);
+        } else if (subject === null) {
+            continue;
+        } else if (e.event === "CredentialRenewed" && args.expiredDigest === digest) {
+            renewals.add(args.digest);
+        } else if (e.event === "CredentialApproved" && renewals.has(args.digest)) {
+            if (current() === Status.Approved) {
+                enter(Status.Renewed, e);
+            }
+        } else if (args.digest !== digest) {
+            continue;
+        } else if (e.event === "CredentialApproved") {
+            enter(Status.Approved, e);
+        } else if (e.event === "CredentialSigned" && !approvals.has(approval(e)) && !signers.has(args.signer)) {
+            signers.add(args.signer);
+            if (signers.size >= quorum && current() === Status.Pending) {
+                enter(Status.QuorumReached, e);
+            }
+        } else if (e.event === "CredentialRejected") {
+            enter(Status.Rejected, e);
+        } else if (e.event === "CredentialWithdrawn") {
+            enter(Status.Withdrawn, e);
+        } else if (e.event === "CredentialRevoked") {
+            enter(Status.Revoked, e);
+        }
+    }
+    return history;
+}
+
+function toCredentialProof (raw) {
+    return {
+        signed: Number(raw.signed),
+        insertedBlock: Number(raw.insertedBlock),
+        blockTimestamp: Number(raw.blockTimestamp),
+        nonce: Number(raw.nonce),
+        digest: raw.digest,
+        approved: raw.approved,
+        registrar: raw.registrar,
+        subject: raw.subject,
+        witnesses: raw.witnesses,
+        evidenceRoot: raw.evidenceRoot,
+        validFrom: Number(raw.validFrom),
+        validUntil: Number(raw.validUntil),
+        rejected: raw.rejected,
+        withdrawn: raw.withdrawn
+    };
+}
+
+function toRevocationProof (raw) {
+    return {
+        registrar: raw.registrar,
+        subject: raw.subject,
+        revokedBlock: Number(raw.revokedBlock),
+        reason: raw.reason
+    };
+}
+
+function toRoot (raw) {
+    return {
+        proof: raw.proof,
+        insertedBlock: Number(raw.insertedBlock),
+        blockTimestamp: Number(raw.blockTimestamp),
+        method: Number(raw.method),
+        batches: (raw.batches || []).map(Number),
+        excludesInvalid: Boolean(raw.excludesInvalid),
+        excluded: raw.excluded || []
+    };
+}
+
+// NodeClient exposes the Node contract (Leaf and Inner) operations.
+// Transactions accept an optional last argument { from, gas }
+// and return the transaction receipt.
+class NodeClient extends OwnersClient {
+    // @options: { abi, from, gas }, the abi defaults to the compiled Node artifact
+    constructor (web3, address, options = {}) {
+        super(web3, address, options.abi || loadAbi("Node"), options);
+    }
+
+    // Transactions
+
+    // @options: { from, gas, validFrom, validUntil }, the credential
+    // is only valid within the period when one of them is given
+    async registerCredential (subject, digest, witnesses = [], options = {}) {
+        if (options.validFrom === undefined && options.validUntil === undefined) {
+            return this.send("registerCredential", [subject, digest, witnesses], options);
+        }
+        const period = [options.validFrom || 0, options.validUntil || 0];
+        return this.send("registerCredentialWithPeriod", [subject, digest, witnesses].concat(period), options);
+    }
+
+    // registers a credential signed off-chain by the registrars, see CredentialSignatures
+    // @signatures: the concatenated signatures, or a list of signatures
+    // @options: { from, gas, validFrom, validUntil }, the same period signed by the registrars
+    async registerSignedCredential (subject, digest, witnesses, signatures, options = {}) {
+        const concatenated = Array.isArray(signatures)
+            ? "0x" + signatures.map(s => s.replace(/^0x/, "")).join("")
+            : signatures;
+        const period = [options.validFrom || 0, options.validUntil || 0];
+        const args = [subject, digest, witnesses].concat(period, [concatenated]);
+        return this.send("registerSignedCredential", args, options);
+    }
+
+    // registers the credentials of many subjects, one per subject,
+    // see BatchPlanner to split a cohort into batches
+    async registerCredentialsBatch (subjects, digests, witnesses = [], options = {}) {
+        return this.send("registerCredentialsBatch", [subjects, digests, witnesses], options);
+    }
+
+    // registers `digest` as the renewal of the expiring credential `expiredDigest`
+    // @options: { from, gas, validFrom, validUntil }
+    async renewCredential (expiredDigest, digest, witnesses = [], options = {}) {
+        const period = [options.validFrom || 0, options.validUntil || 0];
+        return this.send("renewCredential", [expiredDigest, digest, witnesses].concat(period), options);
+    }
+
+    async approveCredential (digest, options = {}) {
+        return this.send("approveCredential", [digest], options);
+    }
+
+    // relays the approval signed off-chain by the subject or a delegate
+    // @approval: { digest, deadline, signature }, see signApproval
+    async approveSignedCredential (approval, options = {}) {
+        const args = [approval.digest, approval.deadline || 0, approval.signature];
+        return this.send("approveSignedCredential", args, options);
+    }
+
+    // delegates the approval of the sender's credentials until a timestamp
+    // (at most a year from now), 0 revokes the delegation
+    async delegateApproval (account, until, options = {}) {
+        return this.send("delegateApproval", [account, until], options);
+    }
+
+    async approveCredentialsBatch (digests, options = {}) {
+        return this.send("approveCredentialsBatch", [digests], options);
+    }
+
+    // rejects a pending credential as its subject
+    async rejectCredential (digest, options = {}) {
+        return this.send("rejectCredential", [digest], options);
+    }
+
+    // withdraws a pending credential once called by a quorum of owners
+    async withdrawCredential (digest, options = {}) {
+        return this.send("withdrawCredential", [digest], options);
+    }
+
+    async revokeCredential (digest, reason, options = {}) {
+        return this.send("revokeCredential", [digest, reason], options);
+    }
+
+    async aggregateCredentials (subject, digests, options = {}) {
+        return this.send("aggregateCredentials", [subject, digests], options);
+    }
+
+    async aggregateValidCredentials (subject, options = {}) {
+        return this.send("aggregateValidCredentials", [subject], options);
+    }
+
+    async aggregateValidCredentialsBatch (subjects, options = {}) {
+        return this.send("aggregateValidCredentialsBatch", [subjects], options);
+    }
+
+    async appendCredentials (subject, digests, options = {}) {
+        return this.send("appendCredentials", [subject, digests], options);
+    }
+
+    async aggregateMerkleCredentials (subject, digests, options = {}) {
+        return this.send("aggregateMerkleCredentials", [subject, digests], options);
+    }
+
+    // the node is checked with `checkChild` before the transaction
+    // is sent, raising the NodeError the contract would revert with
+    async addChild (nodeAddress, options = {}) {
+        const [conflict] = await this.checkChild(nodeAddress);
+        if (conflict) {
+            throw new NodeError(conflict.reason, "Node");
+        }
+        return this.send("addChild", [nodeAddress], options);
+    }
+
+    // removes the child once called by a quorum of owners
+    async removeChild (nodeAddress, options = {}) {
+        return this.send("removeChild", [nodeAddress], options);
+    }
+
+    // replaces the child once called by a quorum of owners
+    async replaceChild (oldNode, newNode, options = {}) {
+        return this.send("replaceChild", [oldNode, newNode], options);
+    }
+
+    // confirms a node that added this node as child as its parent
+    // once called by a quorum of owners
+    async confirmParent (parent, options = {}) {
+        return this.send("confirmParent", [parent], options);
+    }
+
+    // discards a parent, confirmed or pending, once called by a quorum of owners
+    async removeParent (parent, options = {}) {
+        return this.send("removeParent", [parent], options);
+    }
+
+    // sets the registry to which the node anchors the roots it aggregates
+    // once called by a quorum of owners, the node must be an owner of the registry
+    async setAnchorRegistry (registry, options = {}) {
+        return this.send("setAnchorRegistry", [registry], options);
+    }
+
+    // Verifications
+
+    async verifyCredential (subject, digest) {
+        return this.call("verifyCredential", subject, digest);
+    }
+
+    async verifyIssuedCredentials (subject) {
+        return this.call("verifyIssuedCredentials", subject);
+    }
+
+    async verifyValidCredentials (subject) {
+        return this.call("verifyValidCredentials", subject);
+    }
+
+    async verifyCredentialRoot (subject, root) {
+        return this.call("verifyCredentialRoot", subject, root);
+    }
+
+    async verifyCredentialTree (subject) {
+        return this.call("verifyCredentialTree", subject);
+    }
+
+    async verifyRootOf (subject, digests) {
+        return this.call("verifyRootOf", subject, digests);
+    }
+
+    async verifyCredentialInclusion (subject, digest, proof) {
+        return this.call("verifyCredentialInclusion", subject, digest, proof);
+    }
+
+    // returns the inclusion proof of a digest in the merkle root of the
+    // subject, built from all subject's digests by default, and checks it
+    // against the stored root
+    // @options: { digests }, the aggregated digests if the root was built from a subset
+    async getInclusionProof (subject, digest, options = {}) {
+        const root = await this.getProof(subject);
+        if (root.method !== Method.Merkle) {
+            throw new CredentialSumError("CredentialSum/not a merkle root", "CredentialSum");
+        }
+        const digests = options.digests ||
+            (await this.listDigests(subject)).filter(d => !root.excluded.includes(d));
+        const proof = new MerkleTree(digests).proof(digest);
+        // a root aggregated from a subset of the issued digests needs the same subset
+        if (!verifyMerkleProof(root.proof, digest, proof)) {
+            throw new CertreeError(`the merkle root of ${subject} was not aggregated from the given digests`);
+        }
+        return proof;
+    }
+
+    // Getters
+
+    // the maximum number of credentials or subjects of a batch call
+    async maxBatchSize () {
+        return Number(await this.call("MAX_BATCH_SIZE"));
+    }
+
+    async getRole () {
+        return Number(await this.call("getRole"));
+    }
+
+    async isLeaf () {
+        return this.call("isLeaf");
+    }
+
+    async isChild (nodeAddress) {
+        return this.call("isChild", nodeAddress);
+    }
+
+    // whether the parents can use the roots of this node as witnesses
+    async canWitness () {
+        return this.call("canWitness");
+    }
+
+    // walks the existing tree below `nodeAddress` and returns the conflicts
+    // of adding it as child of this node, empty if none:
+    // [{ reason: "Node/cycle detected" | "Node/owners overlap", path, owners }]
+    // addresses are compared and reported checksummed, whatever their casing
+    async checkChild (nodeAddress) {
+        const checksum = this.web3.utils.toChecksumAddress;
+        const child = new NodeClient(this.web3, nodeAddress, { abi: this.contract.options.jsonInterface });
+        if (checksum(nodeAddress) === checksum(this.address)) {
+            return [{ reason: "Node/cannot add itself" }];
+        }
+        const conflicts = [];
+        let childOwners;
+        try {
+            childOwners = (await child.owners()).map(checksum);
+        } catch (error) {
+            // not a node, the contract rejects it when added
+            return conflicts;
+        }
+        const owners = (await this.owners()).map(checksum);
+        const overlap = childOwners.filter(o => owners.includes(o));
+        if (overlap.length > 0) {
+            conflicts.push({ reason: "Node/owners overlap", owners: overlap });
+        }
+        const path = await child._pathTo(checksum(this.address), []);
+        if (path !== null) {
+            conflicts.push({ reason: "Node/cycle detected", path: path });
+        }
+        return conflicts;
+    }
+
+    // returns the path of checksummed nodes from this node down to the
+    // checksummed `target`, or null
+    async _pathTo (target, visited) {
+        const address = this.web3.utils.toChecksumAddress(this.address);
+        const path = visited.concat(address);
+        if (address === target) {
+            return path;
+        }
+        if (visited.includes(address) || (await this.getRole()) !== Role.Inner) {
+            return null;
+        }
+        for (const child of await this.getChildren()) {
+            const node = new NodeClient(this.web3, child, { abi: this.contract.options.jsonInterface });
+            const found = await node._pathTo(target, path);
+            if (found !== null) {
+                return found;
+            }
+        }
+        return null;
+    }
+
+    async isWitnessOf (nodeAddress, digest) {
+        return this.call("isWitnessOf", nodeAddress, digest);
+    }
+
+    async myParent () {
+        return this.call("myParent");
+    }
+
+    async getChildren () {
+        return this.call("getChildren");
+    }
+
+    // the parents confirmed by the owners of the node
+    async getParents () {
+        return this.call("getParents");
+    }
+
+    // whether the node added this node as child and waits for the confirmation of the owners
+    async isPendingParent (nodeAddress) {
+        return this.call("isPendingParent", nodeAddress);
+    }
+
+    // returns the address of the anchor registry of the node, or null
+    async anchorRegistry () {
+        const registry = await this.call("anchorRegistry");
+        return /^0x0{40}$/.test(registry) ? null : registry;
+    }
+
+    async getRootBlock (subject) {
+        return Number(await this.call("getRootBlock", subject));
+    }
+
+    // returns the blocks of the witnesses' roots when the credential was registered
+    async getWitnessRootBlocks (digest) {
+        return (await this.call("getWitnessRootBlocks", digest)).map(Number);
+    }
+
+    async getDigests (subject) {
+        return this.call("getDigests", subject);
+    }
+
+    // returns a page of the issued digests of a subject: { digests, next },
+    // where next is the offset of the next page, 0 after the last one
+    // @options: { status, fromBlock, toBlock, offset, limit }, see digests
+    async getDigestsPage (subject, options = {}) {
+        const filter = [options.status || Status.None, options.fromBlock || 0, options.toBlock || 0];
+        const page = [options.offset || 0, options.limit || PAGE_SIZE];
+        const raw = await this.call("getDigestsPage", subject, ...filter, ...page);
+        return { digests: raw.digests, next: Number(raw.next) };
+    }
+
+    // iterates over the issued digests of a subject, in issuing order, reading
+    // them page by page, e.g. for await (const digest of node.digests(subject))
+    // @options: {
+    //   status: the Status of the digests, e.g. Status.Approved for the valid ones (default: any),
+    //     the issued digests are approved, hence Pending, QuorumReached, Rejected and Withdrawn are rejected,
+    //   fromBlock, toBlock: the blocks between which the digests were registered,
+    //   limit: the number of issued digests read by each call
+    // }
+    async *digests (subject, options = {}) {
+        let offset = 0;
+        do {
+            const page = await this.getDigestsPage(subject, Object.assign({}, options, { offset: offset }));
+            yield * page.digests;
+            offset = page.next;
+        } while (offset !== 0);
+    }
+
+    // iterates over the revoked digests of a subject, see digests
+    async *revokedDigests (subject, options = {}) {
+        yield * this.digests(subject, Object.assign({}, options, { status: Status.Revoked }));
+    }
+
+    // returns the issued digests of a subject matching the options, see digests
+    async listDigests (subject, options = {}) {
+        const digests = [];
+        for await (const digest of this.digests(subject, options)) {
+            digests.push(digest);
+        }
+        return digests;
+    }
+
+    async getCredentialProof (digest) {
+        return toCredentialProof(await this.call("getCredentialProof", digest));
+    }
+
+    async getRevokedProof (digest) {
+        return toRevocationProof(await this.call("getRevokedProof", digest));
+    }
+
+    // returns the current Status of a credential
+    async getCredentialStatus (digest) {
+        return Number(await this.call("getCredentialStatus", digest));
+    }
+
+    // returns the current Status of each credential, in the given order
+    async getStatuses (digests) {
+        return (await this.call("getStatuses", digests)).map(Number);
+    }
+
+    // reconstructs the status transitions of a credential from the node events,
+    // see statusHistory
+    // @options: { fromBlock }, the block from which the events are read
+    async getStatusHistory (digest, options = {}) {
+        const range = { fromBlock: options.fromBlock || 0, toBlock: "latest" };
+        const past = (name, filter) => this.contract.getPastEvents(name, Object.assign({ filter: filter }, range));
+        const renewals = await past("CredentialRenewed", { expiredDigest: digest });
+        const logs = renewals.concat(
+            await past("CredentialIssued", { digest: digest }),
+            await past("CredentialSigned", { digest: digest }),
+            await past("CredentialApproved", { digest: [digest].concat(renewals.map(e => e.returnValues.digest)) }),
+            await past("CredentialRejected", { digest: digest }),
+            await past("CredentialWithdrawn", { digest: digest }),
+            await past("CredentialRevoked", { digest: digest })
+        );
+        const events = logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex).map(e => ({
+            event: e.event,
+            args: e.returnValues,
+            blockNumber: e.blockNumber,
+            transactionHash: e.transactionHash
+        }));
+        return statusHistory(digest, events, await this.quorum());
+    }
+
+    // returns { renews, renewedBy }, the digests linked by renewals or null
+    async getRenewal (digest) {
+        const raw = await this.call("getRenewal", digest);
+        const orNull = (d) => /^0x0{64}$/.test(d) ? null : d;
+        return { renews: orNull(raw.renews), renewedBy: orNull(raw.renewedBy) };
+    }
+
+    // returns only the addresses of the owners that signed the credential
+    async getCredentialSigners (digest) {
+        const signers = await this.call("getCredentialSigners", digest);
+        return signers.filter(s => !/^0x0{40}$/.test(s));
+    }
+
+    // iterates over the owners that signed the credential, reading them page by page
+    // @options: { limit: the number of owners read by each call }
+    async *credentialSigners (digest, options = {}) {
+        let offset = 0;
+        do {
+            const page = await this.call("getCredentialSignersPage", digest, offset, options.limit || PAGE_SIZE);
+            yield * page.signers;
+            offset = Number(page.next);
+        } while (offset !== 0);
+    }
+
+    async isQuorumSigned (digest) {
+        return this.call("isQuorumSigned", digest);
+    }
+
+    async isSigned (digest, account) {
+        return this.call("isSigned", digest, account);
+    }
+
+    // returns the timestamp until which the account can approve the subject's credentials
+    async delegatedUntil (subject, account) {
+        return Number(await this.call("delegatedUntil", subject, account));
+    }
+
+    async isApproved (digest) {
+        return this.call("isApproved", digest);
+    }
+
+    async isRevoked (digest) {
+        return this.call("isRevoked", digest);
+    }
+
+    async recordExists (digest) {
+        return this.call("recordExists", digest);
+    }
+
+    async getRevoked (subject) {
+        return this.call("getRevoked", subject);
+    }
+
+    async revokedCounter (subject) {
+        return Number(await this.call("revokedCounter", subject));
+    }
+
+    async getWitnesses (digest) {
+        return this.call("getWitnesses", digest);
+    }
+
+    async getEvidenceRoot (digest) {
+        return this.call("getEvidenceRoot", digest);
+    }
+
+    async getRoot (subject) {
+        return this.call("getRoot", subject);
+    }
+
+    async hasRoot (subject) {
+        return this.call("hasRoot", subject);
+    }
+
+    async getProof (subject) {
+        return toRoot(await this.call("getProof", subject));
+    }
+}
+
+// TimedNodeClient exposes the TimedNode contract, a node that registers
+// credentials only during its period and aggregates them once it ended.
+class TimedNodeClient extends NodeClient {
+    // @options: { abi, from, gas }, the abi defaults to the compiled TimedNode artifact
+    constructor (web3, address, options = {}) {
+        super(web3, address, Object.assign({}, options, { abi: options.abi || loadAbi("TimedNode") }));
+    }
+
+    async extendTime (newEndingTime, options = {}) {
+        return this.send("extendTime", [newEndingTime], options);
+    }
+
+    async startingTime () {
+        return Number(await this.call("startingTime"));
+    }
+
+    async endingTime () {
+        return Number(await this.call("endingTime"));
+    }
+
+    async isStarted () {
+        return this.call("isStarted");
+    }
+
+    async hasEnded () {
+        return this.call("hasEnded");
+    }
+
+    async stillRunning () {
+        return this.call("stillRunning");
+    }
+}
+
+module.exports = {
+    Role: Role,
+    Method: Method,
+    Status: Status,
+    statusName: statusName,
+    statusHistory: statusHistory,
+    NodeClient: NodeClient,
+    TimedNodeClient: TimedNodeClient,
+    toCredentialProof: toCredentialProof,
+    toRevocationProof: toRevocationProof,
+    toRoot: toRoot
+};
@@ -0,0 +1,85 @@
+const { ContractClient } = require("./contract");
+
+// Actions of the owners proposals, see Proposals.sol
+const Action = {
+    AddOwner: 0,
+    RemoveOwner: 1,
+    ChangeQuorum: 2
+};
+
+function toProposal (raw) {
+    return {
+        action: Number(raw.action),
+        account: raw.account,
+        quorum: Number(raw.quorum),
+        proposer: raw.proposer,
+        executed: raw.executed
+    };
+}
+
+// OwnersClient exposes the owners management of the contracts
+// extending Owners, where each proposal is executed once
+// confirmed by a quorum of owners.
+class OwnersClient extends ContractClient {
+    // Transactions
+
+    async changeOwner (newOwner, options = {}) {
+        return this.send("changeOwner", [newOwner], options);
+    }
+
+    async proposeAddOwner (account, options = {}) {
+        return this.send("proposeAddOwner", [account], options);
+    }
+
+    async proposeRemoveOwner (account, options = {}) {
+        return this.send("proposeRemoveOwner", [account], options);
+    }
+
+    async proposeQuorum (quorum, options = {}) {
+        return this.send("proposeQuorum", [quorum], options);
+    }
+
+    async confirmProposal (id, options = {}) {
+        return this.send("confirmProposal", [id], options);
+    }
+
+    // Getters
+
+    async owners () {
+        return this.call("owners");
+    }
+
+    async quorum () {
+        return Number(await this.call("quorum"));
+    }
+
+    async isOwner (account) {
+        return this.call("isOwner", account);
+    }
+
+    async getProposal (id) {
+        return toProposal(await this.call("getProposal", id));
+    }
+
+    async proposalsCount () {
+        return Number(await this.call("proposalsCount"));
+    }
+
+    async proposalConfirmations (id) {
+        return Number(await this.call("proposalConfirmations", id));
+    }
+
+    async hasConfirmedProposal (id, owner) {
+        return this.call("hasConfirmedProposal", id, owner);
+    }
+
+    async actionConfirmations (action) {
+        return Number(await this.call("actionConfirmations", action));
+    }
+}
+
+module.exports = {
+    Action: Action,
+    OwnersClient: OwnersClient,
+    toProposal: toProposal
+};
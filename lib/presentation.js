@@ -0,0 +1,242 @@
+const { toChecksumAddress } = require("web3-utils");
+
+const { NodeClient, Status, statusName } = require("./node");
+const { hashDocument, hashByteArray } = require("./hash");
+const { CertreeError } = require("./errors");
+
+// JSON-LD context of the W3C Verifiable Credentials data model
+const CREDENTIALS_CONTEXT = "https://www.w3.org/2018/credentials/v1";
+
+// JSON-LD context of the certree terms, i.e. the CertreeCredentialProof fields
+const CERTREE_CONTEXT = { "@vocab": "https://github.com/relab/certree#" };
+
+const CREDENTIAL_TYPE = "CertreeCredential";
+const PROOF_TYPE = "CertreeCredentialProof";
+
+// returns the DID of an account or a node on the given chain (did:pkh)
+function didOf (chainId, address) {
+    return `did:pkh:eip155:${chainId}:${toChecksumAddress(address)}`;
+}
+
+function isoDate (timestamp) {
+    return new Date(timestamp * 1000).toISOString();
+}
+
+// builds a W3C Verifiable Credential (JSON-LD) of a credential document
+// registered in a node, whose proof section embeds the on-chain
+// CredentialProof: the digest, the registrar and subject addresses,
+// the evidence root and the witness path, i.e. the root of the subject
+// in each witness and the block in which it was aggregated
+// @document: string | Buffer, hashed with hashDocument
+// @options: { abi } of the nodes
+async function buildCredential (web3, nodeAddress, document, options = {}) {
+    const node = new NodeClient(web3, nodeAddress, { abi: options.abi });
+    const digest = hashDocument(document);
+    const proof = await node.getCredentialProof(digest);
+    if (proof.insertedBlock === 0) {
+        throw new CertreeError(`credential ${digest} not found in node ${nodeAddress}`);
+    }
+    const chainId = await web3.eth.getChainId();
+    const rootBlocks = proof.witnesses.length > 0 ? await node.getWitnessRootBlocks(digest) : [];
+    const witnesses = [];
+    for (const [i, witness] of proof.witnesses.entries()) {
+        const root = await new NodeClient(web3, witness, { abi: options.abi }).getRoot(proof.subject);
+        witnesses.push({ node: witness, root: root, rootBlock: rootBlocks[i] });
+    }
+    const credential = {
+        "@context": [CREDENTIALS_CONTEXT, CERTREE_CONTEXT],
+        id: `${didOf(chainId, node.address)}#${digest}`,
+        type: ["VerifiableCredential", CREDENTIAL_TYPE],
+        issuer: didOf(chainId, node.address),
+        issuanceDate: isoDate(proof.blockTimestamp),
+        credentialSubject: { id: didOf(chainId, proof.subject), digest: digest },
+        proof: {
+            type: PROOF_TYPE,
+            created: isoDate(proof.blockTimestamp),
+            proofPurpose: "assertionMethod",
+            verificationMethod: didOf(chainId, node.address),
+            chainId: chainId,
+            node: node.address,
+            digest: digest,
+            registrar: proof.registrar,
+            subject: proof.subject,
+            insertedBlock: proof.insertedBlock,
+            evidenceRoot: proof.evidenceRoot,
+            witnesses: witnesses,
+            validFrom: proof.validFrom,
+            validUntil: proof.validUntil
+        }
+    };
+    if (proof.validUntil !== 0) {
+        credential.expirationDate = isoDate(proof.validUntil);
+    }
+    return credential;
+}
+
+// builds a W3C Verifiable Presentation of the credentials of a subject,
+// who is the holder of the presentation
+// @credentials: the verifiable credentials of buildCredential
+function buildPresentation (credentials) {
+    const holders = new Set(credentials.map(c => c.credentialSubject.id));
+    if (holders.size !== 1) {
+        throw new CertreeError("the credentials of a presentation must have a single subject");
+    }
+    return {
+        "@context": [CREDENTIALS_CONTEXT, CERTREE_CONTEXT],
+        type: ["VerifiablePresentation"],
+        holder: credentials[0].credentialSubject.id,
+        verifiableCredential: credentials
+    };
+}
+
+// builds the presentation of a credential document registered in a node
+async function exportPresentation (web3, nodeAddress, document, options = {}) {
+    return buildPresentation([await buildCredential(web3, nodeAddress, document, options)]);
+}
+
+function isObject (value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// returns the fields of a presentation (or a single credential) missing
+// or malformed, i.e. that cannot be checked on-chain, empty if none
+function shapeErrors (web3, presentation) {
+    if (!isObject(presentation) || !Array.isArray(presentation.type)) {
+        return ["type"];
+    }
+    if (!presentation.type.includes("VerifiablePresentation")) {
+        return credentialShapeErrors(web3, presentation, "");
+    }
+    if (!Array.isArray(presentation.verifiableCredential)) {
+        return ["verifiableCredential"];
+    }
+    return presentation.verifiableCredential.flatMap(
+        (credential, i) => credentialShapeErrors(web3, credential, `verifiableCredential[${i}].`)
+    );
+}
+
+function credentialShapeErrors (web3, credential, prefix) {
+    if (!isObject(credential)) {
+        return [prefix.slice(0, -1) || "credential"];
+    }
+    const errors = [];
+    if (!isObject(credential.credentialSubject)) {
+        errors.push(`${prefix}credentialSubject`);
+    }
+    const proof = credential.proof;
+    if (!isObject(proof)) {
+        return errors.concat(`${prefix}proof`);
+    }
+    if (!/^0x[0-9a-fA-F]{64}$/.test(proof.digest)) {
+        errors.push(`${prefix}proof.digest`);
+    }
+    if (proof.witnesses !== undefined && (!Array.isArray(proof.witnesses) ||
+        !proof.witnesses.every(w => isObject(w) && web3.utils.isAddress(w.node)))) {
+        errors.push(`${prefix}proof.witnesses`);
+    }
+    return errors;
+}
+
+// checks that a presentation (or a single credential) matches the
+// CredentialProof of each of its credentials on-chain, and that the
+// credentials are still approved, i.e. not revoked, renewed or expired
+// @options: { abi, documents }, the credential documents presented along,
+// whose digests must match the credentials when given
+// returns {
+//   valid, holder,
+//   credentials: [{ id, node, digest, status, valid, mismatches: [{ field, expected, presented }] }],
+//   errors: the missing or malformed fields, the presentation is not checked on-chain if any
+// }
+async function verifyPresentation (web3, presentation, options = {}) {
+    const errors = shapeErrors(web3, presentation);
+    if (errors.length > 0) {
+        return { valid: false, holder: null, credentials: [], errors: errors };
+    }
+    const credentials = presentation.type.includes("VerifiablePresentation")
+        ? presentation.verifiableCredential
+        : [presentation];
+    const chainId = await web3.eth.getChainId();
+    const documents = (options.documents || []).map(hashDocument);
+    const report = { valid: credentials.length > 0, holder: presentation.holder || null, credentials: [], errors: [] };
+    for (const credential of credentials) {
+        const result = await verifyCredential(web3, chainId, credential, presentation.holder, options);
+        if (documents.length > 0 && !documents.includes(result.digest)) {
+            result.mismatches.push({ field: "document", expected: result.digest, presented: null });
+        }
+        result.valid = result.mismatches.length === 0;
+        if (!result.valid) {
+            report.valid = false;
+        }
+        report.credentials.push(result);
+    }
+    return report;
+}
+
+async function verifyCredential (web3, chainId, credential, holder, options) {
+    const presented = credential.proof;
+    const result = {
+        id: credential.id,
+        node: presented.node,
+        digest: presented.digest,
+        status: null,
+        valid: false,
+        mismatches: []
+    };
+    const check = (field, expected, value) => {
+        if (String(expected).toLowerCase() !== String(value).toLowerCase()) {
+            result.mismatches.push({ field: field, expected: expected, presented: value });
+        }
+    };
+    check("proof.type", PROOF_TYPE, presented.type);
+    check("proof.chainId", chainId, presented.chainId);
+    if (result.mismatches.length > 0 || !web3.utils.isAddress(presented.node)) {
+        return result;
+    }
+
+    const node = new NodeClient(web3, presented.node, { abi: options.abi });
+    const proof = await node.getCredentialProof(presented.digest);
+    if (proof.insertedBlock === 0) {
+        result.mismatches.push({ field: "proof.digest", expected: null, presented: presented.digest });
+        return result;
+    }
+    check("issuer", didOf(chainId, node.address), credential.issuer);
+    check("credentialSubject.id", didOf(chainId, proof.subject), credential.credentialSubject.id);
+    check("credentialSubject.digest", proof.digest, credential.credentialSubject.digest);
+    if (holder) {
+        check("holder", didOf(chainId, proof.subject), holder);
+    }
+    check("proof.registrar", proof.registrar, presented.registrar);
+    check("proof.subject", proof.subject, presented.subject);
+    check("proof.insertedBlock", proof.insertedBlock, presented.insertedBlock);
+    check("proof.evidenceRoot", proof.evidenceRoot, presented.evidenceRoot);
+    check("proof.validFrom", proof.validFrom, presented.validFrom);
+    check("proof.validUntil", proof.validUntil, presented.validUntil);
+
+    // the witness path must be the one the evidence root was computed from
+    const witnesses = presented.witnesses || [];
+    check("proof.witnesses", proof.witnesses.join(","), witnesses.map(w => w.node).join(","));
+    if (witnesses.length > 0 && witnesses.length === proof.witnesses.length) {
+        const rootBlocks = await node.getWitnessRootBlocks(presented.digest);
+        for (const [i, witness] of witnesses.entries()) {
+            const child = new NodeClient(web3, witness.node, { abi: options.abi });
+            check(`proof.witnesses[${i}].root`, await child.getRoot(proof.subject), witness.root);
+            check(`proof.witnesses[${i}].rootBlock`, rootBlocks[i], witness.rootBlock);
+        }
+        check("proof.witnesses.evidenceRoot", proof.evidenceRoot, hashByteArray(witnesses.map(w => w.root)));
+    }
+
+    const status = await node.getCredentialStatus(presented.digest);
+    result.status = statusName(status);
+    check("status", statusName(Status.Approved), result.status);
+    return result;
+}
+
+module.exports = {
+    CREDENTIALS_CONTEXT: CREDENTIALS_CONTEXT,
+    CERTREE_CONTEXT: CERTREE_CONTEXT,
+    didOf: didOf,
+    buildCredential: buildCredential,
+    buildPresentation: buildPresentation,
+    exportPresentation: exportPresentation,
+    verifyPresentation: verifyPresentation
+};
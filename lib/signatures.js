@@ -0,0 +1,179 @@
+const { keccak256, sha3Raw, toChecksumAddress } = require("web3-utils");
+const abi = require("web3-eth-abi");
+
+const { CertreeError } = require("./errors");
+
+// EIP-712 types of the credentials signed off-chain by the registrars and
+// of their approvals signed by the subjects, see `Notary.recoverSigners` and
+// `Notary.recoverApprover`. The domain has no chain id, the signatures are
+// bound to the node through its address.
+const Types = {
+    EIP712Domain: [
+        { name: "name", type: "string" },
+        { name: "version", type: "string" },
+        { name: "verifyingContract", type: "address" }
+    ],
+    Credential: [
+        { name: "subject", type: "address" },
+        { name: "digest", type: "bytes32" },
+        { name: "witnesses", type: "address[]" },
+        { name: "validFrom", type: "uint256" },
+        { name: "validUntil", type: "uint256" }
+    ],
+    Approval: [
+        { name: "digest", type: "bytes32" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+const Domain = { name: "Certree", version: "1" };
+
+const SIGNATURE_LENGTH = 65;
+
+function typeHash (name) {
+    return keccak256(`${name}(${Types[name].map(f => `${f.type} ${f.name}`).join(",")})`);
+}
+
+function buildTypedData (nodeAddress, primaryType, message) {
+    return {
+        types: { EIP712Domain: Types.EIP712Domain, [primaryType]: Types[primaryType] },
+        domain: Object.assign({ verifyingContract: nodeAddress }, Domain),
+        primaryType: primaryType,
+        message: message
+    };
+}
+
+// returns the EIP-712 hash of a message given its encoded struct fields
+function typedHash (domain, primaryType, types, values) {
+    const domainSeparator = keccak256(abi.encodeParameters(
+        ["bytes32", "bytes32", "bytes32", "address"],
+        [typeHash("EIP712Domain"), keccak256(domain.name), keccak256(domain.version), domain.verifyingContract]
+    ));
+    const structHash = keccak256(abi.encodeParameters(
+        ["bytes32"].concat(types),
+        [typeHash(primaryType)].concat(values)
+    ));
+    return keccak256("0x1901" + domainSeparator.slice(2) + structHash.slice(2));
+}
+
+// returns the typed data of a credential, as signed by `eth_signTypedData_v4`
+// @credential: { subject, digest, witnesses, validFrom, validUntil }
+function credentialTypedData (nodeAddress, credential) {
+    return buildTypedData(nodeAddress, "Credential", {
+        subject: credential.subject,
+        digest: credential.digest,
+        witnesses: credential.witnesses || [],
+        validFrom: String(credential.validFrom || 0),
+        validUntil: String(credential.validUntil || 0)
+    });
+}
+
+// returns the EIP-712 hash of the credential typed data
+function credentialHash (typedData) {
+    const { domain, message } = typedData;
+    // i.e. keccak256(abi.encodePacked(witnesses)), which hashes the empty list too
+    const witnesses = sha3Raw("0x" + message.witnesses.map(w => abi.encodeParameter("address", w).slice(2)).join(""));
+    return typedHash(domain, "Credential",
+        ["address", "bytes32", "bytes32", "uint256", "uint256"],
+        [message.subject, message.digest, witnesses, message.validFrom, message.validUntil]
+    );
+}
+
+// returns the typed data of the approval of a credential by its subject
+// or a delegate, which can only be submitted until the deadline (0 if none)
+function approvalTypedData (nodeAddress, digest, deadline = 0) {
+    return buildTypedData(nodeAddress, "Approval", { digest: digest, deadline: String(deadline) });
+}
+
+// returns the EIP-712 hash of the approval typed data
+function approvalHash (typedData) {
+    const { domain, message } = typedData;
+    return typedHash(domain, "Approval", ["bytes32", "uint256"], [message.digest, message.deadline]);
+}
+
+function rpc (web3, method, params) {
+    return new Promise((resolve, reject) => {
+        web3.currentProvider.send({ jsonrpc: "2.0", id: Date.now(), method: method, params: params }, (err, res) => {
+            if (err || (res && res.error)) {
+                return reject(err || new CertreeError(res.error.message));
+            }
+            resolve(res.result);
+        });
+    });
+}
+
+// signs the typed data with an unlocked account of the provider, trying
+// `eth_signTypedData_v4` first and the (v4 compatible) `eth_signTypedData`
+// of development chains such as ganache otherwise
+async function signTypedData (web3, signer, typedData) {
+    try {
+        return await rpc(web3, "eth_signTypedData_v4", [signer, JSON.stringify(typedData)]);
+    } catch (error) {
+        return rpc(web3, "eth_signTypedData", [signer, typedData]);
+    }
+}
+
+// signs the approval of a credential with the account of its subject or
+// of a delegate, and returns the payload that anyone can relay through
+// `NodeClient.approveSignedCredential`: { digest, deadline, signature, approver }
+async function signApproval (web3, nodeAddress, digest, approver, deadline = 0) {
+    const data = approvalTypedData(nodeAddress, digest, deadline);
+    const signature = await signTypedData(web3, approver, data);
+    const signer = toChecksumAddress(web3.eth.accounts.recover(approvalHash(data), signature, true));
+    if (signer !== toChecksumAddress(approver)) {
+        throw new CertreeError(`approval not signed by ${approver}`);
+    }
+    return { digest: digest, deadline: Number(deadline), signature: signature, approver: signer };
+}
+
+// CredentialSignatures collects the off-chain signatures of the registrars
+// on a credential, which are submitted in a single transaction through
+// `NodeClient.registerSignedCredential`.
+class CredentialSignatures {
+    // @credential: { subject, digest, witnesses, validFrom, validUntil }
+    constructor (web3, nodeAddress, credential) {
+        this.web3 = web3;
+        this.typedData = credentialTypedData(nodeAddress, credential);
+        this.hash = credentialHash(this.typedData);
+        this.bySigner = new Map();
+    }
+
+    // asks the provider to sign the credential with the signer account
+    async sign (signer) {
+        return this.add(await signTypedData(this.web3, signer, this.typedData));
+    }
+
+    // adds a signature received from a registrar and returns its signer
+    add (signature) {
+        if (typeof signature !== "string" || signature.replace(/^0x/, "").length !== SIGNATURE_LENGTH * 2) {
+            throw new CertreeError("invalid signature");
+        }
+        const signer = toChecksumAddress(this.web3.eth.accounts.recover(this.hash, signature, true));
+        if (this.bySigner.has(signer)) {
+            throw new CertreeError(`credential already signed by ${signer}`);
+        }
+        this.bySigner.set(signer, signature);
+        return signer;
+    }
+
+    signers () {
+        return Array.from(this.bySigner.keys());
+    }
+
+    // returns the concatenated signatures expected by the contract
+    signatures () {
+        return "0x" + Array.from(this.bySigner.values()).map(s => s.replace(/^0x/, "")).join("");
+    }
+}
+
+module.exports = {
+    Types: Types,
+    Domain: Domain,
+    credentialTypedData: credentialTypedData,
+    credentialHash: credentialHash,
+    approvalTypedData: approvalTypedData,
+    approvalHash: approvalHash,
+    signTypedData: signTypedData,
+    signApproval: signApproval,
+    CredentialSignatures: CredentialSignatures
+};
@@ -0,0 +1,425 @@
+const { NodeClient, Role, Method } = require("./node");
+const { hashByteArray, chainedRoots } = require("./hash");
+const { merkleRoot } = require("./merkle");
+const { AnchorRegistryClient } = require("./anchor");
+const { CertreeError } = require("./errors");
+
+const ZERO_BYTES32 = "0x" + "0".repeat(64);
+
+// returns the root of the digests computed with the aggregation
+// method of the stored root, or null if there are no digests
+// or the batches don't match
+function computeRoot (root, digests) {
+    if (digests.length === 0) {
+        return null;
+    }
+    if (root.method === Method.Merkle) {
+        return merkleRoot(digests);
+    }
+    if (root.batches.length > 1) {
+        const length = root.batches.reduce((sum, size) => sum + size, 0);
+        return length === digests.length ? chainedRoots(digests, root.batches).pop() : null;
+    }
+    return hashByteArray(digests);
+}
+
+// Failure types reported by the verifier
+const Failure = {
+    NoCredentials: "no-credentials",
+    SubjectMismatch: "subject-mismatch",
+    NotApproved: "not-approved",
+    Revoked: "revoked",
+    Expired: "expired",
+    NotYetValid: "not-yet-valid",
+    RootMismatch: "root-mismatch",
+    AnchorNotFound: "anchor-not-found",
+    AnchorSubjectMismatch: "anchor-subject-mismatch",
+    AnchorOutdated: "anchor-outdated",
+    AnchorRevoked: "anchor-revoked",
+    AnchorPolicyNotMet: "anchor-policy-not-met",
+    EvidenceRootMismatch: "evidence-root-mismatch",
+    WitnessNotChild: "witness-not-child",
+    WitnessRootNotFound: "witness-root-not-found",
+    RootChangedAfterUse: "root-changed-after-use",
+    Cycle: "cycle"
+};
+
+// Verifier re-computes the credential tree of a subject off-chain,
+// following the rules of `Node.verifyCredentialTree`, but
+// reporting every failure instead of a single boolean.
+// Unlike the on-chain verification, the credentials of leaf
+// witnesses are verified too, not only the formation of their roots.
+class Verifier {
+    // @options: { abi } passed to the NodeClient of every visited node
+    constructor (web3, options = {}) {
+        this.web3 = web3;
+        this.options = options;
+    }
+
+    node (address) {
+        return new NodeClient(this.web3, address, { abi: this.options.abi });
+    }
+
+    // returns {
+    //   valid: bool,
+    //   subject: address,
+    //   tree: NodeReport,
+    //   failures: [{ type, node, digest, message, expected, computed }]
+    // }
+    async verify (rootAddress, subject) {
+        const failures = [];
+        // the validity periods are checked against the latest block, as on-chain
+        this.timestamp = Number((await this.web3.eth.getBlock("latest")).timestamp);
+        const tree = await this._verifyNode(rootAddress, subject, failures, []);
+        return {
+            valid: failures.length === 0,
+            subject: subject,
+            tree: tree,
+            failures: failures
+        };
+    }
+
+    // NodeReport: { address, role, valid, root, credentials: [CredentialReport], excluded: [digest] }
+    async _verifyNode (address, subject, failures, path) {
+        const report = { address: address, role: null, valid: true, root: null, credentials: [], excluded: [] };
+        const fail = (failure) => {
+            report.valid = false;
+            failures.push(Object.assign({ node: address }, failure));
+        };
+        if (path.includes(address)) {
+            fail({ type: Failure.Cycle, message: `node ${address} is its own ancestor` });
+            return report;
+        }
+        const node = this.node(address);
+        report.role = await node.getRole();
+
+        let digests = await node.listDigests(subject);
+        if (digests.length === 0) {
+            fail({ type: Failure.NoCredentials, message: "credential not found" });
+            return report;
+        }
+
+        // Verify local root if exists
+        if (await node.hasRoot(subject)) {
+            const root = await node.getProof(subject);
+            if (root.excludesInvalid) {
+                // the credentials that were invalid when aggregated are left out
+                report.excluded = root.excluded;
+                digests = digests.filter(d => !root.excluded.includes(d));
+            }
+            const computed = computeRoot(root, digests);
+            report.root = Object.assign(root, { computed: computed, valid: root.proof === computed });
+            if (!report.root.valid) {
+                fail({
+                    type: Failure.RootMismatch,
+                    message: "root does not match the issued digests",
+                    expected: root.proof,
+                    computed: computed
+                });
+            }
+            // the root anchored by the node was revoked in its registry
+            const registry = await node.anchorRegistry();
+            if (registry && await new AnchorRegistryClient(this.web3, registry).recordRevoked(root.proof)) {
+                fail({
+                    type: Failure.AnchorRevoked,
+                    message: `root revoked in the anchor registry ${registry}`,
+                    registry: registry
+                });
+            }
+        }
+
+        // Verify credential and potential subtrees
+        for (const digest of digests) {
+            const credential = await this._verifyCredential(
+                node, report.role, digest, subject, failures, path.concat(address)
+            );
+            if (!credential.valid) {
+                report.valid = false;
+            }
+            report.credentials.push(credential);
+        }
+        return report;
+    }
+
+    // CredentialReport: {
+    //   digest, valid, approved, revoked, validFrom, validUntil, renewedBy, evidenceRoot, witnesses: [NodeReport]
+    // }
+    async _verifyCredential (node, role, digest, subject, failures, path) {
+        const proof = await node.getCredentialProof(digest);
+        const report = {
+            digest: digest,
+            valid: true,
+            approved: proof.approved,
+            revoked: await node.isRevoked(digest),
+            validFrom: proof.validFrom,
+            validUntil: proof.validUntil,
+            renewedBy: (await node.getRenewal(digest)).renewedBy,
+            evidenceRoot: null,
+            witnesses: []
+        };
+        const fail = (failure) => {
+            report.valid = false;
+            failures.push(Object.assign({ node: node.address, digest: digest }, failure));
+        };
+
+        if (proof.subject !== subject) {
+            fail({ type: Failure.SubjectMismatch, message: "credential not owned by subject" });
+        }
+        if (!report.approved) {
+            fail({ type: Failure.NotApproved, message: "credential not approved by the subject" });
+        }
+        if (report.revoked) {
+            fail({ type: Failure.Revoked, message: "credential revoked" });
+        }
+        if (this.timestamp < proof.validFrom) {
+            fail({ type: Failure.NotYetValid, message: "credential not valid yet", expected: proof.validFrom });
+        } else if (proof.validUntil !== 0 && this.timestamp >= proof.validUntil) {
+            const renewal = report.renewedBy ? `, renewed by ${report.renewedBy}` : "";
+            fail({ type: Failure.Expired, message: `credential expired${renewal}`, expected: proof.validUntil });
+        }
+        if (role !== Role.Inner || proof.witnesses.length === 0) {
+            return report;
+        }
+
+        const roots = [];
+        const rootBlocks = await node.getWitnessRootBlocks(digest);
+        for (const [i, witness] of proof.witnesses.entries()) {
+            if (!(await node.isWitnessOf(witness, digest))) {
+                fail({ type: Failure.WitnessNotChild, message: `witness ${witness} is not a child node` });
+                roots.push(ZERO_BYTES32);
+                continue;
+            }
+            const child = this.node(witness);
+            const root = await child.getRoot(subject);
+            if (root === ZERO_BYTES32) {
+                fail({ type: Failure.WitnessRootNotFound, message: `witness ${witness} has no root for the subject` });
+            }
+            // the witness re-aggregated the subject after the credential was registered
+            const rootBlock = await child.getRootBlock(subject);
+            if (root !== ZERO_BYTES32 && rootBlock !== rootBlocks[i]) {
+                fail({
+                    type: Failure.RootChangedAfterUse,
+                    message: `witness ${witness} root changed after use`,
+                    expected: rootBlocks[i],
+                    computed: rootBlock
+                });
+            }
+            roots.push(root);
+            const witnessReport = await this._verifyNode(witness, subject, failures, path);
+            if (!witnessReport.valid) {
+                report.valid = false;
+            }
+            report.witnesses.push(witnessReport);
+        }
+
+        const computed = hashByteArray(roots);
+        report.evidenceRoot = {
+            expected: proof.evidenceRoot,
+            computed: computed,
+            valid: proof.evidenceRoot === computed
+        };
+        if (!report.evidenceRoot.valid) {
+            fail({
+                type: Failure.EvidenceRootMismatch,
+                message: "evidence root does not match the witnesses' roots",
+                expected: proof.evidenceRoot,
+                computed: computed
+            });
+        }
+        return report;
+    }
+}
+
+// verifies the credential tree of `subject` starting at the node `rootAddress`
+async function verifyCredentialTree (web3, rootAddress, subject, options = {}) {
+    return new Verifier(web3, options).verify(rootAddress, subject);
+}
+
+// returns the owners of every node of a verified tree, from its root
+// node down to the leaves, i.e. the institutions that issued the credentials
+// returns [{ node, role, depth, owners }]
+async function institutionsOf (verifier, tree, depth = 0, institutions = []) {
+    if (!institutions.some(i => i.node === tree.address)) {
+        const owners = await verifier.node(tree.address).owners();
+        institutions.push({ node: tree.address, role: tree.role, depth: depth, owners: owners });
+    }
+    for (const credential of tree.credentials) {
+        for (const witness of credential.witnesses) {
+            await institutionsOf(verifier, witness, depth + 1, institutions);
+        }
+    }
+    return institutions;
+}
+
+// returns the number of registries that must anchor a root under a
+// policy, i.e. "any", "all" or a number k of the n registries
+function requiredAnchors (policy, count) {
+    if (policy === "any") {
+        return 1;
+    }
+    if (policy === "all") {
+        return count;
+    }
+    if (Number.isInteger(policy) && policy > 0 && policy <= count) {
+        return policy;
+    }
+    throw new CertreeError(`invalid anchor policy ${policy} for ${count} registries`);
+}
+
+// looks up a root in several registries, the root is accepted when enough
+// of them anchored it without revoking it for the same issuer and subject
+// @registries: AnchorRegistryClient(s)
+// @policy: "any", "all" or the number of registries that must anchor the root
+// returns {
+//   root, policy, required, accepted, anchored, issuer, subject, revoked,
+//   records: [{ registry, exists, issuer, subject, revoked }]
+// }
+async function lookupAnchor (registries, rootDigest, policy = "any") {
+    registries = [].concat(registries);
+    const required = requiredAnchors(policy, registries.length);
+    const records = [];
+    for (const registry of registries) {
+        const record = { registry: registry.address, exists: false, issuer: null, subject: null, revoked: false };
+        if (await registry.recordExists(rootDigest)) {
+            record.exists = true;
+            record.issuer = await registry.resolver(rootDigest);
+            record.subject = await registry.subjectOf(rootDigest);
+            record.revoked = await registry.recordRevoked(rootDigest);
+        }
+        records.push(record);
+    }
+
+    // the registries agreeing with most of the others on the issuer and the subject
+    const anchored = records.filter(r => r.exists && !r.revoked);
+    const key = (r) => `${r.issuer}/${r.subject}`;
+    let agreeing = [];
+    for (const record of anchored) {
+        const group = anchored.filter(r => key(r) === key(record));
+        if (group.length > agreeing.length) {
+            agreeing = group;
+        }
+    }
+    const found = agreeing[0] || records.find(r => r.exists) || {};
+    return {
+        root: rootDigest,
+        policy: policy,
+        required: required,
+        accepted: agreeing.length >= required,
+        anchored: agreeing.length,
+        issuer: found.issuer || null,
+        subject: found.subject || null,
+        revoked: records.some(r => r.revoked),
+        records: records
+    };
+}
+
+// returns the lines of a readable anchor verification report
+function describeAnchorReport (report) {
+    const { anchor } = report;
+    const lines = [
+        `root ${anchor.root} anchored in ${anchor.anchored} of ${anchor.records.length} registries, ` +
+        `${anchor.required} required`
+    ];
+    for (const record of anchor.records) {
+        const revoked = record.revoked ? " (revoked)" : "";
+        const state = record.exists ? `issued by node ${record.issuer} for subject ${record.subject}` : "not anchored";
+        lines.push(`  registry ${record.registry}: ${state}${revoked}`);
+    }
+    if (report.institutions.length > 0) {
+        lines.push("institutions:");
+    }
+    for (const institution of report.institutions) {
+        const role = institution.role === Role.Inner ? "inner" : "leaf";
+        const indent = "  ".repeat(institution.depth + 1);
+        lines.push(`${indent}${role} node ${institution.node} owned by ${institution.owners.join(", ")}`);
+    }
+    for (const failure of report.failures) {
+        const at = failure.digest ? `${failure.node} ${failure.digest}` : failure.node;
+        lines.push(`FAILED ${failure.type} at ${at}: ${failure.message}`);
+    }
+    lines.push(report.valid ? "credential tree is valid" : "credential tree is INVALID");
+    return lines;
+}
+
+// verifies the credential tree of `subject` given only a root digest
+// anchored in one or several registries: the issuer node is resolved from
+// the registries, the anchor must be accepted by the policy, belong to the
+// subject and still be the current root of the subject in the issuer node
+// @registries: AnchorRegistryClient(s)
+// @options: { abi, policy }, the abi of the nodes defaults to the `nodeAbi`
+// of the first registry and the policy to "any" (see lookupAnchor)
+// returns {
+//   valid, subject, anchor: lookupAnchor(registries, rootDigest, policy),
+//   institutions: [{ node, role, depth, owners }], tree, failures, text
+// }
+async function verifyFromAnchor (registries, rootDigest, subject, options = {}) {
+    registries = [].concat(registries);
+    const anchor = await lookupAnchor(registries, rootDigest, options.policy);
+    const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+    const report = { valid: false, subject: subject, anchor: anchor, institutions: [], tree: null, failures: [] };
+    const fail = (failure) => {
+        report.failures.push(Object.assign({ node: anchor.issuer }, failure));
+    };
+
+    if (!anchor.accepted) {
+        for (const record of anchor.records.filter(r => r.revoked)) {
+            fail({
+                type: Failure.AnchorRevoked,
+                message: `root revoked in the anchor registry ${record.registry}`,
+                registry: record.registry
+            });
+        }
+        if (registries.length > 1) {
+            fail({
+                type: Failure.AnchorPolicyNotMet,
+                message: `root anchored in ${anchor.anchored} of ${registries.length} registries, ` +
+                    `${anchor.required} required`,
+                expected: anchor.required,
+                computed: anchor.anchored
+            });
+        }
+    }
+    if (anchor.issuer === null) {
+        fail({ type: Failure.AnchorNotFound, message: `root ${rootDigest} not anchored` });
+        report.text = describeAnchorReport(report).join("\n");
+        return report;
+    }
+    const sameSubject = same(anchor.subject, subject);
+    if (!sameSubject) {
+        fail({
+            type: Failure.AnchorSubjectMismatch,
+            message: "root anchored for another subject",
+            expected: subject,
+            computed: anchor.subject
+        });
+    }
+    const verifier = new Verifier(registries[0].web3, { abi: options.abi || registries[0].options.nodeAbi });
+    const current = await verifier.node(anchor.issuer).getRoot(subject);
+    if (sameSubject && current !== rootDigest) {
+        fail({
+            type: Failure.AnchorOutdated,
+            message: "root is no longer the current root of the subject",
+            expected: rootDigest,
+            computed: current
+        });
+    }
+
+    const tree = await verifier.verify(anchor.issuer, subject);
+    // the issuer reports the same revocation when it anchors its roots in one of the registries
+    const reported = (f) => report.failures.some(r => r.type === f.type && same(r.registry, f.registry));
+    const failures = tree.failures.filter(f => !(f.type === Failure.AnchorRevoked && reported(f)));
+    report.failures = report.failures.concat(failures);
+    report.valid = report.failures.length === 0;
+    report.tree = tree.tree;
+    report.institutions = await institutionsOf(verifier, tree.tree);
+    report.text = describeAnchorReport(report).join("\n");
+    return report;
+}
+
+module.exports = {
+    Failure: Failure,
+    Verifier: Verifier,
+    verifyCredentialTree: verifyCredentialTree,
+    verifyFromAnchor: verifyFromAnchor,
+    lookupAnchor: lookupAnchor
+};
@@ -1,8 +1,24 @@
 const NotaryLib = artifacts.require("Notary");
 const CredentialSumLib = artifacts.require("CredentialSum");
+const ConfirmationsLib = artifacts.require("Confirmations");
+const ProposalsLib = artifacts.require("Proposals");
+const WitnessesLib = artifacts.require("Witnesses");
+const ChildrenLib = artifacts.require("Children");
+
+// Contracts
+const Owners = artifacts.require("Owners");
 
 module.exports = async function (deployer, network) {
     console.log(`--- Deploying Libs at ${network} network ---`);
     await deployer.deploy(NotaryLib);
     await deployer.deploy(CredentialSumLib);
+    await deployer.deploy(ConfirmationsLib);
+    await deployer.link(ConfirmationsLib, ProposalsLib);
+    await deployer.deploy(ProposalsLib);
+    await deployer.link(NotaryLib, WitnessesLib);
+    await deployer.link(CredentialSumLib, WitnessesLib);
+    await deployer.deploy(WitnessesLib);
+    await deployer.deploy(ChildrenLib);
+    await deployer.link(ConfirmationsLib, Owners);
+    await deployer.link(ProposalsLib, Owners);
 };
@@ -1,8 +1,14 @@
+// Libs
+const ConfirmationsLib = artifacts.require("Confirmations");
+const ProposalsLib = artifacts.require("Proposals");
+
 // Contracts
 const Anchor = artifacts.require("AnchorRegistry");
 
 module.exports = async function (deployer, network, accounts) {
     const [registrar1, registrar2] = accounts;
     console.log(`--- Deploying anchor at ${network} network ---`);
+    await deployer.link(ConfirmationsLib, Anchor);
+    await deployer.link(ProposalsLib, Anchor);
     await deployer.deploy(Anchor, [registrar1, registrar2], 2);
 };
@@ -1,9 +1,12 @@
 // Libs
 const NotaryLib = artifacts.require("Notary");
 const CredentialSumLib = artifacts.require("CredentialSum");
+const ConfirmationsLib = artifacts.require("Confirmations");
+const ProposalsLib = artifacts.require("Proposals");
 
 // Contracts
 const Issuer = artifacts.require("IssuerMock");
+const TimedIssuer = artifacts.require("TimedIssuer");
 
 module.exports = async function (deployer, network, accounts) {
     const [registrar1, registrar2] = accounts;
@@ -11,5 +14,13 @@ module.exports = async function (deployer, network, accounts) {
     console.log(`--- Deploying issuer at ${network} network ---`);
     await deployer.link(NotaryLib, Issuer);
     await deployer.link(CredentialSumLib, Issuer);
+    await deployer.link(ConfirmationsLib, Issuer);
+    await deployer.link(ProposalsLib, Issuer);
     await deployer.deploy(Issuer, [registrar1, registrar2], 2);
+
+    // timed issuers are deployed for a given period, only link them
+    await deployer.link(NotaryLib, TimedIssuer);
+    await deployer.link(CredentialSumLib, TimedIssuer);
+    await deployer.link(ConfirmationsLib, TimedIssuer);
+    await deployer.link(ProposalsLib, TimedIssuer);
 };
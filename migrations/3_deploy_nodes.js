@@ -1,10 +1,15 @@
 // Libs
 const NotaryLib = artifacts.require("Notary");
 const CredentialSumLib = artifacts.require("CredentialSum");
+const ConfirmationsLib = artifacts.require("Confirmations");
+const ProposalsLib = artifacts.require("Proposals");
+const WitnessesLib = artifacts.require("Witnesses");
+const ChildrenLib = artifacts.require("Children");
 
 // Contracts
 const Leaf = artifacts.require("LeafMock");
 const Inner = artifacts.require("InnerMock");
+const TimedNode = artifacts.require("TimedNode");
 
 module.exports = async function (deployer, network, accounts) {
     const [registrar1, registrar2] = accounts;
@@ -12,10 +17,26 @@ module.exports = async function (deployer, network, accounts) {
     console.log(`--- Deploying leaf at ${network} network ---`);
     await deployer.link(CredentialSumLib, Leaf);
     await deployer.link(NotaryLib, Leaf);
+    await deployer.link(ConfirmationsLib, Leaf);
+    await deployer.link(ProposalsLib, Leaf);
+    await deployer.link(WitnessesLib, Leaf);
+    await deployer.link(ChildrenLib, Leaf);
     await deployer.deploy(Leaf, [registrar1, registrar2], 2);
 
     console.log(`--- Deploying inner at ${network} network ---`);
     await deployer.link(CredentialSumLib, Inner);
     await deployer.link(NotaryLib, Inner);
+    await deployer.link(ConfirmationsLib, Inner);
+    await deployer.link(ProposalsLib, Inner);
+    await deployer.link(WitnessesLib, Inner);
+    await deployer.link(ChildrenLib, Inner);
     await deployer.deploy(Inner, [registrar1, registrar2], 2);
+
+    // timed nodes are deployed for a given period, only link them
+    await deployer.link(CredentialSumLib, TimedNode);
+    await deployer.link(NotaryLib, TimedNode);
+    await deployer.link(ConfirmationsLib, TimedNode);
+    await deployer.link(ProposalsLib, TimedNode);
+    await deployer.link(WitnessesLib, TimedNode);
+    await deployer.link(ChildrenLib, TimedNode);
 };
@@ -0,0 +1,41 @@
+const { deployTopology } = require("../lib/deployer");
+
+// Libs
+const NotaryLib = artifacts.require("Notary");
+const CredentialSumLib = artifacts.require("CredentialSum");
+const ConfirmationsLib = artifacts.require("Confirmations");
+const ProposalsLib = artifacts.require("Proposals");
+const WitnessesLib = artifacts.require("Witnesses");
+const ChildrenLib = artifacts.require("Children");
+
+// Contracts
+const Leaf = artifacts.require("Leaf");
+const Inner = artifacts.require("Inner");
+
+// Deploys the certification tree described by the TOPOLOGY file,
+// writing the addresses to the MANIFEST file (default: <topology>.manifest.json)
+module.exports = async function (deployer, network, accounts) {
+    const topology = process.env.TOPOLOGY;
+    if (!topology) {
+        return;
+    }
+    const manifest = process.env.MANIFEST || topology.replace(/\.(json|ya?ml)$/, "") + ".manifest.json";
+
+    console.log(`--- Deploying topology ${topology} at ${network} network ---`);
+    const { diff } = await deployTopology(web3, topology, manifest, {
+        from: accounts[0],
+        artifacts: {
+            Notary: NotaryLib,
+            CredentialSum: CredentialSumLib,
+            Confirmations: ConfirmationsLib,
+            Proposals: ProposalsLib,
+            Witnesses: WitnessesLib,
+            Children: ChildrenLib,
+            Leaf: Leaf,
+            Inner: Inner
+        },
+        log: console.log
+    });
+    console.log(`--- Manifest written to ${manifest} ---`);
+    console.log(`added: ${diff.added.length}, changed: ${diff.changed.length}, removed: ${diff.removed.length}`);
+};
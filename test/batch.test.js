@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const { hash } = require("./helpers/test-helpers");
+const { NodeClient, BatchPlanner, parseCohort, errors } = require("../lib");
+
+const Leaf = artifacts.require("LeafMock");
+
+contract("BatchPlanner", accounts => {
+    const [registrar1, registrar2, ...students] = accounts;
+    const digestOf = (subject) => hash(web3.utils.toHex(`diploma-${subject}`));
+    const cohort = students.map((subject, i) => ({ subject: subject, digest: digestOf(subject), line: i + 2 }));
+    let leaf = null;
+    let client = null;
+
+    beforeEach(async () => {
+        leaf = await Leaf.new([registrar1, registrar2], 1);
+        client = new NodeClient(web3, leaf.address, { abi: Leaf.abi, from: registrar1 });
+    });
+
+    describe("parsing a cohort", () => {
+        it("should parse the subjects and digests of a CSV", async () => {
+            const csv = ["subject,digest", ...cohort.map(r => `${r.subject},${r.digest}`), ""].join("\n");
+
+            expect(parseCohort(csv)).to.deep.equal(cohort);
+        });
+
+        it("should resolve the documents into digests", async () => {
+            const csv = `name,document,subject\n# comment\nalice,alice.pdf,${students[0]}\r\n`;
+            const rows = parseCohort(csv, (document) => hash(web3.utils.toHex(document)));
+
+            const digest = hash(web3.utils.toHex("alice.pdf"));
+            expect(rows).to.deep.equal([{ subject: students[0], digest: digest, line: 3 }]);
+        });
+
+        it("should report the line of an invalid row", async () => {
+            expect(() => parseCohort("subject\n")).to.throw(errors.CertreeError, "header");
+            expect(() => parseCohort(`subject,digest\n${students[0]},0x01`)).to.throw(errors.CertreeError, "line 2");
+            expect(() => parseCohort(`subject,digest\n0x01,${digestOf(students[0])}`))
+                .to.throw(errors.CertreeError, "line 2");
+        });
+    });
+
+    describe("registering a cohort", () => {
+        it("should split the cohort into batches of the maximum size", async () => {
+            const sent = [];
+            const planner = new BatchPlanner(client, { maxSize: 3, onBatch: (batch) => sent.push(batch.length) });
+            const report = await planner.registerCohort(cohort);
+
+            expect(sent).to.deep.equal([3, 3, 2]);
+            expect(report.batches.flat()).to.deep.equal(cohort);
+            expect(report.failed).to.have.lengthOf(0);
+            expect(report.pending).to.have.lengthOf(0);
+            for (const row of cohort) {
+                (await client.isQuorumSigned(row.digest)).should.equal(true);
+            }
+        });
+
+        it("should not put two credentials of a subject in the same batch", async () => {
+            const transcript = { subject: students[0], digest: hash(web3.utils.toHex("transcript")), line: 10 };
+            const report = await new BatchPlanner(client).registerCohort([cohort[0], transcript, cohort[1]]);
+
+            expect(report.batches).to.deep.equal([[cohort[0], cohort[1]], [transcript]]);
+        });
+
+        it("should shrink the batches that exceed the gas budget", async () => {
+            const rows = cohort.slice(0, 5);
+            const pair = rows.slice(0, 2);
+            const gas = await client.estimateGas("registerCredentialsBatch", [
+                pair.map(r => r.subject), pair.map(r => r.digest), []
+            ]);
+            const report = await new BatchPlanner(client, { gasLimit: Math.ceil(gas * 1.05) }).registerCohort(rows);
+
+            expect(report.batches.flat()).to.deep.equal(rows);
+            expect(report.batches.map(b => b.length)).to.deep.equal([2, 1, 2]);
+        });
+
+        it("should isolate the rows that would revert and send the others", async () => {
+            const forbidden = { subject: registrar2, digest: hash(web3.utils.toHex("forbidden")), line: 20 };
+            const rows = cohort.slice(0, 3).concat([forbidden], cohort.slice(3, 5));
+            const report = await new BatchPlanner(client).registerCohort(rows);
+
+            expect(report.failed).to.have.lengthOf(1);
+            expect(report.failed[0].item).to.deep.equal(forbidden);
+            expect(report.failed[0].error).to.be.an.instanceof(errors.IssuerError);
+            (report.failed[0].error.reason).should.equal("Issuer/forbidden registrar");
+            expect(report.batches.flat()).to.have.deep.members(rows.filter(r => r !== forbidden));
+        });
+
+        it("should report the pending rows when a batch fails and resume them", async () => {
+            const send = client.send.bind(client);
+            let calls = 0;
+            client.send = (...args) => {
+                if (++calls === 2) {
+                    return Promise.reject(new errors.CertreeError("connection lost"));
+                }
+                return send(...args);
+            };
+            const first = await new BatchPlanner(client, { maxSize: 3 }).registerCohort(cohort);
+
+            expect(first.batches).to.deep.equal([cohort.slice(0, 3)]);
+            expect(first.pending).to.deep.equal(cohort.slice(3));
+            (first.error.message).should.equal("connection lost");
+
+            const second = await new BatchPlanner(client, { maxSize: 3 }).registerCohort(cohort);
+            expect(second.skipped).to.deep.equal(cohort.slice(0, 3));
+            expect(second.batches.flat()).to.deep.equal(cohort.slice(3));
+            expect(second.error).to.equal(null);
+        });
+
+        it("should not exceed the batch size of the node", async () => {
+            const max = await client.maxBatchSize();
+
+            (await new BatchPlanner(client, { maxSize: max + 1 }).maxSize()).should.equal(max);
+        });
+    });
+
+    describe("aggregating a cohort", () => {
+        it("should aggregate the credentials of every subject", async () => {
+            await new BatchPlanner(client).registerCohort(cohort);
+            const subjects = new NodeClient(web3, leaf.address, { abi: Leaf.abi });
+            for (const row of cohort) {
+                await subjects.approveCredential(row.digest, { from: row.subject });
+            }
+            const report = await new BatchPlanner(client, { maxSize: 4 }).aggregateCohort(cohort);
+
+            expect(report.batches).to.have.lengthOf(2);
+            for (const row of cohort) {
+                (await client.verifyCredentialTree(row.subject)).should.equal(true);
+            }
+        });
+    });
+});
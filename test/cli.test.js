@@ -0,0 +1,141 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { hash } = require("./helpers/test-helpers");
+const assertFailure = require("./helpers/assert-failure");
+const { run, resolveDigest } = require("../lib/cli");
+const { errors } = require("../lib");
+
+const Leaf = artifacts.require("LeafMock");
+const AnchorRegistry = artifacts.require("AnchorRegistry");
+
+contract("CLI", accounts => {
+    const [registrar1, registrar2, subject, student1, student2] = accounts;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "certree-"));
+    const document = path.join(dir, "diploma.txt");
+    const reasonDocument = path.join(dir, "reason.txt");
+    let leaf = null;
+    let output = [];
+
+    const certree = (...args) => {
+        output = [];
+        return run(args, { web3: web3, abi: Leaf.abi, print: line => output.push(line) });
+    };
+
+    before(async () => {
+        fs.writeFileSync(document, "diploma of subject");
+        fs.writeFileSync(reasonDocument, "wrong grade");
+    });
+
+    beforeEach(async () => {
+        leaf = await Leaf.new([registrar1, registrar2], 2);
+    });
+
+    after(async () => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should hash documents with keccak256", async () => {
+        (resolveDigest(document)).should.equal(hash(web3.utils.toHex("diploma of subject")));
+        (resolveDigest(hash("0x01"))).should.equal(hash("0x01"));
+    });
+
+    it("should issue, co-sign and approve a credential printing the quorum progress", async () => {
+        const digest = await certree("issue", leaf.address, subject, document, "--from", registrar1);
+        expect(output).to.include(`signers: 1/2 ${registrar1}`);
+        expect(output).to.include("waiting for 1 more signature(s)");
+
+        await certree("sign", leaf.address, document, "--from", registrar2);
+        expect(output).to.include(`signers: 2/2 ${registrar1}, ${registrar2}`);
+        expect(output).to.include("quorum reached");
+
+        await certree("approve", leaf.address, digest, "--from", subject);
+        (await leaf.isApproved(digest)).should.equal(true);
+
+        await certree("aggregate", leaf.address, subject, "--from", "0");
+        (await leaf.hasRoot(subject)).should.equal(true);
+
+        const report = await certree("verify", leaf.address, subject);
+        (report.valid).should.equal(true);
+        expect(output).to.include("credential tree is valid");
+    });
+
+    it("should revoke a credential for a reason document", async () => {
+        const digest = await certree("issue", leaf.address, subject, document, "--from", registrar1);
+        await certree("revoke", leaf.address, document, "--reason", reasonDocument, "--from", registrar2);
+
+        const revocation = await leaf.getRevokedProof(digest);
+        (revocation.reason).should.equal(resolveDigest(reasonDocument));
+
+        const proof = await certree("status", leaf.address, digest);
+        (proof.subject).should.equal(subject);
+        expect(output).to.include("status: Revoked");
+        expect(output).to.include("revoked: true");
+    });
+
+    it("should reject and withdraw pending credentials", async () => {
+        const digest = await certree("issue", leaf.address, subject, document, "--from", registrar1);
+        await certree("reject", leaf.address, document, "--from", subject);
+        await certree("status", leaf.address, digest);
+        expect(output).to.include("status: Rejected");
+        expect(output).to.include("rejected by the subject");
+
+        const transcript = hash(web3.utils.toHex("transcript"));
+        await certree("issue", leaf.address, student1, transcript, "--from", registrar1);
+        await certree("withdraw", leaf.address, transcript, "--from", registrar1);
+        expect(output).to.deep.equal([`confirmed the withdrawal of ${transcript}`]);
+        await certree("withdraw", leaf.address, transcript, "--from", registrar2);
+        expect(output).to.deep.equal([`withdrew ${transcript}`]);
+    });
+
+    it("should fail with the decoded revert reason", async () => {
+        await certree("issue", leaf.address, subject, document, "--from", registrar1);
+        const error = await assertFailure(certree("issue", leaf.address, subject, document, "--from", registrar1));
+
+        expect(error).to.be.an.instanceof(errors.NotaryError);
+        (error.reason).should.equal("Notary/sender already signed");
+    });
+
+    it("should not co-sign a credential that was not issued", async () => {
+        const error = await assertFailure(certree("sign", leaf.address, document, "--from", registrar2));
+
+        expect(error).to.be.an.instanceof(errors.CertreeError);
+    });
+
+    it("should issue and aggregate the credentials of a cohort CSV", async () => {
+        const cohort = path.join(dir, "cohort.csv");
+        const transcript = hash(web3.utils.toHex("transcript"));
+        fs.writeFileSync(cohort, `subject,document\n${student1},diploma.txt\n${student2},${transcript}\n`);
+
+        await certree("batch-issue", leaf.address, cohort, "--from", registrar1);
+        expect(output).to.include("issued 2 credential(s)");
+        await certree("batch-issue", leaf.address, cohort, "--from", registrar1, "--batch-size", "1");
+        expect(output).to.include("2 skipped, already signed");
+        await certree("batch-issue", leaf.address, cohort, "--from", registrar2, "--batch-size", "1");
+        expect(output).to.deep.equal(["issued 1 credential(s)", "issued 1 credential(s)", "2 done in 2 batch(es)"]);
+
+        await leaf.approveCredential(resolveDigest(document), { from: student1 });
+        await leaf.approveCredential(transcript, { from: student2 });
+        await certree("batch-aggregate", leaf.address, cohort, "--from", registrar1);
+        (await leaf.hasRoot(student1)).should.equal(true);
+        (await leaf.hasRoot(student2)).should.equal(true);
+    });
+
+    it("should verify the credential tree of an anchored root", async () => {
+        const digest = await certree("issue", leaf.address, subject, document, "--from", registrar1);
+        await certree("sign", leaf.address, document, "--from", registrar2);
+        await certree("approve", leaf.address, digest, "--from", subject);
+        await certree("aggregate", leaf.address, subject, "--from", registrar1);
+        const registry = await AnchorRegistry.new([registrar1], 1);
+        const root = await leaf.getRoot(subject);
+        await registry.issue(root, leaf.address, subject, { from: registrar1 });
+
+        const report = await certree("verify-anchor", registry.address, root, subject);
+        (report.valid).should.equal(true);
+        const record = `  registry ${registry.address}: issued by node ${leaf.address} for subject ${subject}`;
+        expect(output).to.include(record);
+        expect(output).to.include(`  leaf node ${leaf.address} owned by ${registrar1}, ${registrar2}`);
+        expect(output).to.include("credential tree is valid");
+    });
+});
@@ -0,0 +1,393 @@
+const { time } = require("@openzeppelin/test-helpers");
+const { expect } = require("chai");
+const { hash, hashByteArray } = require("./helpers/test-helpers");
+const assertFailure = require("./helpers/assert-failure");
+const {
+    NodeClient, TimedNodeClient, AnchorRegistryClient, Role, Method, Status, statusName, Action, Verifier,
+    CredentialSignatures, signApproval, hashDocument, chainedRoots, errors
+} = require("../lib");
+
+const Leaf = artifacts.require("LeafMock");
+const Inner = artifacts.require("InnerMock");
+const TimedNode = artifacts.require("TimedNode");
+const AnchorRegistry = artifacts.require("AnchorRegistry");
+
+contract("Client", accounts => {
+    const [registrar1, registrar2, registrar3, subject, other] = accounts;
+    const reason = hash(web3.utils.toHex("revoked"));
+    const digest1 = hashDocument("cert1");
+    const digest2 = hashDocument("cert2");
+    let leaf = null;
+    let client = null;
+
+    describe("node", () => {
+        beforeEach(async () => {
+            leaf = await Leaf.new([registrar1, registrar2], 2);
+            client = new NodeClient(web3, leaf.address, { abi: Leaf.abi, from: registrar1 });
+        });
+
+        it("should hash documents as the test helpers", async () => {
+            (digest1).should.equal(hash(web3.utils.toHex("cert1")));
+            (hashDocument(Buffer.from("cert1"))).should.equal(digest1);
+        });
+
+        it("should register, sign and approve a credential", async () => {
+            await client.registerCredential(subject, digest1);
+            (await client.isQuorumSigned(digest1)).should.equal(false);
+            expect(await client.getCredentialSigners(digest1)).to.have.members([registrar1]);
+
+            await client.registerCredential(subject, digest1, [], { from: registrar2 });
+            (await client.isQuorumSigned(digest1)).should.equal(true);
+
+            await client.approveCredential(digest1, { from: subject });
+
+            const proof = await client.getCredentialProof(digest1);
+            (proof.signed).should.equal(2);
+            (proof.approved).should.equal(true);
+            (proof.subject).should.equal(subject);
+            (proof.registrar).should.equal(registrar1);
+            (await client.verifyCredential(subject, digest1)).should.equal(true);
+            (await client.verifyCredentialTree(subject)).should.equal(true);
+        });
+
+        it("should return the status and the status history of a credential", async () => {
+            await client.registerCredential(subject, digest1);
+            (await client.getCredentialStatus(digest1)).should.equal(Status.Pending);
+            await client.registerCredential(subject, digest1, [], { from: registrar2 });
+            await client.approveCredential(digest1, { from: subject });
+            await client.registerCredential(subject, digest2);
+            await client.rejectCredential(digest2, { from: subject });
+
+            expect(await client.getStatuses([digest1, digest2])).to.deep.equal([Status.Approved, Status.Rejected]);
+            (statusName(Status.QuorumReached)).should.equal("QuorumReached");
+            const history = await client.getStatusHistory(digest1);
+            expect(history.map(h => statusName(h.status))).to.deep.equal(["Pending", "QuorumReached", "Approved"]);
+            expect(history[1].blockNumber).to.be.below(history[2].blockNumber);
+            expect((await client.getStatusHistory(digest2)).map(h => h.status)).to.deep.equal([
+                Status.Pending, Status.Rejected
+            ]);
+        });
+
+        it("should iterate over the pages of the digests and signers", async () => {
+            const digests = [digest1, digest2, hashDocument("cert3")];
+            for (const d of digests) {
+                await client.registerCredential(subject, d);
+                await client.registerCredential(subject, d, [], { from: registrar2 });
+                await client.approveCredential(d, { from: subject });
+            }
+            await client.revokeCredential(digest2, reason);
+
+            const page = await client.getDigestsPage(subject, { limit: 2 });
+            expect(page).to.deep.equal({ digests: digests.slice(0, 2), next: 2 });
+            expect(await client.listDigests(subject, { limit: 2 })).to.deep.equal(digests);
+            expect(await client.listDigests(subject, { status: Status.Approved, limit: 1 })).to.deep.equal([
+                digest1, digests[2]
+            ]);
+            const error = await assertFailure(client.listDigests(subject, { status: Status.Pending }));
+            expect(error).to.be.an.instanceof(errors.NotaryError);
+            (error.code).should.equal("STATUS_NOT_ISSUED");
+
+            const revoked = [];
+            for await (const d of client.revokedDigests(subject, { limit: 1 })) {
+                revoked.push(d);
+            }
+            expect(revoked).to.deep.equal([digest2]);
+            const signers = [];
+            for await (const signer of client.credentialSigners(digest1, { limit: 1 })) {
+                signers.push(signer);
+            }
+            expect(signers).to.deep.equal([registrar1, registrar2]);
+        });
+
+        it("should collect the signatures of a quorum and register them at once", async () => {
+            const signatures = new CredentialSignatures(web3, leaf.address, { subject: subject, digest: digest1 });
+            (await signatures.sign(registrar2)).should.equal(registrar2);
+            (await signatures.sign(registrar1)).should.equal(registrar1);
+            expect(signatures.signers()).to.deep.equal([registrar2, registrar1]);
+            expect(() => signatures.add(signatures.signatures().slice(0, 132))).to.throw(errors.CertreeError);
+            expect(() => signatures.add("0x1234")).to.throw(errors.CertreeError, "invalid signature");
+
+            await client.registerSignedCredential(subject, digest1, [], signatures.signatures(), { from: other });
+            expect(await client.getCredentialSigners(digest1)).to.have.members([registrar1, registrar2]);
+        });
+
+        it("should relay the approvals signed by the subject or a delegate", async () => {
+            for (const d of [digest1, digest2]) {
+                await client.registerCredential(subject, d);
+                await client.registerCredential(subject, d, [], { from: registrar2 });
+            }
+            const approval = await signApproval(web3, leaf.address, digest1, subject);
+            (approval.approver).should.equal(subject);
+            await client.approveSignedCredential(approval, { from: other });
+            (await client.isApproved(digest1)).should.equal(true);
+
+            const until = (await time.latest()).toNumber() + 3600;
+            await client.delegateApproval(registrar3, until, { from: subject });
+            (await client.delegatedUntil(subject, registrar3)).should.equal(until);
+            await client.approveSignedCredential(await signApproval(web3, leaf.address, digest2, registrar3));
+            (await client.isApproved(digest2)).should.equal(true);
+        });
+
+        it("should aggregate and verify the credentials of a subject", async () => {
+            for (const d of [digest1, digest2]) {
+                await client.registerCredential(subject, d);
+                await client.registerCredential(subject, d, [], { from: registrar2 });
+                await client.approveCredential(d, { from: subject });
+            }
+            await client.aggregateCredentials(subject, [digest1, digest2]);
+
+            const root = await client.getProof(subject);
+            (root.proof).should.equal(hashByteArray([digest1, digest2]));
+            (root.insertedBlock).should.equal(await web3.eth.getBlockNumber());
+            (await client.verifyCredentialRoot(subject, root.proof)).should.equal(true);
+            (await client.verifyIssuedCredentials(subject)).should.equal(true);
+        });
+
+        it("should prove the inclusion of a single credential in a merkle root", async () => {
+            for (const d of [digest1, digest2]) {
+                await client.registerCredential(subject, d);
+                await client.registerCredential(subject, d, [], { from: registrar2 });
+                await client.approveCredential(d, { from: subject });
+            }
+            await client.aggregateMerkleCredentials(subject, [digest1, digest2]);
+
+            const root = await client.getProof(subject);
+            (root.method).should.equal(Method.Merkle);
+            const proof = await client.getInclusionProof(subject, digest2);
+            (proof.length).should.equal(1);
+            (await client.verifyCredentialInclusion(subject, digest2, proof)).should.equal(true);
+
+            await client.aggregateMerkleCredentials(subject, [digest2]);
+            const error = await assertFailure(client.getInclusionProof(subject, digest2));
+            expect(error).to.be.an.instanceof(errors.CertreeError);
+            const subset = await client.getInclusionProof(subject, digest2, { digests: [digest2] });
+            (await client.verifyCredentialInclusion(subject, digest2, subset)).should.equal(true);
+            await client.aggregateCredentials(subject, [digest1, digest2]);
+            const notMerkle = await assertFailure(client.getInclusionProof(subject, digest2));
+            expect(notMerkle).to.be.an.instanceof(errors.CredentialSumError);
+
+            const report = await new Verifier(web3, { abi: Leaf.abi }).verify(leaf.address, subject);
+            (report.valid).should.equal(true);
+            (report.tree.root.valid).should.equal(true);
+        });
+
+        it("should verify a root with appended credentials", async () => {
+            for (const d of [digest1, digest2]) {
+                await client.registerCredential(subject, d);
+                await client.registerCredential(subject, d, [], { from: registrar2 });
+                await client.approveCredential(d, { from: subject });
+            }
+            await client.aggregateCredentials(subject, [digest1]);
+            await client.appendCredentials(subject, [digest2]);
+
+            const root = await client.getProof(subject);
+            expect(root.batches).to.deep.equal([1, 1]);
+            (root.proof).should.equal(chainedRoots([digest1, digest2], [1, 1])[1]);
+            const report = await new Verifier(web3, { abi: Leaf.abi }).verify(leaf.address, subject);
+            (report.tree.root.valid).should.equal(true);
+        });
+
+        it("should add an owner through a proposal confirmed by the quorum", async () => {
+            await client.proposeAddOwner(registrar3);
+            (await client.proposalConfirmations(0)).should.equal(1);
+            (await client.isOwner(registrar3)).should.equal(false);
+
+            await client.confirmProposal(0, { from: registrar2 });
+            const proposal = await client.getProposal(0);
+            (proposal.action).should.equal(Action.AddOwner);
+            (proposal.executed).should.equal(true);
+            expect(await client.owners()).to.deep.equal([registrar1, registrar2, registrar3]);
+        });
+
+        it("should revoke a credential", async () => {
+            await client.registerCredential(subject, digest1);
+            await client.revokeCredential(digest1, reason, { from: registrar2 });
+
+            (await client.isRevoked(digest1)).should.equal(true);
+            const revocation = await client.getRevokedProof(digest1);
+            (revocation.registrar).should.equal(registrar2);
+            (revocation.reason).should.equal(reason);
+        });
+
+        it("should add a child node", async () => {
+            const inner = await Inner.new([registrar3], 1);
+            const innerClient = new NodeClient(web3, inner.address, { abi: Inner.abi, from: registrar3 });
+
+            await innerClient.addChild(leaf.address);
+
+            (await innerClient.getRole()).should.equal(Role.Inner);
+            (await client.getRole()).should.equal(Role.Leaf);
+            expect(await innerClient.getChildren()).to.have.members([leaf.address]);
+        });
+
+        it("should report a cycle or an owners overlap before sending the transaction", async () => {
+            const top = await Inner.new([registrar3], 1);
+            const middle = await Inner.new([other], 1);
+            const topClient = new NodeClient(web3, top.address, { abi: Inner.abi, from: registrar3 });
+            const middleClient = new NodeClient(web3, middle.address, { abi: Inner.abi, from: other });
+            await topClient.addChild(middle.address);
+            await middleClient.addChild(leaf.address);
+
+            const conflicts = await middleClient.checkChild(top.address);
+            expect(conflicts.map(c => c.reason)).to.deep.equal(["Node/cycle detected"]);
+            expect(conflicts[0].path).to.deep.equal([top.address, middle.address]);
+
+            const block = await web3.eth.getBlockNumber();
+            const error = await assertFailure(middleClient.addChild(top.address));
+            expect(error).to.be.an.instanceof(errors.NodeError);
+            (error.code).should.equal("CYCLE_DETECTED");
+            expect(await web3.eth.getBlockNumber()).to.equal(block);
+
+            const owned = await Leaf.new([other], 1);
+            expect(await topClient.checkChild(owned.address)).to.deep.equal([]);
+            expect(await middleClient.checkChild(owned.address)).to.deep.equal([
+                { reason: "Node/owners overlap", owners: [other] }
+            ]);
+        });
+
+        it("should report the conflicts of lowercase addresses", async () => {
+            const top = await Inner.new([registrar3], 1);
+            const middle = await Inner.new([other], 1);
+            await top.addChild(middle.address, { from: registrar3 });
+            const middleClient = new NodeClient(web3, middle.address.toLowerCase(), { abi: Inner.abi, from: other });
+
+            expect(await middleClient.checkChild(middle.address)).to.deep.equal([{ reason: "Node/cannot add itself" }]);
+            const conflicts = await middleClient.checkChild(top.address.toLowerCase());
+            expect(conflicts.map(c => c.reason)).to.deep.equal(["Node/cycle detected"]);
+            expect(conflicts[0].path).to.deep.equal([top.address, middle.address]);
+
+            const owned = await Leaf.new([other], 1);
+            expect(await middleClient.checkChild(owned.address.toLowerCase())).to.deep.equal([
+                { reason: "Node/owners overlap", owners: [other] }
+            ]);
+        });
+    });
+
+    describe("timed node", () => {
+        it("should register credentials during the period and aggregate them afterwards", async () => {
+            const startingTime = (await time.latest()).toNumber() + 60;
+            const course = await TimedNode.new(Role.Leaf, [registrar1], 1, startingTime, startingTime + 3600);
+            const timed = new TimedNodeClient(web3, course.address, { from: registrar1 });
+            (await timed.startingTime()).should.equal(startingTime);
+            (await timed.isStarted()).should.equal(false);
+
+            await time.increaseTo(startingTime);
+            await timed.extendTime(startingTime + 7200);
+            (await timed.endingTime()).should.equal(startingTime + 7200);
+            await timed.registerCredential(subject, digest1);
+            await timed.approveCredential(digest1, { from: subject });
+            const error = await assertFailure(timed.aggregateCredentials(subject, [digest1]));
+            expect(error).to.be.an.instanceof(errors.TimedError);
+            (error.code).should.equal("PERIOD_NOT_ENDED_YET");
+            (await timed.canWitness()).should.equal(false);
+
+            await time.increaseTo(startingTime + 7200);
+            (await timed.hasEnded()).should.equal(true);
+            await timed.aggregateCredentials(subject, [digest1]);
+            (await timed.canWitness()).should.equal(true);
+        });
+    });
+
+    describe("errors", () => {
+        beforeEach(async () => {
+            leaf = await Leaf.new([registrar1, registrar2], 2);
+            client = new NodeClient(web3, leaf.address, { abi: Leaf.abi, from: registrar1 });
+        });
+
+        it("should decode a Notary revert reason", async () => {
+            await client.registerCredential(subject, digest1);
+            const error = await assertFailure(client.registerCredential(subject, digest1));
+
+            expect(error).to.be.an.instanceof(errors.NotaryError);
+            (error.reason).should.equal("Notary/sender already signed");
+            (error.scope).should.equal("Notary");
+            (error.code).should.equal("SENDER_ALREADY_SIGNED");
+        });
+
+        it("should decode an Owners revert reason", async () => {
+            const error = await assertFailure(client.registerCredential(subject, digest1, [], { from: other }));
+
+            expect(error).to.be.an.instanceof(errors.OwnersError);
+            (error.code).should.equal("SENDER_IS_NOT_AN_OWNER");
+        });
+
+        it("should decode a revert reason of a view call", async () => {
+            const error = await assertFailure(client.verifyCredential(subject, digest1));
+
+            expect(error).to.be.an.instanceof(errors.NotaryError);
+            (error.code).should.equal("CREDENTIAL_NOT_FOUND");
+        });
+
+        it("should decode the abi encoded revert data", async () => {
+            const data = web3.eth.abi.encodeFunctionSignature("Error(string)") +
+                web3.eth.abi.encodeParameter("string", "Node/root not found").slice(2);
+            const error = errors.decodeError({ message: "execution reverted", data: data });
+
+            expect(error).to.be.an.instanceof(errors.NodeError);
+            (error.reason).should.equal("Node/root not found");
+        });
+
+        it("should not decode errors without a revert reason", async () => {
+            const original = new Error("connection refused");
+            (errors.decodeError(original)).should.equal(original);
+        });
+    });
+
+    describe("anchor registry", () => {
+        let registry = null;
+        let root = null;
+
+        beforeEach(async () => {
+            leaf = await Leaf.new([registrar1], 1);
+            const anchor = await AnchorRegistry.new([registrar1, registrar2], 2);
+            registry = new AnchorRegistryClient(web3, anchor.address, {
+                abi: AnchorRegistry.abi,
+                nodeAbi: Leaf.abi,
+                from: registrar1
+            });
+            await leaf.registerCredential(subject, digest1, [], { from: registrar1 });
+            await leaf.approveCredential(digest1, { from: subject });
+            await leaf.aggregateCredentials(subject, [digest1], { from: registrar1 });
+            root = await leaf.getRoot(subject);
+        });
+
+        it("should issue and revoke a root once confirmed by a quorum of owners", async () => {
+            await registry.issue(root, leaf.address, subject);
+            const action = await registry.issueAction(root, leaf.address, subject);
+            (await registry.recordExists(root)).should.equal(false);
+            (await registry.actionConfirmations(action)).should.equal(1);
+            (await registry.hasConfirmed(action, registrar1)).should.equal(true);
+            await registry.issue(root, leaf.address, subject, { from: registrar2 });
+
+            (await registry.recordExists(root)).should.equal(true);
+            (await registry.resolver(root)).should.equal(leaf.address);
+            (await registry.subjectOf(root)).should.equal(subject);
+            const node = await registry.resolveNode(root);
+            (node.address).should.equal(leaf.address);
+            expect(await node.owners()).to.have.members([registrar1]);
+
+            await registry.revoke(root, reason);
+            await registry.revoke(root, hashDocument("disputed"), { from: registrar2 });
+            (await registry.recordRevoked(root)).should.equal(false);
+            (await registry.actionConfirmations(await registry.revokeAction(root, reason))).should.equal(1);
+            await registry.revoke(root, reason, { from: registrar2 });
+            (await registry.recordRevoked(root)).should.equal(true);
+        });
+
+        it("should decode the registry revert reasons", async () => {
+            await registry.issue(root, leaf.address, subject);
+            const confirmed = await assertFailure(registry.issue(root, leaf.address, subject));
+            expect(confirmed).to.be.an.instanceof(errors.OwnersError);
+            (confirmed.code).should.equal("SENDER_ALREADY_CONFIRMED");
+
+            await registry.issue(root, leaf.address, subject, { from: registrar2 });
+            const error = await assertFailure(registry.issue(root, leaf.address, subject));
+            expect(error).to.be.an.instanceof(errors.AnchorError);
+            (error.code).should.equal("RECORD_ALREADY_ISSUED");
+        });
+
+        it("should return null when resolving a root that is not anchored", async () => {
+            expect(await registry.resolveNode(root)).to.equal(null);
+        });
+    });
+});
@@ -0,0 +1,164 @@
+const { expect } = require("chai");
+const assertFailure = require("./helpers/assert-failure");
+const { Deployer, diffManifest, flattenTopology, parseTopology, linkBytecode } = require("../lib/deployer");
+const { NodeClient, Role, errors } = require("../lib");
+
+const NotaryLib = artifacts.require("Notary");
+const CredentialSumLib = artifacts.require("CredentialSum");
+const ConfirmationsLib = artifacts.require("Confirmations");
+const ProposalsLib = artifacts.require("Proposals");
+const WitnessesLib = artifacts.require("Witnesses");
+const ChildrenLib = artifacts.require("Children");
+const Leaf = artifacts.require("Leaf");
+const Inner = artifacts.require("Inner");
+
+const topologyYaml = `
+nodes:
+  - name: university
+    owners: [0, 1]
+    quorum: 2
+    children:
+      - name: faculty
+        owners: [2]
+        children:
+          - name: course1
+            owners: [3, 4]
+            quorum: 1
+          - name: course2
+            owners: [4]
+`;
+
+contract("Deployer", accounts => {
+    const artifactsByName = {
+        Notary: NotaryLib,
+        CredentialSum: CredentialSumLib,
+        Confirmations: ConfirmationsLib,
+        Proposals: ProposalsLib,
+        Witnesses: WitnessesLib,
+        Children: ChildrenLib,
+        Leaf: Leaf,
+        Inner: Inner
+    };
+    let deployer = null;
+    let topology = null;
+    let manifest = null;
+
+    before(async () => {
+        topology = parseTopology(topologyYaml);
+        deployer = new Deployer(web3, { from: accounts[0], artifacts: artifactsByName });
+        manifest = await deployer.deploy(topology);
+    });
+
+    it("should flatten the topology with parents before children", async () => {
+        const nodes = flattenTopology(topology);
+        expect(nodes.map(n => n.name)).to.have.ordered.members(["university", "faculty", "course1", "course2"]);
+        expect(nodes.map(n => n.role)).to.have.ordered.members(["inner", "inner", "leaf", "leaf"]);
+        (nodes[1].quorum).should.equal(1);
+        (nodes[2].parent).should.equal("faculty");
+    });
+
+    it("should reject invalid topologies", async () => {
+        expect(() => parseTopology("nodes: []")).to.throw(errors.CertreeError);
+        expect(() => flattenTopology({
+            nodes: [{ name: "a", owners: [0], quorum: 2 }]
+        })).to.throw(/quorum out of range/);
+        expect(() => flattenTopology({
+            nodes: [{ name: "a", role: "leaf", owners: [0], children: [{ name: "b", owners: [1] }] }]
+        })).to.throw(/cannot have children/);
+        expect(() => flattenTopology({
+            nodes: [{ name: "a", owners: [0] }, { name: "a", owners: [1] }]
+        })).to.throw(/duplicated node name/);
+        expect(() => flattenTopology({
+            nodes: [{ name: "a", owners: [0, 1], children: [{ name: "b", owners: [1] }] }]
+        })).to.throw(/shares owners with its parent/);
+    });
+
+    it("should link the library addresses into the bytecode", async () => {
+        const bytecode = "0x60__Notary________________________________60";
+        (linkBytecode(bytecode, { Notary: "0x" + "AB".repeat(20) })).should.equal("0x60" + "ab".repeat(20) + "60");
+        expect(() => linkBytecode(bytecode, {})).to.throw(/library Notary is not deployed/);
+    });
+
+    it("should deploy and link the nodes of the topology", async () => {
+        const university = new NodeClient(web3, manifest.nodes.university.address, { abi: Inner.abi });
+        const faculty = new NodeClient(web3, manifest.nodes.faculty.address, { abi: Inner.abi });
+        const course1 = new NodeClient(web3, manifest.nodes.course1.address, { abi: Leaf.abi });
+
+        (await university.getRole()).should.equal(Role.Inner);
+        (await course1.getRole()).should.equal(Role.Leaf);
+        expect(await university.getChildren()).to.have.members([manifest.nodes.faculty.address]);
+        expect(await faculty.getChildren()).to.have.members([
+            manifest.nodes.course1.address,
+            manifest.nodes.course2.address
+        ]);
+        expect(await university.owners()).to.have.members([accounts[0], accounts[1]]);
+        (await university.quorum()).should.equal(2);
+        (await course1.quorum()).should.equal(1);
+        expect(manifest.libraries).to.have.all.keys(
+            "Notary", "CredentialSum", "Confirmations", "Proposals", "Witnesses", "Children"
+        );
+    });
+
+    it("should reuse the contracts of a previous manifest", async () => {
+        const redeployed = await deployer.deploy(topology, manifest);
+
+        const diff = diffManifest(manifest, redeployed);
+        expect(diff.unchanged).to.have.members(["university", "faculty", "course1", "course2"]);
+        (diff.changed.length).should.equal(0);
+    });
+
+    it("should only re-deploy the changed nodes", async () => {
+        const changed = parseTopology(topologyYaml.replace("owners: [4]\n", "owners: [4, 5]\n"));
+        const redeployed = await deployer.deploy(changed, manifest);
+
+        const diff = diffManifest(manifest, redeployed);
+        expect(diff.changed).to.have.members(["course2"]);
+        (redeployed.nodes.faculty.address).should.equal(manifest.nodes.faculty.address);
+        const faculty = new NodeClient(web3, redeployed.nodes.faculty.address, { abi: Inner.abi });
+        (await faculty.isChild(redeployed.nodes.course2.address)).should.equal(true);
+        (await faculty.isChild(manifest.nodes.course2.address)).should.equal(false);
+    });
+
+    it("should remove the moved nodes from their previous parent", async () => {
+        const moved = parseTopology(`
+nodes:
+  - name: university
+    owners: [0, 1]
+    quorum: 2
+    children:
+      - name: faculty
+        owners: [2]
+        children:
+          - name: course1
+            owners: [3, 4]
+            quorum: 1
+      - name: course2
+        owners: [4]
+`);
+        const redeployed = await deployer.deploy(moved, manifest);
+
+        (redeployed.nodes.course2.address).should.equal(manifest.nodes.course2.address);
+        const university = new NodeClient(web3, redeployed.nodes.university.address, { abi: Inner.abi });
+        const faculty = new NodeClient(web3, redeployed.nodes.faculty.address, { abi: Inner.abi });
+        const course2 = new NodeClient(web3, redeployed.nodes.course2.address, { abi: Leaf.abi });
+        expect(await university.getChildren()).to.have.members([
+            redeployed.nodes.faculty.address,
+            redeployed.nodes.course2.address
+        ]);
+        (await faculty.isChild(redeployed.nodes.course2.address)).should.equal(false);
+        expect(await course2.getParents()).to.have.members([redeployed.nodes.university.address]);
+    });
+
+    it("should fail when no owner of the parent is available", async () => {
+        const external = web3.eth.accounts.create().address;
+        const error = await assertFailure(deployer.deploy(parseTopology(`
+nodes:
+  - name: root
+    owners: ["${external}"]
+    children:
+      - name: leaf
+        owners: [1]
+`)));
+        expect(error).to.be.an.instanceof(errors.CertreeError);
+    });
+});
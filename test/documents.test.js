@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const assertFailure = require("./helpers/assert-failure");
+const {
+    NodeClient, DocumentStore, FileSystemBackend, CidBackend, MemoryBlocks, cidOf, digestOfCid,
+    canonicalize, hashDocument, errors
+} = require("../lib");
+
+const Leaf = artifacts.require("LeafMock");
+
+contract("DocumentStore", accounts => {
+    const [registrar1, subject] = accounts;
+    const credential = { name: "Alice", degree: { title: "MSc", year: 2021 }, courses: ["DAT650", "DAT510"] };
+    const reordered = { courses: ["DAT650", "DAT510"], degree: { year: 2021, title: "MSc" }, name: "Alice" };
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "certree-documents-"));
+
+    after(async () => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe("canonical hashing", () => {
+        it("should hash equal JSON documents to the same digest", async () => {
+            (canonicalize(reordered)).should.equal(
+                "{\"courses\":[\"DAT650\",\"DAT510\"],\"degree\":{\"title\":\"MSc\",\"year\":2021},\"name\":\"Alice\"}"
+            );
+            (hashDocument(reordered)).should.equal(hashDocument(credential));
+            (hashDocument(credential)).should.equal(hashDocument(canonicalize(credential)));
+            expect(() => canonicalize({ value: NaN })).to.throw(errors.CertreeError);
+        });
+
+        it("should hash numeric and hex-looking strings as text", async () => {
+            const store = new DocumentStore(new FileSystemBackend(dir));
+            for (const text of ["123", "0xabcd", "0x", "-1"]) {
+                (hashDocument(text)).should.equal(web3.utils.keccak256("0x" + Buffer.from(text).toString("hex")));
+                (hashDocument(text)).should.equal(hashDocument(Buffer.from(text)));
+                (await store.put(text)).should.equal(hashDocument(text));
+                (await store.get(hashDocument(text))).toString().should.equal(text);
+            }
+        });
+    });
+
+    describe("filesystem backend", () => {
+        it("should store and retrieve the documents by their digest", async () => {
+            const store = new DocumentStore(new FileSystemBackend(dir));
+            const digest = await store.put(reordered);
+
+            (digest).should.equal(hashDocument(credential));
+            (await store.has(digest)).should.equal(true);
+            expect(await store.getJSON(digest)).to.deep.equal(credential);
+            expect(await store.get(hashDocument("missing"))).to.equal(null);
+        });
+
+        it("should only look up valid digests", async () => {
+            const store = new DocumentStore(new FileSystemBackend(path.join(dir, "store")));
+            fs.writeFileSync(path.join(dir, "outside"), "outside of the store");
+
+            for (const digest of ["../outside", "0x12"]) {
+                const error = await assertFailure(store.has(digest));
+                expect(error).to.be.an.instanceof(errors.CertreeError);
+            }
+        });
+
+        it("should not return a document that does not match its digest", async () => {
+            const store = new DocumentStore(new FileSystemBackend(dir));
+            const digest = await store.put("diploma");
+            fs.writeFileSync(path.join(dir, digest), "forged diploma");
+
+            const error = await assertFailure(store.get(digest));
+            expect(error).to.be.an.instanceof(errors.CertreeError);
+        });
+    });
+
+    describe("CID backend", () => {
+        it("should derive the IPFS CIDv1 of the raw blocks from their sha2-256 digest", async () => {
+            const empty = "0x" + crypto.createHash("sha256").update(Buffer.alloc(0)).digest("hex");
+
+            (cidOf(empty)).should.equal("bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku");
+            (digestOfCid(cidOf(empty))).should.equal(empty);
+            expect(() => digestOfCid("QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG")).to.throw(errors.CertreeError);
+        });
+
+        it("should store the documents as raw blocks of an IPFS client", async () => {
+            const blocks = new MemoryBlocks();
+            const backend = new CidBackend(blocks);
+            const store = new DocumentStore(backend);
+            const digest = await store.put(credential);
+
+            (digest).should.equal(store.digest(reordered));
+            (blocks.blocks.has(backend.cid(digest))).should.equal(true);
+            expect(await store.getJSON(digest)).to.deep.equal(credential);
+            expect(await store.get(hashDocument("missing"))).to.equal(null);
+
+            const ipfs = { add: async () => "bafyunexpected", cat: async () => null };
+            const error = await assertFailure(new DocumentStore(new CidBackend(ipfs)).put(credential));
+            expect(error).to.be.an.instanceof(errors.CertreeError);
+        });
+
+        it("should give the same digest to a document whatever the backend", async () => {
+            const files = new DocumentStore(new FileSystemBackend(dir));
+            const blocks = new DocumentStore(new CidBackend());
+
+            (await blocks.put(credential)).should.equal(await files.put(reordered));
+            (blocks.digest(credential)).should.equal(hashDocument(credential));
+            (files.digest(credential)).should.equal(hashDocument(credential));
+        });
+    });
+
+    describe("revocation reasons", () => {
+        const backends = [["filesystem", () => new FileSystemBackend(dir)], ["CID", () => new CidBackend()]];
+        for (const [name, backend] of backends) {
+            it(`should retrieve the reason of a revoked credential from the ${name} backend`, async () => {
+                const store = new DocumentStore(backend());
+                const leaf = await Leaf.new([registrar1], 1);
+                const node = new NodeClient(web3, leaf.address, { abi: Leaf.abi, from: registrar1 });
+                const digest = await store.put(credential);
+                await node.registerCredential(subject, digest);
+                expect(await store.getRevocationReason(node, digest)).to.equal(null);
+
+                const reason = await store.put({ reason: "wrong grade", course: "DAT650" });
+                await node.revokeCredential(digest, reason);
+
+                (await node.getCredentialProof(digest)).digest.should.equal(digest);
+                const document = await store.getRevocationReason(node, digest);
+                expect(JSON.parse(document)).to.deep.equal({ course: "DAT650", reason: "wrong grade" });
+            });
+        }
+    });
+});
@@ -0,0 +1,244 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@openzeppelin/test-helpers");
+const { expect } = require("chai");
+const { hash } = require("./helpers/test-helpers");
+const { Indexer, JsonFileStore, Status } = require("../lib");
+
+const Inner = artifacts.require("InnerMock");
+const Leaf = artifacts.require("LeafMock");
+const CredentialSum = artifacts.require("CredentialSum");
+const AnchorRegistry = artifacts.require("AnchorRegistry");
+
+function rpc (method, params = []) {
+    return new Promise((resolve, reject) => {
+        web3.currentProvider.send({ jsonrpc: "2.0", id: Date.now(), method: method, params: params }, (err, res) => {
+            if (err) {
+                return reject(err);
+            }
+            resolve(res.result);
+        });
+    });
+}
+
+contract("Indexer", accounts => {
+    const [registrar1, registrar2, registrar3, subject] = accounts;
+    const abis = { Node: Inner.abi, CredentialSum: CredentialSum.abi, AnchorRegistry: AnchorRegistry.abi };
+    const reason = hash(web3.utils.toHex("revoked"));
+    const digest1 = hash(web3.utils.toHex("cert1"));
+    const digest2 = hash(web3.utils.toHex("cert2"));
+    let inner = null;
+    let leaf = null;
+    let registry = null;
+    let indexer = null;
+
+    beforeEach(async () => {
+        inner = await Inner.new([registrar1], 1);
+        leaf = await Leaf.new([registrar2, registrar3], 2);
+        registry = await AnchorRegistry.new([registrar1], 1);
+        // the leaf has events before being added to the tree
+        await leaf.registerCredential(subject, digest1, [], { from: registrar2 });
+        await inner.addChild(leaf.address, { from: registrar1 });
+        indexer = new Indexer(web3, {
+            nodes: [inner.address],
+            registries: [registry.address],
+            fromBlock: Math.max(0, await web3.eth.getBlockNumber() - 10),
+            abis: abis
+        });
+    });
+
+    it("should discover the children nodes", async () => {
+        await indexer.sync();
+
+        const nodes = await indexer.getNodes();
+        expect(Object.keys(nodes)).to.have.members([inner.address, leaf.address]);
+        (nodes[leaf.address].parent).should.equal(inner.address);
+        (nodes[leaf.address].role).should.equal("leaf");
+        (nodes[leaf.address].quorum).should.equal(2);
+    });
+
+    it("should keep following the removed children", async () => {
+        await indexer.sync();
+        (await indexer.getNodes())[leaf.address].should.include({ removedBlock: null });
+
+        await inner.removeChild(leaf.address, { from: registrar1 });
+        await indexer.sync();
+
+        const nodes = await indexer.getNodes();
+        expect(Object.keys(nodes)).to.have.members([inner.address, leaf.address]);
+        (nodes[leaf.address].removedBlock).should.equal(await web3.eth.getBlockNumber());
+    });
+
+    it("should list the credentials awaiting the signature of an owner", async () => {
+        await indexer.sync();
+
+        const pending = await indexer.getPendingSignatures(registrar3);
+        expect(pending.map(c => c.digest)).to.have.members([digest1]);
+        (pending[0].node).should.equal(leaf.address);
+        expect(pending[0].signers).to.have.members([registrar2]);
+        expect(await indexer.getPendingSignatures(registrar2)).to.be.an("array").that.has.lengthOf(0);
+        expect(await indexer.getPendingSignatures(registrar1)).to.be.an("array").that.has.lengthOf(0);
+
+        await leaf.registerCredential(subject, digest1, [], { from: registrar3 });
+        const { events } = await indexer.sync();
+        (events).should.equal(1);
+
+        expect(await indexer.getPendingSignatures(registrar3)).to.be.an("array").that.has.lengthOf(0);
+        expect((await indexer.getPendingApprovals(subject)).map(c => c.digest)).to.have.members([digest1]);
+    });
+
+    it("should not list rejected or withdrawn credentials as pending", async () => {
+        await leaf.registerCredential(subject, digest2, [], { from: registrar2 });
+        await leaf.rejectCredential(digest1, { from: subject });
+        await leaf.withdrawCredential(digest2, { from: registrar2 });
+        await leaf.withdrawCredential(digest2, { from: registrar3 });
+        await indexer.sync();
+
+        const credentials = await indexer.getCredentials({ subject: subject });
+        expect(credentials.map(c => [c.digest, c.rejected, c.withdrawn])).to.deep.equal([
+            [digest1, true, false], [digest2, false, true]
+        ]);
+        expect(await indexer.getPendingSignatures(registrar3)).to.be.an("array").that.has.lengthOf(0);
+    });
+
+    it("should follow the credential lifecycle and the revocation history", async () => {
+        await leaf.registerCredential(subject, digest1, [], { from: registrar3 });
+        await leaf.approveCredential(digest1, { from: subject });
+        await leaf.aggregateCredentials(subject, [digest1], { from: registrar2 });
+        await leaf.revokeCredential(digest1, reason, { from: registrar3 });
+        await indexer.sync();
+
+        const [credential] = await indexer.getCredentials({ subject: subject });
+        (credential.approved).should.equal(true);
+        (credential.revoked).should.equal(true);
+
+        const history = await indexer.getRevocationHistory(subject);
+        (history.length).should.equal(1);
+        (history[0].digest).should.equal(digest1);
+        (history[0].revoker).should.equal(registrar3);
+        (history[0].reason).should.equal(reason);
+
+        const [aggregation] = await indexer.getAggregations(subject);
+        (aggregation.node).should.equal(leaf.address);
+        (aggregation.root).should.equal(await leaf.getRoot(subject));
+    });
+
+    it("should reconstruct the status history of a credential", async () => {
+        await leaf.registerCredential(subject, digest1, [], { from: registrar3 });
+        await leaf.approveCredential(digest1, { from: subject });
+        const { tx } = await leaf.revokeCredential(digest1, reason, { from: registrar3 });
+        await indexer.sync();
+
+        const history = await indexer.getStatusHistory(leaf.address, digest1);
+        expect(history.map(h => h.status)).to.deep.equal([
+            Status.Pending, Status.QuorumReached, Status.Approved, Status.Revoked
+        ]);
+        (history[3].transactionHash).should.equal(tx);
+        (Number(await leaf.getCredentialStatus(digest1))).should.equal(Status.Revoked);
+    });
+
+    it("should follow the approvals of a delegate", async () => {
+        const delegate = accounts[4];
+        await leaf.registerCredential(subject, digest1, [], { from: registrar3 });
+        await leaf.delegateApproval(delegate, (await time.latest()).add(time.duration.days(1)), { from: subject });
+        await leaf.approveCredential(digest1, { from: delegate });
+        await indexer.sync();
+
+        const [credential] = await indexer.getCredentials({ subject: subject });
+        (credential.approved).should.equal(true);
+        expect(credential.signers).to.have.members([registrar2, registrar3]);
+        expect((await indexer.getStatusHistory(leaf.address, digest1)).map(h => h.status)).to.deep.equal([
+            Status.Pending, Status.QuorumReached, Status.Approved
+        ]);
+    });
+
+    it("should index the anchor registry records", async () => {
+        await leaf.registerCredential(subject, digest1, [], { from: registrar3 });
+        await leaf.approveCredential(digest1, { from: subject });
+        await leaf.aggregateCredentials(subject, [digest1], { from: registrar2 });
+        const root = await leaf.getRoot(subject);
+        await registry.issue(root, leaf.address, subject, { from: registrar1 });
+        await registry.revoke(root, reason, { from: registrar1 });
+        await indexer.sync();
+
+        const [anchor] = await indexer.getAnchors();
+        (anchor.registry).should.equal(registry.address);
+        (anchor.digest).should.equal(root);
+        (anchor.revoked).should.equal(true);
+        (anchor.reason).should.equal(reason);
+    });
+
+    it("should track the owners changes", async () => {
+        await leaf.changeOwner(registrar1, { from: registrar3 });
+        await indexer.sync();
+
+        expect(await indexer.getOwners(leaf.address)).to.have.members([registrar1, registrar2]);
+    });
+
+    it("should track the owners and quorum proposals", async () => {
+        await leaf.proposeAddOwner(subject, { from: registrar2 });
+        await leaf.confirmProposal(0, { from: registrar3 });
+        await leaf.proposeQuorum(1, { from: registrar2 });
+        await leaf.confirmProposal(1, { from: subject });
+        await indexer.sync();
+
+        expect(await indexer.getOwners(leaf.address)).to.have.members([registrar2, registrar3, subject]);
+        (await indexer.getQuorum(leaf.address)).should.equal(1);
+        // the credential signed by registrar2 reached the new quorum
+        expect(await indexer.getPendingSignatures(registrar3)).to.be.an("array").that.has.lengthOf(0);
+        expect((await indexer.getPendingApprovals(subject)).map(c => c.digest)).to.have.members([digest1]);
+    });
+
+    it("should drop the events of the blocks removed by a reorg", async () => {
+        await indexer.sync();
+        const snapshot = await rpc("evm_snapshot");
+
+        await leaf.registerCredential(subject, digest2, [], { from: registrar2 });
+        await indexer.sync();
+        expect((await indexer.getCredentials()).map(c => c.digest)).to.have.members([digest1, digest2]);
+
+        await rpc("evm_revert", [snapshot]);
+        await time.advanceBlock();
+        await time.advanceBlock();
+        const { reorg } = await indexer.sync();
+
+        expect(reorg).to.not.equal(null);
+        expect((await indexer.getCredentials()).map(c => c.digest)).to.have.members([digest1]);
+    });
+
+    it("should drop the nodes whose addition was removed by a reorg", async () => {
+        const other = await Leaf.new([registrar3], 1);
+        const digest3 = hash(web3.utils.toHex("cert3"));
+        await other.registerCredential(subject, digest3, [], { from: registrar3 });
+        await indexer.sync();
+        const snapshot = await rpc("evm_snapshot");
+
+        await inner.addChild(other.address, { from: registrar1 });
+        await indexer.sync();
+        expect(await indexer.getNodes()).to.have.property(other.address);
+        expect((await indexer.getCredentials()).map(c => c.digest)).to.include(digest3);
+
+        await rpc("evm_revert", [snapshot]);
+        await time.advanceBlock();
+        await time.advanceBlock();
+        const { reorg } = await indexer.sync();
+
+        expect(reorg).to.not.equal(null);
+        expect(await indexer.getNodes()).to.not.have.property(other.address);
+        expect((await indexer.getCredentials()).map(c => c.digest)).to.not.include(digest3);
+        expect(await indexer.getEvents(null, { address: other.address })).to.have.lengthOf(0);
+    });
+
+    it("should persist the indexed events", async () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "certree-")), "index.json");
+        const options = { nodes: [inner.address], fromBlock: indexer.fromBlock, abis: abis };
+        await new Indexer(web3, Object.assign({ store: new JsonFileStore(file) }, options)).sync();
+
+        const reloaded = new Indexer(web3, Object.assign({ store: new JsonFileStore(file) }, options));
+        expect((await reloaded.getPendingSignatures(registrar3)).map(c => c.digest)).to.have.members([digest1]);
+        const { events } = await reloaded.sync();
+        (events).should.equal(0);
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    });
+});
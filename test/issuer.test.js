@@ -362,9 +362,64 @@ contract("Issuer", accounts => {
                     digest: digest1,
                     signedBlock: lastBlockNumber
                 });
+                expectEvent.inLogs(logs, "CredentialApproved", {
+                    digest: digest1,
+                    subject: subject1,
+                    approver: subject1
+                });
 
                 const eventList = await issuer.getPastEvents("allEvents", { fromBlock: previousBlockNumber, toBlock: lastBlockNumber });
-                (eventList.length).should.equal(4);
+                (eventList.length).should.equal(5);
+            });
+        });
+    });
+
+    describe("rejection and withdrawal", () => {
+        beforeEach(async () => {
+            issuer = await Issuer.new([registrar1, registrar2], 2);
+            await issuer.registerCredential(subject1, digest1, constants.ZERO_BYTES32, [], { from: registrar1 });
+        });
+
+        describe("normal behaviour", () => {
+            it("should allow the subject to reject a pending credential", async () => {
+                await issuer.rejectCredential(digest1, { from: subject1 });
+
+                (await issuer.getCredentialProof(digest1)).rejected.should.equal(true);
+                (await issuer.verifyCredential(subject1, digest1)).should.equal(false);
+            });
+
+            it("should withdraw a pending credential once confirmed by a quorum of owners", async () => {
+                await issuer.withdrawCredential(digest1, { from: registrar1 });
+                (await issuer.getCredentialProof(digest1)).withdrawn.should.equal(false);
+
+                await issuer.withdrawCredential(digest1, { from: registrar2 });
+                (await issuer.getCredentialProof(digest1)).withdrawn.should.equal(true);
+            });
+        });
+
+        describe("revert", () => {
+            it("should not sign nor approve a rejected credential", async () => {
+                await issuer.rejectCredential(digest1, { from: subject1 });
+
+                await expectRevert(
+                    issuer.registerCredential(subject1, digest1, constants.ZERO_BYTES32, [], { from: registrar2 }),
+                    "Notary/credential not pending"
+                );
+                await expectRevert(
+                    issuer.rejectCredential(digest1, { from: subject1 }),
+                    "Notary/credential not pending"
+                );
+            });
+
+            it("should only allow the subject to reject a credential", async () => {
+                await expectRevert(issuer.rejectCredential(digest1, { from: registrar1 }), "Notary/wrong subject");
+            });
+
+            it("should only allow owners to withdraw a credential", async () => {
+                await expectRevert(
+                    issuer.withdrawCredential(digest1, { from: subject1 }),
+                    "Owners/sender is not an owner"
+                );
             });
         });
     });
@@ -402,6 +457,16 @@ contract("Issuer", accounts => {
                 await issuer.revokeCredential(digest1, reason, { from: registrar1 });
                 (await issuer.isRevoked(digest1)).should.equal(true);
             });
+
+            it("should only list the revoked credentials that were issued", async () => {
+                await issuer.registerCredential(subject1, digest2, constants.ZERO_BYTES32, [], { from: registrar1 });
+                await issuer.registerCredential(subject1, digest2, constants.ZERO_BYTES32, [], { from: registrar2 });
+                await issuer.approveCredential(digest2, { from: subject1 });
+                await issuer.revokeCredential(digest1, reason, { from: registrar1 });
+                await issuer.revokeCredential(digest2, reason, { from: registrar1 });
+
+                expect(await issuer.getRevoked(subject1)).to.deep.equal([digest2]);
+            });
         });
 
         describe("revert", () => {
@@ -1,11 +1,18 @@
-const { time, BN, expectEvent, expectRevert } = require("@openzeppelin/test-helpers");
+const { time, BN, constants, expectEvent, expectRevert } = require("@openzeppelin/test-helpers");
 const { expect, assert } = require("chai");
 const { createNotary, createLeaves, generateLeafCredentials, aggregateSubTree, hash, hashByteArray } = require("./helpers/test-helpers");
 const assertFailure = require("./helpers/assert-failure");
+const { merkleRoot, merkleProof, verifyMerkleProof } = require("../lib/merkle");
+const { chainedRoots } = require("../lib/hash");
+const { Verifier } = require("../lib/verifier");
+const { CredentialSignatures, signApproval } = require("../lib/signatures");
+const { Status } = require("../lib/node");
 
 const Inner = artifacts.require("InnerMock");
 const Leaf = artifacts.require("LeafMock");
 const Issuer = artifacts.require("IssuerMock");
+const AnchorRegistry = artifacts.require("AnchorRegistry");
+const ParentMock = artifacts.require("ParentMock");
 
 // Node roles
 const LEAF_ROLE = new BN(0);
@@ -31,7 +38,7 @@ contract("Node", accounts => {
     describe("add node", () => {
         beforeEach(async () => {
             inner = await Inner.new([registrar1, registrar2], 2);
-            leaf = await Leaf.new([registrar2], 1, { from: registrar2 });
+            leaf = await Leaf.new([registrar3], 1, { from: registrar3 });
         });
 
         it("should add an leaf node", async () => {
@@ -62,7 +69,7 @@ contract("Node", accounts => {
 
         it("should not allow leaves to add child contracts", async () => {
             await expectRevert(
-                leaf.addChild(inner.address, { from: registrar2 }),
+                leaf.addChild(inner.address, { from: registrar3 }),
                 "Node/node must be Inner"
             );
         });
@@ -74,7 +81,7 @@ contract("Node", accounts => {
         });
 
         it("should not add an address that does not implements NodeInterface", async () => {
-            const issuer = await Issuer.new([registrar2], 1, { from: registrar2 });
+            const issuer = await Issuer.new([registrar3], 1, { from: registrar3 });
             await assertFailure(
                 inner.addChild(issuer.address, { from: registrar1 })
             );
@@ -87,6 +94,126 @@ contract("Node", accounts => {
             );
         });
 
+        it("should link the child to its parent once confirmed by its owners", async () => {
+            const { tx } = await inner.addChild(leaf.address, { from: registrar1 });
+
+            await expectEvent.inTransaction(tx, leaf, "ParentLinked", { parent: inner.address });
+            (await leaf.isPendingParent(inner.address)).should.equal(true);
+            expect(await leaf.getParents()).to.deep.equal([]);
+
+            const { logs } = await leaf.confirmParent(inner.address, { from: registrar3 });
+
+            expectEvent.inLogs(logs, "ParentConfirmed", { parent: inner.address });
+            expect(await leaf.getParents()).to.deep.equal([inner.address]);
+            (await leaf.isPendingParent(inner.address)).should.equal(false);
+            (await leaf.isAncestor(inner.address, 1)).should.equal(true);
+        });
+
+        it("should not add a node owned by an owner of the parent", async () => {
+            const owned = await Leaf.new([registrar3, registrar2], 1);
+            await expectRevert(
+                inner.addChild(owned.address, { from: registrar1 }),
+                "Node/owners overlap"
+            );
+        });
+
+        it("should not add an owner of a child or of a confirmed parent", async () => {
+            await inner.addChild(leaf.address, { from: registrar1 });
+            await leaf.confirmParent(inner.address, { from: registrar3 });
+
+            await expectRevert(
+                inner.proposeAddOwner(registrar3, { from: registrar1 }),
+                "Node/owners overlap"
+            );
+            await expectRevert(
+                leaf.changeOwner(registrar2, { from: registrar3 }),
+                "Node/owners overlap"
+            );
+            await inner.changeOwner(other, { from: registrar2 });
+            (await inner.isOwner(other)).should.equal(true);
+        });
+
+        it("should not add an ancestor as child", async () => {
+            const middle = await Inner.new([other], 1);
+            const bottom = await Inner.new([registrar3], 1);
+            await inner.addChild(middle.address, { from: registrar1 });
+            await middle.confirmParent(inner.address, { from: other });
+            await middle.addChild(bottom.address, { from: other });
+            await bottom.confirmParent(middle.address, { from: registrar3 });
+
+            await expectRevert(
+                bottom.addChild(inner.address, { from: registrar3 }),
+                "Node/cycle detected"
+            );
+            await expectRevert(
+                middle.addChild(inner.address, { from: other }),
+                "Node/cycle detected"
+            );
+            // the ancestry walk is bounded
+            (await bottom.isAncestor(inner.address, 2)).should.equal(true);
+            await expectRevert(bottom.isAncestor(inner.address, 1), "Node/ancestry too deep");
+        });
+
+        it("should not let two nodes add each other while their links are pending", async () => {
+            const first = await Inner.new([other], 1);
+            const second = await Inner.new([registrar3], 1);
+            await first.addChild(second.address, { from: other });
+
+            await expectRevert(
+                second.addChild(first.address, { from: registrar3 }),
+                "Node/cycle detected"
+            );
+
+            const third = await Inner.new([registrar2], 1);
+            await second.addChild(third.address, { from: registrar3 });
+            await third.addChild(first.address, { from: registrar2 });
+            await first.confirmParent(third.address, { from: other });
+            await third.confirmParent(second.address, { from: registrar2 });
+            await expectRevert(
+                second.confirmParent(first.address, { from: registrar3 }),
+                "Node/cycle detected"
+            );
+        });
+
+        it("should not allow other accounts to link or unlink a parent", async () => {
+            await assertFailure(leaf.linkParent({ from: other }));
+            await inner.addChild(leaf.address, { from: registrar1 });
+            await expectRevert(
+                leaf.unlinkParent({ from: other }),
+                "Node/sender is a parent"
+            );
+            await expectRevert(
+                leaf.confirmParent(other, { from: registrar3 }),
+                "Node/parent not pending"
+            );
+            await expectRevert(
+                leaf.confirmParent(inner.address, { from: other }),
+                "Owners/sender is not an owner"
+            );
+        });
+
+        it("should let the owners drop a parent posing as such", async () => {
+            const fake = await ParentMock.new();
+            await fake.link(leaf.address);
+
+            (await leaf.isPendingParent(fake.address)).should.equal(true);
+            expect(await leaf.getParents()).to.deep.equal([]);
+            (await leaf.isAncestor(fake.address, 1)).should.equal(false);
+            await expectRevert(
+                leaf.unlinkParent({ from: other }),
+                "Node/sender is a parent"
+            );
+
+            const { logs } = await leaf.removeParent(fake.address, { from: registrar3 });
+
+            expectEvent.inLogs(logs, "ParentRemoved", { parent: fake.address });
+            (await leaf.isPendingParent(fake.address)).should.equal(false);
+            await expectRevert(
+                leaf.removeParent(fake.address, { from: registrar3 }),
+                "Node/parent not found"
+            );
+        });
+
         it("should revert if given address is not valid", async () => {
             await expectRevert(
                 inner.addChild("0x0000NOT0A0ADDRESS000000", { from: registrar1 }),
@@ -95,6 +222,98 @@ contract("Node", accounts => {
         });
     });
 
+    describe("remove node", () => {
+        let leaves = [];
+
+        beforeEach(async () => {
+            inner = await Inner.new([registrar1, registrar2], 2);
+            leaves = [];
+            for (const owner of [registrar3, other, deployer]) {
+                const l = await createNotary("leaf", owner, [owner]);
+                await inner.addChild(l.address, { from: registrar1 });
+                leaves.push(l);
+            }
+        });
+
+        it("should remove a child once confirmed by a quorum of owners", async () => {
+            const removed = await Leaf.at(leaves[0].address);
+            await removed.confirmParent(inner.address, { from: registrar3 });
+            await inner.removeChild(leaves[0].address, { from: registrar1 });
+            (await inner.isChild(leaves[0].address)).should.equal(true);
+
+            const { logs } = await inner.removeChild(leaves[0].address, { from: registrar2 });
+
+            expectEvent.inLogs(logs, "NodeRemoved", {
+                removedBy: registrar2,
+                nodeAddress: leaves[0].address
+            });
+            (await inner.isChild(leaves[0].address)).should.equal(false);
+            expect(await inner.getChildren()).to.deep.equal([leaves[1].address, leaves[2].address]);
+            expect(await removed.getParents()).to.deep.equal([]);
+        });
+
+        it("should not count the same owner twice", async () => {
+            await inner.removeChild(leaves[1].address, { from: registrar1 });
+            await expectRevert(
+                inner.removeChild(leaves[1].address, { from: registrar1 }),
+                "Owners/sender already confirmed"
+            );
+        });
+
+        it("should not remove a node that is not a child", async () => {
+            const l = await Leaf.new([registrar3], 1, { from: registrar3 });
+            await expectRevert(
+                inner.removeChild(l.address, { from: registrar1 }),
+                "Node/node not found"
+            );
+        });
+
+        it("should not allow unauthorized users to remove child contracts", async () => {
+            await expectRevert(
+                inner.removeChild(leaves[0].address, { from: other }),
+                "Owners/sender is not an owner"
+            );
+        });
+
+        it("should replace a child once confirmed by a quorum of owners", async () => {
+            const l = await Leaf.new([registrar3], 1, { from: registrar3 });
+            await inner.replaceChild(leaves[1].address, l.address, { from: registrar1 });
+            const { logs } = await inner.replaceChild(leaves[1].address, l.address, { from: registrar2 });
+
+            expectEvent.inLogs(logs, "NodeRemoved", { nodeAddress: leaves[1].address });
+            expectEvent.inLogs(logs, "NodeAdded", { nodeAddress: l.address, role: LEAF_ROLE });
+            expect(await inner.getChildren()).to.deep.equal([leaves[0].address, leaves[2].address, l.address]);
+        });
+
+        it("should not accept new credentials from a removed child", async () => {
+            const witnesses = await generateLeafCredentials([leaves[0]], [subject], 1);
+            await aggregateSubTree(witnesses, subject);
+            await inner.removeChild(leaves[0].address, { from: registrar1 });
+            await inner.removeChild(leaves[0].address, { from: registrar2 });
+
+            await expectRevert(
+                inner.registerCredential(subject, digest, [leaves[0].address], { from: registrar1 }),
+                "Node/address not authorized"
+            );
+        });
+
+        it("should verify the credentials registered before the removal", async () => {
+            const witnesses = await generateLeafCredentials([leaves[0]], [subject], 2);
+            await aggregateSubTree(witnesses, subject);
+            await inner.registerCredential(subject, digest, [leaves[0].address], { from: registrar1 });
+            await inner.registerCredential(subject, digest, [leaves[0].address], { from: registrar2 });
+            await inner.approveCredential(digest, { from: subject });
+
+            await inner.removeChild(leaves[0].address, { from: registrar1 });
+            await inner.removeChild(leaves[0].address, { from: registrar2 });
+
+            (await inner.isWitnessOf(leaves[0].address, digest)).should.equal(true);
+            (await inner.verifyCredentialTree(subject)).should.equal(true);
+            const report = await new Verifier(web3, { abi: Inner.abi }).verify(inner.address, subject);
+            report.valid.should.equal(true);
+        });
+    });
+
     describe("issuing root credential", () => {
         let witnesses = {};
         let wAddresses = [];
@@ -144,6 +363,40 @@ contract("Node", accounts => {
             );
         });
 
+        it("should record the blocks of the witnesses' roots", async () => {
+            await aggregateSubTree(witnesses, subject);
+            await inner.registerCredential(subject, digest, wAddresses, { from: registrar1 });
+
+            const leaf = await Leaf.at(wAddresses[0]);
+            const rootBlocks = await inner.getWitnessRootBlocks(digest);
+            expect(rootBlocks[0]).to.be.bignumber.equal((await leaf.getProof(subject)).insertedBlock);
+            expect(await leaf.getRootBlock(subject)).to.be.bignumber.equal(rootBlocks[0]);
+        });
+
+        it("should not co-sign with a witness root newer than the credential", async () => {
+            await aggregateSubTree(witnesses, subject);
+            await inner.registerCredential(subject, digest, wAddresses, { from: registrar1 });
+            // the same root aggregated again after the registration
+            await aggregateSubTree(witnesses, subject);
+
+            await expectRevert(
+                inner.registerCredential(subject, digest, wAddresses, { from: registrar2 }),
+                "Node/root newer than credential"
+            );
+        });
+
+        it("should not verify a tree after a witness root changed", async () => {
+            await aggregateSubTree(witnesses, subject);
+            await inner.registerCredential(subject, digest, wAddresses, { from: registrar1 });
+            await inner.registerCredential(subject, digest, wAddresses, { from: registrar2 });
+            await inner.approveCredential(digest, { from: subject });
+            (await inner.verifyCredentialTree(subject)).should.equal(true);
+
+            await aggregateSubTree(witnesses, subject);
+
+            (await inner.verifyCredentialTree(subject)).should.equal(false);
+        });
+
         it("should revert for unauthorized leaf", async () => {
             const unauthorized = await Leaf.new([registrar1], 1);
             await expectRevert(
@@ -178,6 +431,776 @@ contract("Node", accounts => {
         });
     });
 
+    describe("merkle aggregation", () => {
+        let digests = [];
+
+        beforeEach(async () => {
+            inner = await Inner.new([registrar1], 1);
+            const [l] = await createLeaves(inner, registrar1, [[registrar2]]);
+            const witnesses = await generateLeafCredentials([l], [subject], 5);
+            digests = witnesses[l.address][subject];
+            leaf = await Leaf.at(l.address);
+        });
+
+        it("should aggregate credentials in a merkle tree", async () => {
+            await leaf.aggregateMerkleCredentials(subject, digests, { from: registrar2 });
+
+            const root = await leaf.getRoot(subject);
+            (root).should.equal(merkleRoot(digests));
+            expect((await leaf.getProof(subject)).method).to.equal("1");
+            (await leaf.verifyCredentialRoot(subject, root)).should.equal(true);
+        });
+
+        it("should verify the inclusion of a single credential", async () => {
+            await leaf.aggregateMerkleCredentials(subject, digests, { from: registrar2 });
+            const root = await leaf.getRoot(subject);
+
+            for (const d of digests) {
+                const proof = merkleProof(digests, d);
+                (verifyMerkleProof(root, d, proof)).should.equal(true);
+                (await leaf.verifyCredentialInclusion(subject, d, proof)).should.equal(true);
+            }
+        });
+
+        it("should not verify an inclusion proof of other credential", async () => {
+            await leaf.aggregateMerkleCredentials(subject, digests, { from: registrar2 });
+
+            const proof = merkleProof(digests, digests[0]);
+            (await leaf.verifyCredentialInclusion(subject, digests[1], proof)).should.equal(false);
+        });
+
+        it("should not verify the inclusion on a hash root", async () => {
+            await leaf.aggregateCredentials(subject, digests, { from: registrar2 });
+
+            await expectRevert(
+                leaf.verifyCredentialInclusion(subject, digests[0], merkleProof(digests, digests[0])),
+                "CredentialSum/not a merkle root"
+            );
+        });
+
+        it("should verify a tree with merkle aggregated leaves", async () => {
+            await leaf.aggregateMerkleCredentials(subject, digests, { from: registrar2 });
+            await inner.registerCredential(subject, digest, [leaf.address], { from: registrar1 });
+            await inner.approveCredential(digest, { from: subject });
+            await inner.aggregateMerkleCredentials(subject, [digest], { from: registrar1 });
+
+            (await inner.verifyCredentialTree(subject)).should.equal(true);
+        });
+    });
+
+    describe("appending credentials", () => {
+        let digests = [];
+
+        beforeEach(async () => {
+            const l = await createNotary("leaf", registrar2, [registrar2]);
+            const witnesses = await generateLeafCredentials([l], [subject], 5);
+            digests = witnesses[l.address][subject];
+            leaf = await Leaf.at(l.address);
+        });
+
+        it("should chain the new digests onto the existing root", async () => {
+            await leaf.aggregateCredentials(subject, digests.slice(0, 2), { from: registrar2 });
+            await leaf.appendCredentials(subject, digests.slice(2, 4), { from: registrar2 });
+            await leaf.appendCredentials(subject, digests.slice(4), { from: registrar2 });
+
+            const history = chainedRoots(digests, [2, 2, 1]);
+            (history[0]).should.equal(hashByteArray(digests.slice(0, 2)));
+            (await leaf.getRoot(subject)).should.equal(history[2]);
+            expect((await leaf.getProof(subject)).batches.map(Number)).to.deep.equal([2, 2, 1]);
+            (await leaf.verifyCredentialRoot(subject, history[2])).should.equal(true);
+            (await leaf.verifyRootOf(subject, digests)).should.equal(true);
+        });
+
+        it("should generate the first root when appending", async () => {
+            await leaf.appendCredentials(subject, digests, { from: registrar2 });
+
+            (await leaf.getRoot(subject)).should.equal(hashByteArray(digests));
+            (await leaf.verifyCredentialRoot(subject, hashByteArray(digests))).should.equal(true);
+        });
+
+        it("should not verify a chained root missing the last digests", async () => {
+            await leaf.aggregateCredentials(subject, digests.slice(0, 2), { from: registrar2 });
+            await leaf.appendCredentials(subject, digests.slice(2, 4), { from: registrar2 });
+
+            const root = await leaf.getRoot(subject);
+            (await leaf.verifyCredentialRoot(subject, root)).should.equal(false);
+            (await leaf.verifyRootOf(subject, digests.slice(0, 4))).should.equal(true);
+        });
+
+        it("should not append to a merkle root", async () => {
+            await leaf.aggregateMerkleCredentials(subject, digests.slice(0, 2), { from: registrar2 });
+
+            await expectRevert(
+                leaf.appendCredentials(subject, digests.slice(2), { from: registrar2 }),
+                "CredentialSum/not a hash root"
+            );
+        });
+
+        it("should restart the batches on a full aggregation", async () => {
+            await leaf.aggregateCredentials(subject, digests.slice(0, 2), { from: registrar2 });
+            await leaf.appendCredentials(subject, digests.slice(2), { from: registrar2 });
+            await leaf.aggregateCredentials(subject, digests, { from: registrar2 });
+
+            expect((await leaf.getProof(subject)).batches.map(Number)).to.deep.equal([5]);
+            (await leaf.verifyCredentialRoot(subject, hashByteArray(digests))).should.equal(true);
+        });
+    });
+
+    describe("revocation-aware aggregation", () => {
+        const reason = hash(web3.utils.toHex("wrong grade"));
+        let digests = [];
+
+        beforeEach(async () => {
+            inner = await Inner.new([registrar1], 1);
+            const [l] = await createLeaves(inner, registrar1, [[registrar2]]);
+            const witnesses = await generateLeafCredentials([l], [subject], 4);
+            digests = witnesses[l.address][subject];
+            leaf = await Leaf.at(l.address);
+            await leaf.revokeCredential(digests[1], reason, { from: registrar2 });
+        });
+
+        it("should aggregate only the non-revoked credentials", async () => {
+            await expectRevert(
+                leaf.aggregateCredentials(subject, digests, { from: registrar2 }),
+                "Issuer/has invalid credentials"
+            );
+            await leaf.aggregateValidCredentials(subject, { from: registrar2 });
+
+            const root = await leaf.getProof(subject);
+            (root.proof).should.equal(hashByteArray([digests[0], digests[2], digests[3]]));
+            (root.excludesInvalid).should.equal(true);
+            expect(root.excluded).to.deep.equal([digests[1]]);
+            (await leaf.verifyCredentialRoot(subject, root.proof)).should.equal(true);
+        });
+
+        it("should verify the non-revoked credentials", async () => {
+            (await leaf.verifyIssuedCredentials(subject)).should.equal(false);
+            (await leaf.verifyValidCredentials(subject)).should.equal(true);
+        });
+
+        it("should verify a tree ignoring the revoked credentials", async () => {
+            await leaf.aggregateValidCredentials(subject, { from: registrar2 });
+            await inner.registerCredential(subject, digest, [leaf.address], { from: registrar1 });
+            await inner.approveCredential(digest, { from: subject });
+
+            (await leaf.verifyCredentialTree(subject)).should.equal(true);
+            (await inner.verifyCredentialTree(subject)).should.equal(true);
+
+            const report = await new Verifier(web3, { abi: Inner.abi }).verify(inner.address, subject);
+            (report.valid).should.equal(true);
+            expect(report.tree.credentials[0].witnesses[0].excluded).to.deep.equal([digests[1]]);
+        });
+
+        it("should not verify a root that includes a credential revoked after the aggregation", async () => {
+            await leaf.aggregateValidCredentials(subject, { from: registrar2 });
+            await leaf.revokeCredential(digests[2], reason, { from: registrar2 });
+
+            (await leaf.verifyCredentialTree(subject)).should.equal(false);
+
+            await leaf.aggregateValidCredentials(subject, { from: registrar2 });
+            (await leaf.verifyCredentialTree(subject)).should.equal(true);
+            expect((await leaf.getProof(subject)).excluded).to.deep.equal([digests[1], digests[2]]);
+        });
+    });
+
+    describe("validity period", () => {
+        const renewal = hash(web3.utils.toHex("renewed-certificate"));
+        const year = time.duration.years(1);
+        let now = null;
+
+        beforeEach(async () => {
+            leaf = await Leaf.new([registrar1, registrar2], 2);
+            now = await time.latest();
+        });
+
+        async function issue (d, validFrom, validUntil) {
+            await leaf.registerCredentialWithPeriod(subject, d, [], validFrom, validUntil, { from: registrar1 });
+            await leaf.registerCredentialWithPeriod(subject, d, [], validFrom, validUntil, { from: registrar2 });
+            await leaf.approveCredential(d, { from: subject });
+        }
+
+        it("should not verify an expired credential", async () => {
+            await issue(digest, now, now.add(year));
+            const proof = await leaf.getCredentialProof(digest);
+            expect(proof.validFrom).to.be.bignumber.equal(now);
+            expect(proof.validUntil).to.be.bignumber.equal(now.add(year));
+            (await leaf.verifyCredential(subject, digest)).should.equal(true);
+
+            await time.increase(year);
+
+            (await leaf.verifyCredential(subject, digest)).should.equal(false);
+            (await leaf.verifyIssuedCredentials(subject)).should.equal(false);
+            (await leaf.verifyCredentialTree(subject)).should.equal(false);
+            const report = await new Verifier(web3, { abi: Leaf.abi }).verify(leaf.address, subject);
+            expect(report.failures.map(f => f.type)).to.deep.equal(["expired"]);
+        });
+
+        it("should not verify a credential before its period", async () => {
+            await issue(digest, now.add(year), new BN(0));
+            (await leaf.verifyCredential(subject, digest)).should.equal(false);
+
+            await time.increase(year);
+
+            (await leaf.verifyCredential(subject, digest)).should.equal(true);
+        });
+
+        it("should not register an empty period", async () => {
+            await expectRevert(
+                leaf.registerCredentialWithPeriod(subject, digest, [], now, now, { from: registrar1 }),
+                "Notary/invalid validity period"
+            );
+        });
+
+        it("should not co-sign a different period", async () => {
+            await leaf.registerCredentialWithPeriod(subject, digest, [], now, now.add(year), { from: registrar1 });
+            await expectRevert(
+                leaf.registerCredential(subject, digest, [], { from: registrar2 }),
+                "Notary/mismatched validity"
+            );
+        });
+
+        it("should renew an expired credential", async () => {
+            await issue(digest, now, now.add(year));
+            await time.increase(year);
+            const [validFrom, validUntil] = [now.add(year), now.add(year).add(year)];
+            const { logs } = await leaf.renewCredential(digest, renewal, [], validFrom, validUntil,
+                { from: registrar1 });
+
+            expectEvent.inLogs(logs, "CredentialRenewed", { expiredDigest: digest, digest: renewal, subject: subject });
+            await leaf.renewCredential(digest, renewal, [], validFrom, validUntil, { from: registrar2 });
+            await leaf.approveCredential(renewal, { from: subject });
+
+            const links = await leaf.getRenewal(renewal);
+            (links.renews).should.equal(digest);
+            ((await leaf.getRenewal(digest)).renewedBy).should.equal(renewal);
+            (await leaf.verifyCredential(subject, renewal)).should.equal(true);
+
+            // the expired credential is superseded by its renewal
+            await leaf.aggregateValidCredentials(subject, { from: registrar1 });
+            expect((await leaf.getProof(subject)).excluded).to.deep.equal([digest]);
+            (await leaf.verifyCredentialTree(subject)).should.equal(true);
+            const report = await new Verifier(web3, { abi: Leaf.abi }).verify(leaf.address, subject);
+            (report.valid).should.equal(true);
+        });
+
+        it("should leave the credentials outside their period out of the valid root", async () => {
+            const later = hash(web3.utils.toHex("later-certificate"));
+            await issue(digest, now, now.add(year));
+            await issue(later, now.add(year), new BN(0));
+
+            await leaf.aggregateValidCredentials(subject, { from: registrar1 });
+            expect((await leaf.getProof(subject)).excluded).to.deep.equal([later]);
+            (await leaf.verifyCredentialTree(subject)).should.equal(true);
+
+            await time.increase(year);
+
+            (await leaf.verifyCredentialTree(subject)).should.equal(false);
+            await leaf.aggregateValidCredentials(subject, { from: registrar1 });
+            const root = await leaf.getProof(subject);
+            (root.proof).should.equal(hashByteArray([later]));
+            expect(root.excluded).to.deep.equal([digest]);
+            (await leaf.verifyCredentialTree(subject)).should.equal(true);
+            const report = await new Verifier(web3, { abi: Leaf.abi }).verify(leaf.address, subject);
+            (report.valid).should.equal(true);
+            expect(report.tree.excluded).to.deep.equal([digest]);
+        });
+
+        it("should keep the digests of a valid root when its credentials expire", async () => {
+            const lasting = hash(web3.utils.toHex("lasting-certificate"));
+            await issue(digest, now, now.add(year));
+            await issue(lasting, now, new BN(0));
+            await leaf.aggregateValidCredentials(subject, { from: registrar1 });
+            const { proof } = await leaf.getProof(subject);
+
+            await time.increase(year);
+
+            // the root still matches, the expired credential fails on its own
+            (await leaf.verifyCredentialRoot(subject, proof)).should.equal(true);
+            (await leaf.verifyCredentialTree(subject)).should.equal(false);
+            const report = await new Verifier(web3, { abi: Leaf.abi }).verify(leaf.address, subject);
+            (report.tree.root.valid).should.equal(true);
+            expect(report.tree.excluded).to.deep.equal([]);
+            expect(report.failures.map(f => [f.type, f.digest])).to.deep.equal([["expired", digest]]);
+        });
+
+        it("should only renew an approved credential with an expiry", async () => {
+            await issue(digest, now, new BN(0));
+            await expectRevert(
+                leaf.renewCredential(digest, renewal, [], now, new BN(0), { from: registrar1 }),
+                "Notary/not renewable"
+            );
+        });
+
+        it("should not co-sign a renewal of another credential", async () => {
+            const another = hash(web3.utils.toHex("other-certificate"));
+            await issue(digest, now, now.add(year));
+            await issue(another, now, now.add(year));
+            await leaf.renewCredential(digest, renewal, [], now, new BN(0), { from: registrar1 });
+            await expectRevert(
+                leaf.renewCredential(another, renewal, [], now, new BN(0), { from: registrar2 }),
+                "Notary/mismatched renewal"
+            );
+        });
+    });
+
+    describe("signed credentials", () => {
+        const none = new BN(0);
+
+        beforeEach(async () => {
+            leaf = await Leaf.new([registrar1, registrar2], 2);
+        });
+
+        async function sign (node, signers, credential = {}) {
+            const signatures = new CredentialSignatures(web3, node.address, Object.assign({
+                subject: subject, digest: digest, witnesses: []
+            }, credential));
+            for (const signer of signers) {
+                await signatures.sign(signer);
+            }
+            return signatures.signatures();
+        }
+
+        it("should register a credential signed by a quorum in a single transaction", async () => {
+            const signatures = await sign(leaf, [registrar1, registrar2]);
+            const { logs } = await leaf.registerSignedCredential(subject, digest, [], none, none, signatures, {
+                from: other
+            });
+
+            expectEvent.inLogs(logs, "CredentialIssued", { digest: digest, subject: subject, registrar: registrar1 });
+            expectEvent.inLogs(logs, "CredentialSigned", { signer: registrar2, digest: digest });
+            expect(await leaf.getCredentialSigners(digest)).to.have.members([registrar1, registrar2]);
+            (await leaf.isQuorumSigned(digest)).should.equal(true);
+
+            await leaf.approveCredential(digest, { from: subject });
+            (await leaf.verifyCredential(subject, digest)).should.equal(true);
+        });
+
+        it("should add the signatures to the ones sent by transaction", async () => {
+            await leaf.registerCredential(subject, digest, [], { from: registrar1 });
+            await leaf.registerSignedCredential(subject, digest, [], none, none, await sign(leaf, [registrar2]));
+
+            (await leaf.isQuorumSigned(digest)).should.equal(true);
+            await expectRevert(
+                leaf.registerSignedCredential(subject, digest, [], none, none, await sign(leaf, [registrar1])),
+                "Notary/sender already signed"
+            );
+        });
+
+        it("should register the signed validity period", async () => {
+            const validUntil = (await time.latest()).add(time.duration.years(1));
+            const signatures = await sign(leaf, [registrar1], { validUntil: validUntil.toString() });
+            await leaf.registerSignedCredential(subject, digest, [], none, validUntil, signatures);
+
+            expect((await leaf.getCredentialProof(digest)).validUntil).to.be.bignumber.equal(validUntil);
+        });
+
+        it("should not register signatures of other credentials or nodes", async () => {
+            const another = await Leaf.new([registrar1, registrar2], 2);
+            await expectRevert(
+                leaf.registerSignedCredential(subject, digest, [], none, none, await sign(another, [registrar1])),
+                "Issuer/signer is not an owner"
+            );
+            await expectRevert(
+                leaf.registerSignedCredential(subject, digest, [], new BN(1), none, await sign(leaf, [registrar1])),
+                "Issuer/signer is not an owner"
+            );
+        });
+
+        it("should not register the signatures of non owners", async () => {
+            await expectRevert(
+                leaf.registerSignedCredential(subject, digest, [], none, none, await sign(leaf, [registrar1, other])),
+                "Issuer/signer is not an owner"
+            );
+        });
+
+        it("should not register malformed signatures", async () => {
+            const signatures = await sign(leaf, [registrar1]);
+            await expectRevert(
+                leaf.registerSignedCredential(subject, digest, [], none, none, signatures.slice(0, -2)),
+                "Notary/invalid signature"
+            );
+            await expectRevert(
+                leaf.registerSignedCredential(subject, digest, [], none, none, "0x"),
+                "Notary/invalid signature"
+            );
+        });
+
+        it("should register a root credential signed with its witnesses", async () => {
+            inner = await Inner.new([registrar1, registrar2], 2);
+            const l = await createNotary("leaf", registrar1, [registrar3]);
+            await inner.addChild(l.address, { from: registrar1 });
+            const witnesses = await generateLeafCredentials([l], [subject], 2);
+            await aggregateSubTree(witnesses, subject);
+            const wAddresses = Object.keys(witnesses);
+
+            const signatures = await sign(inner, [registrar2, registrar1], { witnesses: wAddresses });
+            await inner.registerSignedCredential(subject, digest, wAddresses, none, none, signatures);
+            await inner.approveCredential(digest, { from: subject });
+            await inner.aggregateCredentials(subject, [digest], { from: registrar1 });
+
+            (await inner.verifyCredentialTree(subject)).should.equal(true);
+        });
+    });
+
+    describe("approving on behalf of the subject", () => {
+        const none = new BN(0);
+
+        beforeEach(async () => {
+            leaf = await Leaf.new([registrar1], 1);
+            await leaf.registerCredential(subject, digest, [], { from: registrar1 });
+        });
+
+        it("should approve a credential with the approval signed by the subject", async () => {
+            const approval = await signApproval(web3, leaf.address, digest, subject);
+            const { logs } = await leaf.approveSignedCredential(digest, none, approval.signature, { from: other });
+
+            expectEvent.inLogs(logs, "CredentialSigned", { signer: other, digest: digest });
+            expectEvent.inLogs(logs, "CredentialApproved", { digest: digest, subject: subject, approver: subject });
+            (await leaf.isApproved(digest)).should.equal(true);
+            await expectRevert(
+                leaf.approveSignedCredential(digest, none, approval.signature, { from: other }),
+                "Notary/credential already signed"
+            );
+        });
+
+        it("should not approve with an expired or forged approval", async () => {
+            const deadline = (await time.latest()).add(time.duration.hours(1));
+            const approval = await signApproval(web3, leaf.address, digest, subject, deadline.toString());
+            await expectRevert(
+                leaf.approveSignedCredential(digest, none, approval.signature),
+                "Notary/wrong subject"
+            );
+            await time.increaseTo(deadline.add(new BN(1)));
+            await expectRevert(
+                leaf.approveSignedCredential(digest, deadline, approval.signature),
+                "Notary/approval expired"
+            );
+
+            const forged = await signApproval(web3, leaf.address, digest, other);
+            await expectRevert(
+                leaf.approveSignedCredential(digest, none, forged.signature),
+                "Notary/wrong subject"
+            );
+            await expectRevert(
+                leaf.approveSignedCredential(digest, none, forged.signature.slice(0, -2)),
+                "Notary/invalid signature"
+            );
+        });
+
+        it("should let a delegate approve until the delegation ends", async () => {
+            const until = (await time.latest()).add(time.duration.days(30));
+            const { logs } = await leaf.delegateApproval(other, until, { from: subject });
+
+            expectEvent.inLogs(logs, "ApprovalDelegated", { subject: subject, delegate: other, until: until });
+            expect(await leaf.delegatedUntil(subject, other)).to.be.bignumber.equal(until);
+
+            const another = hash(web3.utils.toHex("transcript"));
+            await leaf.registerCredential(subject, another, [], { from: registrar1 });
+            const { logs: approvals } = await leaf.approveCredential(digest, { from: other });
+            expectEvent.inLogs(approvals, "CredentialApproved", { digest: digest, subject: subject, approver: other });
+            const approval = await signApproval(web3, leaf.address, another, other);
+            const { logs: signed } = await leaf.approveSignedCredential(another, none, approval.signature, {
+                from: registrar1
+            });
+            expectEvent.inLogs(signed, "CredentialApproved", { digest: another, subject: subject, approver: other });
+            (await leaf.isApproved(digest)).should.equal(true);
+            (await leaf.isApproved(another)).should.equal(true);
+
+            await time.increaseTo(until);
+            const later = hash(web3.utils.toHex("later"));
+            await leaf.registerCredential(subject, later, [], { from: registrar1 });
+            await expectRevert(leaf.approveCredential(later, { from: other }), "Notary/wrong subject");
+        });
+
+        it("should revoke a delegation", async () => {
+            await leaf.delegateApproval(other, (await time.latest()).add(time.duration.days(1)), { from: subject });
+            await leaf.delegateApproval(other, none, { from: subject });
+
+            await expectRevert(leaf.approveCredential(digest, { from: other }), "Notary/wrong subject");
+        });
+
+        it("should bound the delegation period", async () => {
+            const now = await time.latest();
+            await expectRevert(
+                leaf.delegateApproval(other, now, { from: subject }),
+                "Notary/invalid delegation period"
+            );
+            await expectRevert(
+                leaf.delegateApproval(other, now.add(time.duration.years(2)), { from: subject }),
+                "Notary/invalid delegation period"
+            );
+            await expectRevert(
+                leaf.delegateApproval(subject, now.add(time.duration.days(1)), { from: subject }),
+                "Notary/invalid delegate"
+            );
+        });
+    });
+
+    describe("rejecting and withdrawing", () => {
+        beforeEach(async () => {
+            leaf = await Leaf.new([registrar1, registrar2], 2);
+            await leaf.registerCredential(subject, digest, [], { from: registrar1 });
+        });
+
+        it("should let the subject reject a pending credential", async () => {
+            const { logs } = await leaf.rejectCredential(digest, { from: subject });
+
+            expectEvent.inLogs(logs, "CredentialRejected", { digest: digest, subject: subject });
+            (await leaf.getCredentialProof(digest)).rejected.should.equal(true);
+            await expectRevert(
+                leaf.registerCredential(subject, digest, [], { from: registrar2 }),
+                "Notary/credential not pending"
+            );
+            await expectRevert(leaf.approveCredential(digest, { from: subject }), "Notary/credential not pending");
+            (await leaf.verifyCredential(subject, digest)).should.equal(false);
+        });
+
+        it("should withdraw a pending credential once called by a quorum of owners", async () => {
+            await leaf.registerCredential(subject, digest, [], { from: registrar2 });
+            const action = web3.utils.keccak256(web3.eth.abi.encodeParameters(
+                ["bytes4", "bytes32"], [web3.eth.abi.encodeFunctionSignature("withdrawCredential(bytes32)"), digest]
+            ));
+
+            const { logs } = await leaf.withdrawCredential(digest, { from: registrar1 });
+            expect(logs.map(l => l.event)).to.not.include("CredentialWithdrawn");
+            expect(await leaf.actionConfirmations(action)).to.be.bignumber.equal(new BN(1));
+
+            const receipt = await leaf.withdrawCredential(digest, { from: registrar2 });
+            expectEvent.inLogs(receipt.logs, "CredentialWithdrawn", { digest: digest, subject: subject });
+            (await leaf.getCredentialProof(digest)).withdrawn.should.equal(true);
+            await expectRevert(leaf.approveCredential(digest, { from: subject }), "Notary/credential not pending");
+            await expectRevert(leaf.rejectCredential(digest, { from: subject }), "Notary/credential not pending");
+        });
+
+        it("should not reject nor withdraw an approved credential", async () => {
+            await leaf.registerCredential(subject, digest, [], { from: registrar2 });
+            await leaf.approveCredential(digest, { from: subject });
+
+            await expectRevert(leaf.rejectCredential(digest, { from: subject }), "Notary/credential not pending");
+            await expectRevert(
+                leaf.withdrawCredential(digest, { from: registrar1 }),
+                "Issuer/credential not pending"
+            );
+        });
+
+        it("should only allow the subject to reject and owners to withdraw", async () => {
+            await expectRevert(leaf.rejectCredential(digest, { from: other }), "Notary/wrong subject");
+            await expectRevert(leaf.withdrawCredential(digest, { from: subject }), "Owners/sender is not an owner");
+        });
+    });
+
+    describe("credential status", () => {
+        const other = hash(web3.utils.toHex("other-certificate"));
+        const reason = hash(web3.utils.toHex("revoked"));
+        const statusOf = async (d) => Number(await leaf.getCredentialStatus(d));
+
+        beforeEach(async () => {
+            leaf = await Leaf.new([registrar1, registrar2], 2);
+        });
+
+        it("should follow the lifecycle of a credential", async () => {
+            (await statusOf(digest)).should.equal(Status.None);
+            await leaf.registerCredential(subject, digest, [], { from: registrar1 });
+            (await statusOf(digest)).should.equal(Status.Pending);
+            await leaf.registerCredential(subject, digest, [], { from: registrar2 });
+            (await statusOf(digest)).should.equal(Status.QuorumReached);
+            await leaf.approveCredential(digest, { from: subject });
+            (await statusOf(digest)).should.equal(Status.Approved);
+            await leaf.revokeCredential(digest, reason, { from: registrar1 });
+            (await statusOf(digest)).should.equal(Status.Revoked);
+        });
+
+        it("should return the status of rejected and withdrawn credentials", async () => {
+            await leaf.registerCredential(subject, digest, [], { from: registrar1 });
+            await leaf.registerCredential(subject, other, [], { from: registrar1 });
+            await leaf.rejectCredential(digest, { from: subject });
+            await leaf.withdrawCredential(other, { from: registrar1 });
+            await leaf.withdrawCredential(other, { from: registrar2 });
+
+            const statuses = await leaf.getStatuses([digest, other, reason]);
+            expect(statuses.map(Number)).to.deep.equal([Status.Rejected, Status.Withdrawn, Status.None]);
+        });
+
+        it("should return the status of credentials outside their period or renewed", async () => {
+            const year = time.duration.years(1);
+            const now = await time.latest();
+            const renewal = hash(web3.utils.toHex("renewed-certificate"));
+            const issue = async (d, validFrom, validUntil) => {
+                await leaf.registerCredentialWithPeriod(subject, d, [], validFrom, validUntil, { from: registrar1 });
+                await leaf.registerCredentialWithPeriod(subject, d, [], validFrom, validUntil, { from: registrar2 });
+                await leaf.approveCredential(d, { from: subject });
+            };
+            await issue(digest, now, now.add(year));
+            await issue(other, now.add(year), new BN(0));
+            (await statusOf(other)).should.equal(Status.NotYetValid);
+
+            await time.increase(year);
+            const statuses = await leaf.getStatuses([digest, other]);
+            expect(statuses.map(Number)).to.deep.equal([Status.Expired, Status.Approved]);
+
+            await leaf.renewCredential(digest, renewal, [], now.add(year), new BN(0), { from: registrar1 });
+            await leaf.renewCredential(digest, renewal, [], now.add(year), new BN(0), { from: registrar2 });
+            (await statusOf(digest)).should.equal(Status.Expired);
+            await leaf.approveCredential(renewal, { from: subject });
+            (await statusOf(digest)).should.equal(Status.Renewed);
+        });
+    });
+
+    describe("paginated queries", () => {
+        const digests = [0, 1, 2, 3, 4].map(i => hash(web3.utils.toHex(`certificate-${i}`)));
+        const reason = hash(web3.utils.toHex("revoked"));
+        const none = new BN(0);
+        let blocks = null;
+
+        beforeEach(async () => {
+            leaf = await Leaf.new([registrar1, registrar2, registrar3], 1);
+            blocks = [];
+            for (const d of digests) {
+                const { receipt } = await leaf.registerCredential(subject, d, [], { from: registrar1 });
+                blocks.push(new BN(receipt.blockNumber));
+                await leaf.approveCredential(d, { from: subject });
+            }
+            await leaf.revokeCredential(digests[1], reason, { from: registrar1 });
+            await leaf.revokeCredential(digests[3], reason, { from: registrar1 });
+        });
+
+        it("should return the issued digests page by page", async () => {
+            const first = await leaf.getDigestsPage(subject, Status.None, 0, 0, 0, 2);
+            expect(first.digests).to.deep.equal(digests.slice(0, 2));
+            expect(first.next).to.be.bignumber.equal(new BN(2));
+
+            const last = await leaf.getDigestsPage(subject, Status.None, 0, 0, 4, 2);
+            expect(last.digests).to.deep.equal(digests.slice(4));
+            expect(last.next).to.be.bignumber.equal(none);
+
+            const beyond = await leaf.getDigestsPage(subject, Status.None, 0, 0, 10, 2);
+            expect(beyond.digests).to.have.lengthOf(0);
+            expect(beyond.next).to.be.bignumber.equal(none);
+        });
+
+        it("should filter the digests by status", async () => {
+            const valid = await leaf.getDigestsPage(subject, Status.Approved, 0, 0, 0, 10);
+            expect(valid.digests).to.deep.equal([digests[0], digests[2], digests[4]]);
+
+            // a page reads at most `limit` issued digests
+            const revoked = await leaf.getDigestsPage(subject, Status.Revoked, 0, 0, 0, 3);
+            expect(revoked.digests).to.deep.equal([digests[1]]);
+            expect(revoked.next).to.be.bignumber.equal(new BN(3));
+            const next = await leaf.getDigestsPage(subject, Status.Revoked, 0, 0, 3, 3);
+            expect(next.digests).to.deep.equal([digests[3]]);
+            expect(await leaf.getRevoked(subject)).to.deep.equal([digests[1], digests[3]]);
+        });
+
+        it("should filter the digests by registration block", async () => {
+            const page = await leaf.getDigestsPage(subject, Status.None, blocks[1], blocks[3], 0, 10);
+            expect(page.digests).to.deep.equal(digests.slice(1, 4));
+
+            const since = await leaf.getDigestsPage(subject, Status.Approved, blocks[3], 0, 0, 10);
+            expect(since.digests).to.deep.equal([digests[4]]);
+        });
+
+        it("should return the signers of a credential page by page", async () => {
+            await leaf.registerCredential(subject, digest, [], { from: registrar3 });
+            await leaf.registerCredential(subject, digest, [], { from: registrar1 });
+
+            const first = await leaf.getCredentialSignersPage(digest, 0, 2);
+            expect(first.signers).to.deep.equal([registrar1]);
+            expect(first.next).to.be.bignumber.equal(new BN(2));
+            const last = await leaf.getCredentialSignersPage(digest, 2, 2);
+            expect(last.signers).to.deep.equal([registrar3]);
+            expect(last.next).to.be.bignumber.equal(none);
+        });
+    });
+
+    describe("batch operations", () => {
+        const cohort = [subject, other, deployer];
+        const digests = cohort.map(s => hash(web3.utils.toHex(`diploma-${s}`)));
+
+        beforeEach(async () => {
+            leaf = await Leaf.new([registrar1], 1);
+        });
+
+        it("should register the credentials of many subjects at once", async () => {
+            const { logs } = await leaf.registerCredentialsBatch(cohort, digests, [], { from: registrar1 });
+
+            for (let i = 0; i < cohort.length; i++) {
+                expectEvent.inLogs(logs, "CredentialIssued", { digest: digests[i], subject: cohort[i] });
+                (await leaf.isQuorumSigned(digests[i])).should.equal(true);
+            }
+        });
+
+        it("should only allow owners to register a batch", async () => {
+            await expectRevert(
+                leaf.registerCredentialsBatch(cohort, digests, [], { from: other }),
+                "Owners/sender is not an owner"
+            );
+        });
+
+        it("should bound the batch size", async () => {
+            await expectRevert(
+                leaf.registerCredentialsBatch([], [], [], { from: registrar1 }),
+                "Node/invalid batch size"
+            );
+            const max = (await leaf.MAX_BATCH_SIZE()).toNumber();
+            const subjects = Array.from({ length: max + 1 }, () => web3.eth.accounts.create().address);
+            await expectRevert(
+                leaf.registerCredentialsBatch(subjects, subjects.map(s => hash(s)), [], { from: registrar1 }),
+                "Node/invalid batch size"
+            );
+            await expectRevert(leaf.approveCredentialsBatch([], { from: subject }), "Node/invalid batch size");
+            await expectRevert(
+                leaf.aggregateValidCredentialsBatch([], { from: registrar1 }),
+                "Node/invalid batch size"
+            );
+        });
+
+        it("should not register a batch with mismatched subjects and digests", async () => {
+            await expectRevert(
+                leaf.registerCredentialsBatch(cohort, digests.slice(1), [], { from: registrar1 }),
+                "Node/mismatched batch"
+            );
+        });
+
+        it("should not register two credentials of a subject in the same batch", async () => {
+            await expectRevert(
+                leaf.registerCredentialsBatch([subject, subject], digests.slice(0, 2), [], { from: registrar1 }),
+                "Notary/block number violation"
+            );
+        });
+
+        it("should approve many credentials of the sender at once", async () => {
+            const another = hash(web3.utils.toHex("transcript"));
+            await leaf.registerCredentialsBatch(cohort, digests, [], { from: registrar1 });
+            await leaf.registerCredential(subject, another, [], { from: registrar1 });
+
+            await leaf.approveCredentialsBatch([digests[0], another], { from: subject });
+            (await leaf.isApproved(digests[0])).should.equal(true);
+            (await leaf.isApproved(another)).should.equal(true);
+
+            await expectRevert(
+                leaf.approveCredentialsBatch([digests[1]], { from: subject }),
+                "Notary/wrong subject"
+            );
+        });
+
+        it("should aggregate the credentials of many subjects at once", async () => {
+            await leaf.registerCredentialsBatch(cohort, digests, [], { from: registrar1 });
+            for (let i = 0; i < cohort.length; i++) {
+                await leaf.approveCredential(digests[i], { from: cohort[i] });
+            }
+            await leaf.aggregateValidCredentialsBatch(cohort, { from: registrar1 });
+
+            for (const s of cohort) {
+                (await leaf.hasRoot(s)).should.equal(true);
+                (await leaf.verifyCredentialTree(s)).should.equal(true);
+            }
+            await expectRevert(
+                leaf.aggregateValidCredentialsBatch(cohort, { from: other }),
+                "Owners/sender is not an owner"
+            );
+        });
+    });
+
     describe("verifying root credential", () => {
         let witnesses = {};
         let wAddresses = [];
@@ -215,6 +1238,161 @@ contract("Node", accounts => {
         // TODO: add corner cases tests
     });
 
+    describe("anchoring", () => {
+        const reason = hash(web3.utils.toHex("revoked"));
+        let registry = null;
+        let witnesses = {};
+
+        beforeEach(async () => {
+            inner = await Inner.new([registrar1], 1);
+            const leaves = await createLeaves(inner, registrar1, [[registrar2], [registrar3]]);
+            witnesses = await generateLeafCredentials(leaves, [subject], 2);
+            await aggregateSubTree(witnesses, subject);
+            await inner.registerCredential(subject, digest, Object.keys(witnesses), { from: registrar1 });
+            await inner.approveCredential(digest, { from: subject });
+            // the node issues the records as an owner of the registry
+            registry = await AnchorRegistry.new([registrar1, inner.address], 1);
+        });
+
+        it("should set the anchor registry once confirmed by a quorum of owners", async () => {
+            const node = await Inner.new([registrar1, registrar2], 2);
+            await node.setAnchorRegistry(registry.address, { from: registrar1 });
+            (await node.anchorRegistry()).should.equal(constants.ZERO_ADDRESS);
+
+            const { logs } = await node.setAnchorRegistry(registry.address, { from: registrar2 });
+
+            expectEvent.inLogs(logs, "AnchorRegistryChanged", { registry: registry.address });
+            (await node.anchorRegistry()).should.equal(registry.address);
+            await expectRevert(
+                node.setAnchorRegistry(constants.ZERO_ADDRESS, { from: other }),
+                "Owners/sender is not an owner"
+            );
+        });
+
+        it("should anchor the aggregated root of the root node", async () => {
+            await inner.setAnchorRegistry(registry.address, { from: registrar1 });
+            const { tx } = await inner.aggregateCredentials(subject, [digest], { from: registrar1 });
+            const root = await inner.getRoot(subject);
+
+            await expectEvent.inTransaction(tx, registry, "RecordIssued", { digest: root, registrar: inner.address });
+            (await registry.resolver(root)).should.equal(inner.address);
+            (await registry.subjectOf(root)).should.equal(subject);
+            (await inner.verifyCredentialTree(subject)).should.equal(true);
+        });
+
+        it("should confirm the anchoring as one of the owners of the registry", async () => {
+            registry = await AnchorRegistry.new([registrar1, inner.address], 2);
+            await inner.setAnchorRegistry(registry.address, { from: registrar1 });
+            await inner.aggregateCredentials(subject, [digest], { from: registrar1 });
+            const root = await inner.getRoot(subject);
+            const action = await registry.issueAction(root, inner.address, subject);
+
+            (await registry.recordExists(root)).should.equal(false);
+            (await registry.hasConfirmed(action, inner.address)).should.equal(true);
+            // aggregating the same root does not confirm it twice
+            await inner.aggregateCredentials(subject, [digest], { from: registrar1 });
+            expect(await registry.actionConfirmations(action)).to.be.bignumber.equal(new BN(1));
+
+            await registry.issue(root, inner.address, subject, { from: registrar1 });
+            (await registry.resolver(root)).should.equal(inner.address);
+        });
+
+        describe("aggregation methods", () => {
+            const revoked = hash(web3.utils.toHex("revoked-certificate"));
+
+            beforeEach(async () => {
+                await inner.registerCredential(subject, revoked, Object.keys(witnesses), { from: registrar1 });
+                await inner.approveCredential(revoked, { from: subject });
+                await inner.setAnchorRegistry(registry.address, { from: registrar1 });
+            });
+
+            it("should anchor the merkle roots of all the credentials", async () => {
+                await inner.aggregateMerkleCredentials(subject, [digest], { from: registrar1 });
+                const subset = await inner.getRoot(subject);
+                (await registry.recordExists(subset)).should.equal(false);
+                await expectRevert(
+                    registry.issue(subset, inner.address, subject, { from: registrar1 }),
+                    "invalid root"
+                );
+
+                await inner.aggregateMerkleCredentials(subject, [digest, revoked], { from: registrar1 });
+                (await registry.resolver(await inner.getRoot(subject))).should.equal(inner.address);
+            });
+
+            it("should anchor the valid-only roots", async () => {
+                await inner.revokeCredential(revoked, reason, { from: registrar1 });
+                await inner.aggregateValidCredentials(subject, { from: registrar1 });
+                const root = await inner.getRoot(subject);
+                root.should.equal(hashByteArray([digest]));
+                (await registry.resolver(root)).should.equal(inner.address);
+            });
+
+            it("should anchor the appended roots", async () => {
+                await inner.aggregateCredentials(subject, [digest], { from: registrar1 });
+                await inner.appendCredentials(subject, [revoked], { from: registrar1 });
+                (await registry.resolver(await inner.getRoot(subject))).should.equal(inner.address);
+            });
+        });
+
+        it("should not anchor the roots of the children nodes", async () => {
+            const child = await Leaf.new([registrar2], 1);
+            await inner.addChild(child.address, { from: registrar1 });
+            await child.confirmParent(inner.address, { from: registrar2 });
+            await child.setAnchorRegistry(registry.address, { from: registrar2 });
+            await child.registerCredential(subject, digest, [], { from: registrar2 });
+            await child.approveCredential(digest, { from: subject });
+            await child.aggregateCredentials(subject, [digest], { from: registrar2 });
+
+            (await registry.recordExists(await child.getRoot(subject))).should.equal(false);
+        });
+
+        it("should keep anchoring the roots when a contract poses as parent", async () => {
+            const fake = await ParentMock.new();
+            await fake.link(inner.address);
+            await inner.setAnchorRegistry(registry.address, { from: registrar1 });
+            await inner.aggregateCredentials(subject, [digest], { from: registrar1 });
+
+            (await registry.resolver(await inner.getRoot(subject))).should.equal(inner.address);
+        });
+
+        it("should only accept the current root of the subject", async () => {
+            await inner.aggregateCredentials(subject, [digest], { from: registrar1 });
+
+            await expectRevert(
+                registry.issue(digest, inner.address, subject, { from: registrar1 }),
+                "root not found"
+            );
+            await expectRevert(
+                registry.issue(await inner.getRoot(subject), inner.address, other, { from: registrar1 }),
+                "root not found"
+            );
+            await registry.issue(await inner.getRoot(subject), inner.address, subject, { from: registrar1 });
+        });
+
+        it("should not accept a root that is no longer derived from the credentials", async () => {
+            await inner.aggregateCredentials(subject, [digest], { from: registrar1 });
+            const root = await inner.getRoot(subject);
+            const another = hash(web3.utils.toHex("another-certificate"));
+            await inner.registerCredential(subject, another, Object.keys(witnesses), { from: registrar1 });
+            await inner.approveCredential(another, { from: subject });
+
+            (await inner.verifyCredentialRoot(subject, root)).should.equal(false);
+            await expectRevert(registry.issue(root, inner.address, subject, { from: registrar1 }), "invalid root");
+        });
+
+        it("should fail the verification of the tree once the anchor is revoked", async () => {
+            await inner.setAnchorRegistry(registry.address, { from: registrar1 });
+            await inner.aggregateCredentials(subject, [digest], { from: registrar1 });
+            const root = await inner.getRoot(subject);
+            await registry.revoke(root, reason, { from: registrar1 });
+
+            (await inner.verifyCredentialRoot(subject, root)).should.equal(false);
+            (await inner.verifyCredentialTree(subject)).should.equal(false);
+            const report = await new Verifier(web3, { abi: Inner.abi }).verify(inner.address, subject);
+            expect(report.failures.map(f => f.type)).to.include("anchor-revoked");
+        });
+    });
+
     describe("revoke", () => {
         const reason = hash(web3.utils.toHex("revoked"));
         let witnesses = {};
@@ -4,7 +4,7 @@ const { expect } = require("chai");
 const Owners = artifacts.require("Owners");
 
 contract("Owners", accounts => {
-    const [owner1, owner2, owner3] = accounts;
+    const [owner1, owner2, owner3, owner4] = accounts;
     let contract = null;
 
     describe("constructor", () => {
@@ -63,6 +63,14 @@ contract("Owners", accounts => {
             await expectRevert(contract.changeOwner(constants.ZERO_ADDRESS, { from: owner1 }), "Owners/invalid address given");
         });
 
+        it("should change an owner when the quorum is less than the number of owners", async () => {
+            contract = await Owners.new([owner1, owner2, owner3], 2);
+            await contract.changeOwner(owner4, { from: owner2 });
+
+            expect(await contract.owners()).to.deep.equal([owner1, owner4, owner3]);
+            (await contract.isOwner(owner2)).should.equal(false);
+        });
+
         it("should emit an event when changing owner", async () => {
             const { logs } = await contract.changeOwner(owner3, { from: owner1 });
             expectEvent.inLogs(logs, "OwnerChanged", {
@@ -71,4 +79,107 @@ contract("Owners", accounts => {
             });
         });
     });
+
+    describe("proposals", () => {
+        beforeEach(async () => {
+            contract = await Owners.new([owner1, owner2, owner3], 2);
+        });
+
+        it("should add an owner after a quorum of confirmations", async () => {
+            const { logs } = await contract.proposeAddOwner(owner4, { from: owner1 });
+            expectEvent.inLogs(logs, "ProposalCreated", { id: new BN(0), account: owner4, proposer: owner1 });
+            expectEvent.inLogs(logs, "ProposalConfirmed", { id: new BN(0), owner: owner1, confirmations: new BN(1) });
+            (await contract.isOwner(owner4)).should.equal(false);
+            expect(await contract.proposalConfirmations(0)).to.be.bignumber.equal(new BN(1));
+            (await contract.hasConfirmedProposal(0, owner1)).should.equal(true);
+
+            const receipt = await contract.confirmProposal(0, { from: owner2 });
+            expectEvent.inLogs(receipt.logs, "OwnerAdded", { owner: owner4 });
+            expectEvent.inLogs(receipt.logs, "ProposalExecuted", { id: new BN(0) });
+
+            (await contract.isOwner(owner4)).should.equal(true);
+            expect(await contract.ownersCount()).to.be.bignumber.equal(new BN(4));
+            expect(await contract.owners()).to.deep.equal([owner1, owner2, owner3, owner4]);
+            (await contract.getProposal(0)).executed.should.equal(true);
+        });
+
+        it("should remove an owner keeping the owners order", async () => {
+            await contract.proposeRemoveOwner(owner2, { from: owner1 });
+            const { logs } = await contract.confirmProposal(0, { from: owner3 });
+            expectEvent.inLogs(logs, "OwnerRemoved", { owner: owner2 });
+
+            (await contract.isOwner(owner2)).should.equal(false);
+            expect(await contract.owners()).to.deep.equal([owner1, owner3]);
+            expect(await contract.ownersCount()).to.be.bignumber.equal(new BN(2));
+        });
+
+        it("should change the quorum", async () => {
+            await contract.proposeQuorum(3, { from: owner3 });
+            const { logs } = await contract.confirmProposal(0, { from: owner1 });
+            expectEvent.inLogs(logs, "QuorumChanged", { oldQuorum: new BN(2), newQuorum: new BN(3) });
+
+            expect(await contract.quorum()).to.be.bignumber.equal(new BN(3));
+        });
+
+        it("should execute a proposal immediately when the quorum is one", async () => {
+            contract = await Owners.new([owner1, owner2], 1);
+            await contract.proposeAddOwner(owner3, { from: owner2 });
+
+            (await contract.isOwner(owner3)).should.equal(true);
+        });
+
+        it("should not confirm a proposal twice", async () => {
+            await contract.proposeAddOwner(owner4, { from: owner1 });
+            await expectRevert(contract.confirmProposal(0, { from: owner1 }), "Owners/sender already confirmed");
+        });
+
+        it("should not confirm an executed proposal", async () => {
+            await contract.proposeAddOwner(owner4, { from: owner1 });
+            await contract.confirmProposal(0, { from: owner2 });
+            await expectRevert(contract.confirmProposal(0, { from: owner3 }), "Owners/proposal already executed");
+        });
+
+        it("should only allow owners to propose and confirm", async () => {
+            await expectRevert(contract.proposeAddOwner(owner4, { from: owner4 }), "Owners/sender is not an owner");
+            await contract.proposeAddOwner(owner4, { from: owner1 });
+            await expectRevert(contract.confirmProposal(0, { from: owner4 }), "Owners/sender is not an owner");
+            await expectRevert(contract.confirmProposal(1, { from: owner2 }), "Owners/proposal not found");
+        });
+
+        it("should not remove owners below the quorum", async () => {
+            contract = await Owners.new([owner1, owner2], 2);
+            await expectRevert(contract.proposeRemoveOwner(owner2, { from: owner1 }), "Owners/quorum out of range");
+        });
+
+        it("should not propose invalid changes", async () => {
+            await expectRevert(contract.proposeAddOwner(owner2, { from: owner1 }), "Owners/invalid address given");
+            await expectRevert(contract.proposeRemoveOwner(owner4, { from: owner1 }), "Owners/address is not an owner");
+            await expectRevert(contract.proposeQuorum(4, { from: owner1 }), "Owners/quorum out of range");
+            await expectRevert(contract.proposeQuorum(0, { from: owner1 }), "Owners/quorum out of range");
+        });
+
+        it("should discard the pending confirmations when the owners change", async () => {
+            await contract.proposeAddOwner(owner4, { from: owner1 });
+            await contract.proposeRemoveOwner(owner3, { from: owner2 });
+            await contract.confirmProposal(0, { from: owner3 });
+
+            expect(await contract.proposalConfirmations(1)).to.be.bignumber.equal(new BN(0));
+            await contract.confirmProposal(1, { from: owner2 });
+            (await contract.isOwner(owner3)).should.equal(true);
+            await contract.confirmProposal(1, { from: owner4 });
+            (await contract.isOwner(owner3)).should.equal(false);
+        });
+
+        it("should only discard the pending confirmations of a replaced owner", async () => {
+            await contract.proposeQuorum(3, { from: owner1 });
+            await contract.proposeQuorum(1, { from: owner2 });
+            await contract.changeOwner(owner4, { from: owner2 });
+
+            expect(await contract.proposalConfirmations(0)).to.be.bignumber.equal(new BN(1));
+            expect(await contract.proposalConfirmations(1)).to.be.bignumber.equal(new BN(0));
+            (await contract.hasConfirmedProposal(1, owner2)).should.equal(false);
+            await contract.confirmProposal(0, { from: owner4 });
+            expect(await contract.quorum()).to.be.bignumber.equal(new BN(3));
+        });
+    });
 });
@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const { createLeaves, generateLeafCredentials, aggregateSubTree, hash } = require("./helpers/test-helpers");
+const assertFailure = require("./helpers/assert-failure");
+const {
+    buildCredential, buildPresentation, exportPresentation, verifyPresentation, didOf, hashDocument, errors
+} = require("../lib");
+
+const Inner = artifacts.require("InnerMock");
+const Leaf = artifacts.require("LeafMock");
+
+contract("Presentation", accounts => {
+    const [registrar1, registrar2, registrar3, subject, other] = accounts;
+    const document = "diploma of subject";
+    const digest = hashDocument(document);
+    const reason = hash(web3.utils.toHex("revoked"));
+    let inner = null;
+    let leaves = [];
+    let chainId = null;
+
+    beforeEach(async () => {
+        inner = await Inner.new([registrar1], 1);
+        leaves = await createLeaves(inner, registrar1, [[registrar2], [registrar3]]);
+        const witnesses = await generateLeafCredentials(leaves, [subject], 2);
+        await aggregateSubTree(witnesses, subject);
+        await inner.registerCredential(subject, digest, Object.keys(witnesses), { from: registrar1 });
+        await inner.approveCredential(digest, { from: subject });
+        chainId = await web3.eth.getChainId();
+    });
+
+    it("should export a presentation embedding the on-chain credential proof", async () => {
+        const presentation = await exportPresentation(web3, inner.address, document, { abi: Inner.abi });
+
+        expect(presentation.type).to.deep.equal(["VerifiablePresentation"]);
+        (presentation.holder).should.equal(didOf(chainId, subject));
+        const [credential] = presentation.verifiableCredential;
+        expect(credential.type).to.deep.equal(["VerifiableCredential", "CertreeCredential"]);
+        (credential.issuer).should.equal(`did:pkh:eip155:${chainId}:${inner.address}`);
+        expect(credential.credentialSubject).to.deep.equal({ id: didOf(chainId, subject), digest: digest });
+        const { proof } = credential;
+        (proof.type).should.equal("CertreeCredentialProof");
+        (proof.registrar).should.equal(registrar1);
+        (proof.subject).should.equal(subject);
+        (proof.evidenceRoot).should.equal(await inner.getEvidenceRoot(digest));
+        expect(proof.witnesses.map(w => w.node)).to.deep.equal(leaves.map(l => l.address));
+        for (const [i, leaf] of leaves.entries()) {
+            (proof.witnesses[i].root).should.equal(await (await Leaf.at(leaf.address)).getRoot(subject));
+        }
+
+        const report = await verifyPresentation(web3, presentation, { abi: Inner.abi, documents: [document] });
+        (report.valid).should.equal(true);
+        (report.credentials[0].status).should.equal("Approved");
+    });
+
+    it("should report the fields that do not match the credential proof", async () => {
+        const presentation = await exportPresentation(web3, inner.address, document, { abi: Inner.abi });
+        const tampered = JSON.parse(JSON.stringify(presentation));
+        const { proof } = tampered.verifiableCredential[0];
+        proof.registrar = registrar2;
+        proof.witnesses[0].root = hash(web3.utils.toHex("forged"));
+
+        const report = await verifyPresentation(web3, tampered, { abi: Inner.abi, documents: ["forged document"] });
+
+        (report.valid).should.equal(false);
+        expect(report.credentials[0].mismatches.map(m => m.field)).to.have.members([
+            "proof.registrar", "proof.witnesses[0].root", "proof.witnesses.evidenceRoot", "document"
+        ]);
+    });
+
+    it("should report the malformed fields of a truncated presentation", async () => {
+        const presentation = await exportPresentation(web3, inner.address, document, { abi: Inner.abi });
+        const truncated = JSON.parse(JSON.stringify(presentation));
+        delete truncated.verifiableCredential[0].credentialSubject;
+        truncated.verifiableCredential[0].proof.digest = "0x12";
+
+        expect(await verifyPresentation(web3, truncated, { abi: Inner.abi })).to.deep.equal({
+            valid: false,
+            holder: null,
+            credentials: [],
+            errors: ["verifiableCredential[0].credentialSubject", "verifiableCredential[0].proof.digest"]
+        });
+        delete truncated.type;
+        expect((await verifyPresentation(web3, truncated)).errors).to.deep.equal(["type"]);
+        expect((await verifyPresentation(web3, { type: ["VerifiablePresentation"] })).errors).to.deep.equal([
+            "verifiableCredential"
+        ]);
+    });
+
+    it("should not verify a presentation of a revoked credential", async () => {
+        const credential = await buildCredential(web3, inner.address, document, { abi: Inner.abi });
+        await inner.revokeCredential(digest, reason, { from: registrar1 });
+
+        const report = await verifyPresentation(web3, credential, { abi: Inner.abi });
+
+        (report.valid).should.equal(false);
+        (report.credentials[0].status).should.equal("Revoked");
+        expect(report.credentials[0].mismatches).to.deep.equal([
+            { field: "status", expected: "Approved", presented: "Revoked" }
+        ]);
+    });
+
+    it("should only present the registered credentials of a single subject", async () => {
+        const error = await assertFailure(buildCredential(web3, inner.address, "unknown", { abi: Inner.abi }));
+        expect(error).to.be.an.instanceof(errors.CertreeError);
+
+        const credential = await buildCredential(web3, inner.address, document, { abi: Inner.abi });
+        const foreign = Object.assign({}, credential, { credentialSubject: { id: didOf(chainId, other) } });
+        expect(() => buildPresentation([credential, foreign])).to.throw(errors.CertreeError, "single subject");
+    });
+});
@@ -0,0 +1,232 @@
+const { time, BN, expectEvent, expectRevert } = require("@openzeppelin/test-helpers");
+const { expect } = require("chai");
+const { hash } = require("./helpers/test-helpers");
+
+const TimedNode = artifacts.require("TimedNode");
+const TimedIssuer = artifacts.require("TimedIssuer");
+const Inner = artifacts.require("InnerMock");
+
+// Node roles
+const LEAF_ROLE = new BN(0);
+
+contract("TimedNode", accounts => {
+    const [registrar1, registrar2, subject, other] = accounts;
+    const grade = hash(web3.utils.toHex("grade"));
+    const diploma = hash(web3.utils.toHex("diploma"));
+    const day = time.duration.days(1);
+    const semester = time.duration.days(180);
+    let startingTime = null;
+    let endingTime = null;
+    let course = null;
+    let inner = null;
+
+    beforeEach(async () => {
+        startingTime = (await time.latest()).add(day);
+        endingTime = startingTime.add(semester);
+        course = await TimedNode.new(LEAF_ROLE, [registrar2], 1, startingTime, endingTime, { from: registrar2 });
+        inner = await Inner.new([registrar1], 1);
+        await inner.addChild(course.address, { from: registrar1 });
+        await course.confirmParent(inner.address, { from: registrar2 });
+    });
+
+    async function issueGrade () {
+        await course.registerCredential(subject, grade, [], { from: registrar2 });
+        await course.approveCredential(grade, { from: subject });
+    }
+
+    describe("constructor", () => {
+        it("should deploy a node with the given period", async () => {
+            expect(await course.getRole()).to.be.bignumber.equal(LEAF_ROLE);
+            expect(await course.startingTime()).to.be.bignumber.equal(startingTime);
+            expect(await course.endingTime()).to.be.bignumber.equal(endingTime);
+            (await course.supportsInterface("0x01ffc9a7")).should.equal(true);
+            (await course.getParents()).should.deep.equal([inner.address]);
+        });
+
+        it("should not deploy a node with a wrong period", async () => {
+            await expectRevert(
+                TimedNode.new(LEAF_ROLE, [registrar2], 1, endingTime, startingTime),
+                "Timed/wrong time range"
+            );
+        });
+    });
+
+    describe("registering credentials", () => {
+        it("should not register credentials before the period starts", async () => {
+            await expectRevert(
+                course.registerCredential(subject, grade, [], { from: registrar2 }),
+                "Timed/period not started yet"
+            );
+        });
+
+        it("should register credentials while the period is running", async () => {
+            await time.increaseTo(startingTime);
+            await issueGrade();
+
+            (await course.isApproved(grade)).should.equal(true);
+        });
+
+        it("should not register credentials after the period ends", async () => {
+            await time.increaseTo(endingTime);
+
+            await expectRevert(
+                course.registerCredential(subject, grade, [], { from: registrar2 }),
+                "Timed/period has already ended"
+            );
+        });
+    });
+
+    describe("aggregating credentials", () => {
+        beforeEach(async () => {
+            await time.increaseTo(startingTime);
+            await issueGrade();
+        });
+
+        it("should not aggregate credentials while the period is running", async () => {
+            await expectRevert(
+                course.aggregateCredentials(subject, [grade], { from: registrar2 }),
+                "TimedNode/period not ended yet"
+            );
+            await expectRevert(
+                course.aggregateValidCredentials(subject, { from: registrar2 }),
+                "TimedNode/period not ended yet"
+            );
+            await expectRevert(
+                course.appendCredentials(subject, [grade], { from: registrar2 }),
+                "TimedNode/period not ended yet"
+            );
+            await expectRevert(
+                course.aggregateMerkleCredentials(subject, [grade], { from: registrar2 }),
+                "TimedNode/period not ended yet"
+            );
+        });
+
+        it("should aggregate credentials after the period ends", async () => {
+            await time.increaseTo(endingTime);
+            await course.aggregateCredentials(subject, [grade], { from: registrar2 });
+
+            (await course.hasRoot(subject)).should.equal(true);
+            (await course.verifyCredentialTree(subject)).should.equal(true);
+        });
+    });
+
+    describe("witnessing credentials", () => {
+        beforeEach(async () => {
+            await time.increaseTo(startingTime);
+            await issueGrade();
+        });
+
+        it("should not be used as witness while the period is running", async () => {
+            (await course.canWitness()).should.equal(false);
+
+            await expectRevert(
+                inner.registerCredential(subject, diploma, [course.address], { from: registrar1 }),
+                "Node/witness cannot be used yet"
+            );
+        });
+
+        it("should be used as witness after the period ends", async () => {
+            await time.increaseTo(endingTime);
+            await course.aggregateCredentials(subject, [grade], { from: registrar2 });
+            (await course.canWitness()).should.equal(true);
+
+            await inner.registerCredential(subject, diploma, [course.address], { from: registrar1 });
+            await inner.approveCredential(diploma, { from: subject });
+            await inner.aggregateCredentials(subject, [diploma], { from: registrar1 });
+
+            (await inner.verifyCredentialTree(subject)).should.equal(true);
+        });
+    });
+
+    describe("extending the period", () => {
+        beforeEach(async () => {
+            await time.increaseTo(startingTime);
+        });
+
+        it("should extend the period while it is running", async () => {
+            const newEndingTime = endingTime.add(day);
+            const { logs } = await course.extendTime(newEndingTime, { from: registrar2 });
+
+            expectEvent.inLogs(logs, "PeriodExtended", { prevEndingTime: endingTime, newEndingTime: newEndingTime });
+            expect(await course.endingTime()).to.be.bignumber.equal(newEndingTime);
+
+            await time.increaseTo(endingTime);
+            (await course.canWitness()).should.equal(false);
+            await course.registerCredential(subject, grade, [], { from: registrar2 });
+        });
+
+        it("should only allow owners to extend the period", async () => {
+            await expectRevert(
+                course.extendTime(endingTime.add(day), { from: other }),
+                "Owners/sender is not an owner"
+            );
+        });
+
+        it("should not shorten the period", async () => {
+            await expectRevert(
+                course.extendTime(endingTime, { from: registrar2 }),
+                "Timed/wrong time range"
+            );
+        });
+
+        it("should not extend the period after it ends", async () => {
+            await time.increaseTo(endingTime);
+
+            await expectRevert(
+                course.extendTime(endingTime.add(day), { from: registrar2 }),
+                "Timed/period has already ended"
+            );
+        });
+    });
+});
+
+contract("TimedIssuer", accounts => {
+    const [registrar1, subject, other] = accounts;
+    const digest = hash(web3.utils.toHex("certificate"));
+    const day = time.duration.days(1);
+    let startingTime = null;
+    let endingTime = null;
+    let issuer = null;
+
+    beforeEach(async () => {
+        startingTime = (await time.latest()).add(day);
+        endingTime = startingTime.add(day);
+        issuer = await TimedIssuer.new([registrar1], 1, startingTime, endingTime);
+    });
+
+    describe("extending the period", () => {
+        beforeEach(async () => {
+            await time.increaseTo(startingTime);
+        });
+
+        it("should extend the period while it is running", async () => {
+            const newEndingTime = endingTime.add(day);
+            const { logs } = await issuer.extendTime(newEndingTime, { from: registrar1 });
+
+            expectEvent.inLogs(logs, "PeriodExtended", { prevEndingTime: endingTime, newEndingTime: newEndingTime });
+            await time.increaseTo(endingTime);
+            await issuer.registerCredential(subject, digest, { from: registrar1 });
+            (await issuer.recordExists(digest)).should.equal(true);
+        });
+
+        it("should only allow owners to extend the period", async () => {
+            await expectRevert(
+                issuer.extendTime(endingTime.add(day), { from: other }),
+                "Owners/sender is not an owner"
+            );
+        });
+
+        it("should not extend the period after it ends", async () => {
+            await time.increaseTo(endingTime);
+
+            await expectRevert(
+                issuer.extendTime(endingTime.add(day), { from: registrar1 }),
+                "Timed/period has already ended"
+            );
+            await expectRevert(
+                issuer.registerCredential(subject, digest, { from: registrar1 }),
+                "Timed/period has already ended"
+            );
+        });
+    });
+});
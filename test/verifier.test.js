@@ -0,0 +1,201 @@
+const { constants } = require("@openzeppelin/test-helpers");
+const { expect } = require("chai");
+const { createLeaves, generateLeafCredentials, aggregateSubTree, hash } = require("./helpers/test-helpers");
+const {
+    verifyCredentialTree, verifyFromAnchor, lookupAnchor, AnchorRegistryClient, Failure, errors
+} = require("../lib");
+
+const Inner = artifacts.require("InnerMock");
+const Leaf = artifacts.require("LeafMock");
+const AnchorRegistry = artifacts.require("AnchorRegistry");
+
+contract("Verifier", accounts => {
+    const [registrar1, registrar2, registrar3, subject] = accounts;
+    const digest = hash(web3.utils.toHex("root-certificate"));
+    const reason = hash(web3.utils.toHex("revoked"));
+    let inner = null;
+    let leaves = [];
+    let witnesses = {};
+
+    beforeEach(async () => {
+        inner = await Inner.new([registrar1], 1);
+        leaves = await createLeaves(inner, registrar1, [[registrar2], [registrar3]]);
+        witnesses = await generateLeafCredentials(leaves, [subject], 2);
+        await aggregateSubTree(witnesses, subject);
+        await inner.registerCredential(subject, digest, Object.keys(witnesses), { from: registrar1 });
+        await inner.approveCredential(digest, { from: subject });
+    });
+
+    it("should verify a valid credential tree", async () => {
+        const report = await verifyCredentialTree(web3, inner.address, subject, { abi: Inner.abi });
+
+        (report.valid).should.equal(true);
+        /* eslint-disable-next-line no-unused-expressions */
+        expect(report.failures).to.be.empty;
+        (report.tree.credentials.length).should.equal(1);
+        const credential = report.tree.credentials[0];
+        (credential.digest).should.equal(digest);
+        (credential.evidenceRoot.valid).should.equal(true);
+        expect(credential.witnesses.map(w => w.address)).to.have.members(leaves.map(l => l.address));
+        (await inner.verifyCredentialTree(subject)).should.equal(report.valid);
+    });
+
+    it("should report a revoked credential on a witness", async () => {
+        const leaf = await Leaf.at(leaves[0].address);
+        const revoked = witnesses[leaf.address][subject][1];
+        await leaf.revokeCredential(revoked, reason, { from: registrar2 });
+
+        const report = await verifyCredentialTree(web3, inner.address, subject, { abi: Inner.abi });
+
+        (report.valid).should.equal(false);
+        expect(report.failures).to.deep.include({
+            type: Failure.Revoked,
+            node: leaf.address,
+            digest: revoked,
+            message: "credential revoked"
+        });
+    });
+
+    it("should report the witness root and the evidence root that changed", async () => {
+        const leaf = await Leaf.at(leaves[1].address);
+        const [first] = witnesses[leaf.address][subject];
+        await leaf.aggregateCredentials(subject, [first], { from: registrar3 });
+
+        const report = await verifyCredentialTree(web3, inner.address, subject, { abi: Inner.abi });
+
+        (report.valid).should.equal(false);
+        expect(report.failures.map(f => [f.type, f.node])).to.have.deep.members([
+            [Failure.RootMismatch, leaf.address],
+            [Failure.RootChangedAfterUse, inner.address],
+            [Failure.EvidenceRootMismatch, inner.address]
+        ]);
+        const changed = report.failures.find(f => f.type === Failure.RootChangedAfterUse);
+        (changed.expected).should.equal((await inner.getWitnessRootBlocks(digest))[1].toNumber());
+        (changed.computed).should.equal(await web3.eth.getBlockNumber());
+        const evidence = report.failures.find(f => f.type === Failure.EvidenceRootMismatch);
+        (evidence.digest).should.equal(digest);
+        (evidence.expected).should.equal(await inner.getEvidenceRoot(digest));
+    });
+
+    it("should report a subject without credentials", async () => {
+        const report = await verifyCredentialTree(web3, inner.address, constants.ZERO_ADDRESS, { abi: Inner.abi });
+
+        (report.valid).should.equal(false);
+        (report.failures[0].type).should.equal(Failure.NoCredentials);
+    });
+
+    describe("from an anchored root", () => {
+        let registry = null;
+        let root = null;
+
+        beforeEach(async () => {
+            const anchor = await AnchorRegistry.new([registrar1, inner.address], 1);
+            registry = new AnchorRegistryClient(web3, anchor.address, {
+                abi: AnchorRegistry.abi,
+                nodeAbi: Inner.abi,
+                from: registrar1
+            });
+            await inner.setAnchorRegistry(anchor.address, { from: registrar1 });
+            await inner.aggregateCredentials(subject, [digest], { from: registrar1 });
+            root = await inner.getRoot(subject);
+        });
+
+        it("should verify the tree of the issuer and list the institutions on the path", async () => {
+            const report = await verifyFromAnchor(registry, root, subject);
+
+            (report.valid).should.equal(true);
+            (report.anchor.issuer).should.equal(inner.address);
+            (report.anchor.subject).should.equal(subject);
+            expect(report.institutions.map(i => [i.node, i.depth, i.owners])).to.deep.equal([
+                [inner.address, 0, [registrar1]],
+                [leaves[0].address, 1, [registrar2]],
+                [leaves[1].address, 1, [registrar3]]
+            ]);
+            expect(report.text).to.include(`inner node ${inner.address} owned by ${registrar1}`);
+            expect(report.text).to.include(`leaf node ${leaves[1].address} owned by ${registrar3}`);
+            expect(report.text).to.include("credential tree is valid");
+        });
+
+        it("should report a revoked anchor once", async () => {
+            await registry.revoke(root, reason);
+
+            const report = await verifyFromAnchor(registry, root, subject);
+
+            (report.valid).should.equal(false);
+            (report.anchor.revoked).should.equal(true);
+            expect(report.failures.map(f => [f.type, f.node, f.registry])).to.deep.equal([
+                [Failure.AnchorRevoked, inner.address, registry.address]
+            ]);
+            expect(report.text).to.include(`FAILED anchor-revoked at ${inner.address}`);
+        });
+
+        it("should report a root that is not anchored or not the root of the subject", async () => {
+            const missing = await verifyFromAnchor(registry, digest, subject);
+            expect(missing.failures.map(f => f.type)).to.deep.equal([Failure.AnchorNotFound]);
+            expect(missing.institutions).to.deep.equal([]);
+
+            const other = await verifyFromAnchor(registry, root, registrar2);
+            expect(other.failures.map(f => f.type)).to.include(Failure.AnchorSubjectMismatch);
+
+            const renewal = hash(web3.utils.toHex("renewed-certificate"));
+            await inner.registerCredential(subject, renewal, Object.keys(witnesses), { from: registrar1 });
+            await inner.approveCredential(renewal, { from: subject });
+            await inner.aggregateCredentials(subject, [digest, renewal], { from: registrar1 });
+
+            const outdated = await verifyFromAnchor(registry, root, subject);
+            expect(outdated.failures.map(f => [f.type, f.computed])).to.deep.equal([
+                [Failure.AnchorOutdated, await inner.getRoot(subject)]
+            ]);
+            (await verifyFromAnchor(registry, await inner.getRoot(subject), subject)).valid.should.equal(true);
+        });
+
+        describe("across several registries", () => {
+            let registries = [];
+
+            beforeEach(async () => {
+                registries = [registry];
+                for (const owner of [registrar2, registrar3]) {
+                    const anchor = await AnchorRegistry.new([owner], 1);
+                    registries.push(new AnchorRegistryClient(web3, anchor.address, {
+                        abi: AnchorRegistry.abi,
+                        nodeAbi: Inner.abi,
+                        from: owner
+                    }));
+                }
+                await registries[1].issue(root, inner.address, subject);
+            });
+
+            it("should accept a root anchored by any, all or k of the registries", async () => {
+                const any = await lookupAnchor(registries, root);
+                (any.accepted).should.equal(true);
+                (any.anchored).should.equal(2);
+                (any.issuer).should.equal(inner.address);
+                expect(any.records.map(r => r.exists)).to.deep.equal([true, true, false]);
+                (await lookupAnchor(registries, root, 2)).accepted.should.equal(true);
+                (await lookupAnchor(registries, root, "all")).accepted.should.equal(false);
+                const error = await lookupAnchor(registries, root, 4).catch(e => e);
+                expect(error).to.be.an.instanceof(errors.CertreeError);
+
+                const report = await verifyFromAnchor(registries, root, subject, { policy: "all" });
+                (report.valid).should.equal(false);
+                expect(report.failures.map(f => [f.type, f.expected, f.computed])).to.deep.equal([
+                    [Failure.AnchorPolicyNotMet, 3, 2]
+                ]);
+                expect(report.institutions).to.have.lengthOf(3);
+                expect(report.text).to.include(`  registry ${registries[2].address}: not anchored`);
+            });
+
+            it("should not count the registries that revoked the root", async () => {
+                await registries[1].revoke(root, reason);
+
+                (await verifyFromAnchor(registries, root, subject)).valid.should.equal(true);
+                const report = await verifyFromAnchor(registries, root, subject, { policy: 2 });
+                (report.valid).should.equal(false);
+                expect(report.failures.map(f => [f.type, f.registry])).to.deep.equal([
+                    [Failure.AnchorRevoked, registries[1].address],
+                    [Failure.AnchorPolicyNotMet, undefined]
+                ]);
+            });
+        });
+    });
+});